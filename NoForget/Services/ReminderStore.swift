@@ -10,6 +10,7 @@ class ReminderStore: ObservableObject {
     
     private let localCacheKey = "cachedReminders"
     private let phoneNumberKey = "userPhoneNumber"
+    private let eventCursorKey = "reminderEventCursor"
     
     // Services for scheduling
     let notificationManager = NotificationManager()
@@ -44,6 +45,8 @@ class ReminderStore: ObservableObject {
     func clearPhoneData() {
         userPhoneNumber = ""
         UserDefaults.standard.removeObject(forKey: phoneNumberKey)
+        TwilioCallService.deviceToken = nil
+        UserDefaults.standard.removeObject(forKey: eventCursorKey)
         callOnboardingCompleted = false
         UserDefaults.standard.set(false, forKey: "callOnboardingCompleted")
     }
@@ -56,9 +59,66 @@ class ReminderStore: ObservableObject {
         error = nil
         
         // Data is already loaded in init()
+        await syncCallOutcomes()
+        await syncScheduledCalls()
         isLoading = false
     }
     
+    /// Complete reminders the user acknowledged on a reminder call (pressing 1,
+    /// saying "done" or replying to the text), using the backend's event log
+    func syncCallOutcomes() async {
+        guard TwilioCallService.deviceToken != nil else { return }
+        
+        var cursor = UserDefaults.standard.string(forKey: eventCursorKey)
+        do {
+            while true {
+                let page = try await twilioService.fetchEvents(after: cursor)
+                for event in page.events where event.type == "acknowledged" {
+                    guard let reminder = reminders.first(where: { $0.id.uuidString == event.data.reminderId }),
+                          !reminder.isCompleted else { continue }
+                    
+                    var completed = reminder
+                    completed.isCompleted = true
+                    updateReminderLocally(completed)
+                    // The call already happened, so only the local notification is left to cancel
+                    await notificationManager.cancelNotification(for: completed)
+                    print("✅ Completed from call: \(reminder.title)")
+                }
+                
+                cursor = page.cursor
+                if let cursor {
+                    UserDefaults.standard.set(cursor, forKey: eventCursorKey)
+                }
+                if page.events.count < 100 { break }
+            }
+        } catch {
+            print("Failed to sync call outcomes: \(error)")
+        }
+    }
+    
+    /// Reconcile the backend's scheduled calls with the phone-call reminders on
+    /// this device, repairing calls that failed to schedule or cancel earlier
+    func syncScheduledCalls() async {
+        guard TwilioCallService.deviceToken != nil else { return }
+        
+        let phoneCallReminders = reminders.filter { $0.notificationLevel == .phoneCall }
+        do {
+            let response = try await twilioService.syncReminders(phoneCallReminders)
+            for synced in response.reminders where synced.state.status == "acknowledged" {
+                guard let reminder = reminders.first(where: { $0.id.uuidString == synced.reminderId }),
+                      !reminder.isCompleted else { continue }
+                
+                var completed = reminder
+                completed.isCompleted = true
+                updateReminderLocally(completed)
+                await notificationManager.cancelNotification(for: completed)
+                print("✅ Completed from call: \(reminder.title)")
+            }
+        } catch {
+            print("Failed to sync scheduled calls: \(error)")
+        }
+    }
+    
     /// Add a new reminder
     func addReminder(_ reminder: Reminder) async throws {
         // Apply phone number from settings if this is a phone call reminder
@@ -18,6 +18,48 @@ struct ScheduleResponse: Codable {
     let minutesUntilCall: Int
 }
 
+/// An entry in the backend's event log (GET /events)
+struct ReminderEvent: Codable {
+    struct Details: Codable {
+        let reminderId: String
+        let status: String?
+    }
+    
+    let id: String
+    /// scheduled, calling, ringing, answered, acknowledged, snoozed, failed, given-up or escalated
+    let type: String
+    let createdAt: String
+    let data: Details
+}
+
+/// Response from events endpoint
+struct EventsResponse: Codable {
+    let events: [ReminderEvent]
+    let cursor: String?
+}
+
+/// What the backend knows about one reminder after POST /schedule/sync
+struct SyncedReminder: Codable {
+    struct State: Codable {
+        /// scheduled, snoozed, calling, acknowledged, cancelled, not-found, ...
+        let status: String
+        let nextCallAt: String?
+        let acknowledgedAt: String?
+    }
+    
+    let reminderId: String
+    /// created, updated, unchanged, cancelled, stale or invalid
+    let result: String
+    let error: String?
+    let state: State
+}
+
+/// Response from schedule sync endpoint
+struct SyncResponse: Codable {
+    let success: Bool
+    let reminders: [SyncedReminder]
+}
+
 /// Service for initiating Twilio phone calls (Level 5)
 @MainActor
 class TwilioCallService: ObservableObject {
@@ -27,6 +69,21 @@ class TwilioCallService: ObservableObject {
     // Production backend URL - no configuration needed
     private let backendURL: String = "https://noforget-backend.onrender.com"
     
+    private static let deviceTokenKey = "deviceToken"
+    
+    /// Sent as a reminder's version so the backend can refuse edits older than the one it has
+    private static let modifiedAtFormatter: ISO8601DateFormatter = {
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        return formatter
+    }()
+    
+    /// Token issued by /verify/check proving this device verified its phone number
+    static var deviceToken: String? {
+        get { UserDefaults.standard.string(forKey: deviceTokenKey) }
+        set { UserDefaults.standard.set(newValue, forKey: deviceTokenKey) }
+    }
+    
     init() {
         // Backend is pre-configured, no setup required
     }
@@ -41,6 +98,10 @@ class TwilioCallService: ObservableObject {
             throw TwilioError.missingPhoneNumber
         }
         
+        guard let token = Self.deviceToken else {
+            throw TwilioError.notVerified
+        }
+        
         guard let url = URL(string: "\(backendURL)/schedule") else {
             throw TwilioError.invalidURL
         }
@@ -48,6 +109,7 @@ class TwilioCallService: ObservableObject {
         var request = URLRequest(url: url)
         request.httpMethod = "POST"
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
         request.timeoutInterval = 30
         
         // ISO 8601 format for the call time
@@ -58,7 +120,11 @@ class TwilioCallService: ObservableObject {
             "reminderTitle": reminder.title,
             "reminderDescription": reminder.description,
             "callAt": isoFormatter.string(from: reminder.dueDate),
-            "reminderId": reminder.id.uuidString
+            "reminderId": reminder.id.uuidString,
+            "modifiedAt": Self.modifiedAtFormatter.string(from: reminder.modifiedAt),
+            // So the call speaks the due time in the user's own timezone and language
+            "timezone": TimeZone.current.identifier,
+            "locale": Locale.preferredLanguages.first ?? "en-US"
         ]
         
         request.httpBody = try JSONSerialization.data(withJSONObject: body)
@@ -69,6 +135,14 @@ class TwilioCallService: ObservableObject {
             throw TwilioError.invalidResponse
         }
         
+        if httpResponse.statusCode == 401 {
+            throw TwilioError.notVerified
+        }
+        
+        if let limitError = TwilioError.from(statusCode: httpResponse.statusCode, data: data) {
+            throw limitError
+        }
+        
         guard httpResponse.statusCode == 200 else {
             // Try to parse error message
             if let errorResponse = try? JSONDecoder().decode([String: String].self, from: data),
@@ -88,7 +162,7 @@ class TwilioCallService: ObservableObject {
     
     /// Cancel a scheduled call
     func cancelScheduledCall(reminderId: String) async {
-        guard isConfigured else { return }
+        guard isConfigured, let token = Self.deviceToken else { return }
         
         guard let url = URL(string: "\(backendURL)/schedule/\(reminderId)") else {
             return
@@ -96,6 +170,7 @@ class TwilioCallService: ObservableObject {
         
         var request = URLRequest(url: url)
         request.httpMethod = "DELETE"
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
         request.timeoutInterval = 30
         
         do {
@@ -116,6 +191,10 @@ class TwilioCallService: ObservableObject {
             throw TwilioError.missingPhoneNumber
         }
         
+        guard let token = Self.deviceToken else {
+            throw TwilioError.notVerified
+        }
+        
         guard let url = URL(string: "\(backendURL)/call") else {
             throw TwilioError.invalidURL
         }
@@ -123,6 +202,7 @@ class TwilioCallService: ObservableObject {
         var request = URLRequest(url: url)
         request.httpMethod = "POST"
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
         request.timeoutInterval = 30
         
         let formatter = DateFormatter()
@@ -132,7 +212,10 @@ class TwilioCallService: ObservableObject {
             "to": phoneNumber,
             "reminderTitle": reminder.title,
             "reminderDescription": reminder.description,
-            "dueTime": formatter.string(from: reminder.dueDate)
+            "dueTime": formatter.string(from: reminder.dueDate),
+            "dueAt": ISO8601DateFormatter().string(from: reminder.dueDate),
+            "timezone": TimeZone.current.identifier,
+            "locale": Locale.preferredLanguages.first ?? "en-US"
         ]
         
         request.httpBody = try JSONEncoder().encode(body)
@@ -143,6 +226,14 @@ class TwilioCallService: ObservableObject {
             throw TwilioError.invalidResponse
         }
         
+        if httpResponse.statusCode == 401 {
+            throw TwilioError.notVerified
+        }
+        
+        if let limitError = TwilioError.from(statusCode: httpResponse.statusCode, data: data) {
+            throw limitError
+        }
+        
         guard httpResponse.statusCode == 200 else {
             throw TwilioError.serverError(statusCode: httpResponse.statusCode)
         }
@@ -153,17 +244,112 @@ class TwilioCallService: ObservableObject {
         return callResponse.callSid ?? "unknown"
     }
     
+    /// Send the full list of phone-call reminders. The backend schedules what is
+    /// missing, cancels what is completed or no longer listed, and returns its state.
+    func syncReminders(_ reminders: [Reminder]) async throws -> SyncResponse {
+        guard let token = Self.deviceToken else {
+            throw TwilioError.notVerified
+        }
+        
+        guard let url = URL(string: "\(backendURL)/schedule/sync") else {
+            throw TwilioError.invalidURL
+        }
+        
+        var request = URLRequest(url: url)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        request.timeoutInterval = 30
+        
+        let isoFormatter = ISO8601DateFormatter()
+        let items: [[String: Any]] = reminders.map { reminder in
+            [
+                "reminderId": reminder.id.uuidString,
+                "reminderTitle": reminder.title,
+                "reminderDescription": reminder.description,
+                "callAt": isoFormatter.string(from: reminder.dueDate),
+                "modifiedAt": Self.modifiedAtFormatter.string(from: reminder.modifiedAt),
+                "completed": reminder.isCompleted,
+                "timezone": TimeZone.current.identifier,
+                "locale": Locale.preferredLanguages.first ?? "en-US"
+            ]
+        }
+        request.httpBody = try JSONSerialization.data(withJSONObject: ["reminders": items])
+        
+        let (data, response) = try await URLSession.shared.data(for: request)
+        
+        guard let httpResponse = response as? HTTPURLResponse else {
+            throw TwilioError.invalidResponse
+        }
+        
+        if httpResponse.statusCode == 401 {
+            throw TwilioError.notVerified
+        }
+        
+        if let limitError = TwilioError.from(statusCode: httpResponse.statusCode, data: data) {
+            throw limitError
+        }
+        
+        guard httpResponse.statusCode == 200 else {
+            throw TwilioError.serverError(statusCode: httpResponse.statusCode)
+        }
+        
+        return try JSONDecoder().decode(SyncResponse.self, from: data)
+    }
+    
+    /// Reminder events recorded after the event with id `after` (all retained events when nil)
+    func fetchEvents(after cursor: String?) async throws -> EventsResponse {
+        guard let token = Self.deviceToken else {
+            throw TwilioError.notVerified
+        }
+        
+        var components = URLComponents(string: "\(backendURL)/events")
+        if let cursor {
+            components?.queryItems = [URLQueryItem(name: "after", value: cursor)]
+        }
+        guard let url = components?.url else {
+            throw TwilioError.invalidURL
+        }
+        
+        var request = URLRequest(url: url)
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        request.timeoutInterval = 30
+        
+        let (data, response) = try await URLSession.shared.data(for: request)
+        
+        guard let httpResponse = response as? HTTPURLResponse else {
+            throw TwilioError.invalidResponse
+        }
+        
+        if httpResponse.statusCode == 401 {
+            throw TwilioError.notVerified
+        }
+        
+        guard httpResponse.statusCode == 200 else {
+            throw TwilioError.serverError(statusCode: httpResponse.statusCode)
+        }
+        
+        return try JSONDecoder().decode(EventsResponse.self, from: data)
+    }
+    
     /// Check the status of a call
     func checkCallStatus(callSid: String) async throws -> String {
         guard isConfigured else {
             throw TwilioError.notConfigured
         }
         
+        guard let token = Self.deviceToken else {
+            throw TwilioError.notVerified
+        }
+        
         guard let url = URL(string: "\(backendURL)/call/status/\(callSid)") else {
             throw TwilioError.invalidURL
         }
         
-        let (data, _) = try await URLSession.shared.data(from: url)
+        var request = URLRequest(url: url)
+        request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        
+        let (data, _) = try await URLSession.shared.data(for: request)
         
         struct StatusResponse: Codable {
             let status: String
@@ -178,16 +364,38 @@ class TwilioCallService: ObservableObject {
 // MARK: - Errors
 enum TwilioError: LocalizedError {
     case notConfigured
+    case notVerified
     case missingPhoneNumber
     case invalidURL
     case invalidResponse
     case serverError(statusCode: Int)
     case callFailed(String)
+    case rateLimited(String, retryAfter: Int?)
+    case blocked(String)
+    
+    /// The backend answers 429 when a rate limit or daily/monthly cap is hit
+    /// and 403 when it won't call the number; both carry a readable "error".
+    static func from(statusCode: Int, data: Data) -> TwilioError? {
+        let json = (try? JSONSerialization.jsonObject(with: data)) as? [String: Any]
+        let message = json?["error"] as? String
+        
+        switch statusCode {
+        case 429:
+            return .rateLimited(message ?? "Too many requests. Please try again later.",
+                                retryAfter: json?["retryAfter"] as? Int)
+        case 403:
+            return .blocked(message ?? "This phone number can't be used for reminder calls")
+        default:
+            return nil
+        }
+    }
     
     var errorDescription: String? {
         switch self {
         case .notConfigured:
             return "Twilio backend not configured. Please set the backend URL in settings."
+        case .notVerified:
+            return "Please verify your phone number again to use phone call reminders"
         case .missingPhoneNumber:
             return "Phone number is required for phone call reminders"
         case .invalidURL:
@@ -198,6 +406,13 @@ enum TwilioError: LocalizedError {
             return "Server error: \(statusCode)"
         case .callFailed(let reason):
             return "Call failed: \(reason)"
+        case .rateLimited(let message, let retryAfter):
+            guard let retryAfter else { return message }
+            let minutes = max(1, (retryAfter + 59) / 60)
+            let wait = minutes < 120 ? "\(minutes) min" : "\(minutes / 60) h"
+            return "\(message) (try again in \(wait))"
+        case .blocked(let message):
+            return message
         }
     }
 }
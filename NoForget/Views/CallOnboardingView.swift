@@ -920,8 +920,16 @@ struct CallOnboardingView: View {
                 
                 let (data, response) = try await URLSession.shared.data(for: request)
                 
-                guard let httpResponse = response as? HTTPURLResponse,
-                      httpResponse.statusCode == 200 else {
+                guard let httpResponse = response as? HTTPURLResponse else {
+                    throw NSError(domain: "", code: 0, userInfo: [NSLocalizedDescriptionKey: "Failed to send code"])
+                }
+                
+                // Too many codes requested, or a number we can't text
+                if let limitError = TwilioError.from(statusCode: httpResponse.statusCode, data: data) {
+                    throw limitError
+                }
+                
+                guard httpResponse.statusCode == 200 else {
                     throw NSError(domain: "", code: 0, userInfo: [NSLocalizedDescriptionKey: "Failed to send code"])
                 }
                 
@@ -967,11 +975,20 @@ struct CallOnboardingView: View {
                     throw NSError(domain: "", code: 0, userInfo: [NSLocalizedDescriptionKey: "Invalid response"])
                 }
                 
+                if let limitError = TwilioError.from(statusCode: httpResponse.statusCode, data: data) {
+                    throw limitError
+                }
+                
                 if let json = try JSONSerialization.jsonObject(with: data) as? [String: Any],
                    let valid = json["valid"] as? Bool {
+                    // Token the backend requires for scheduling calls to this number
+                    let token = json["token"] as? String
                     await MainActor.run {
                         if valid {
                             isVerified = true
+                            if let token {
+                                TwilioCallService.deviceToken = token
+                            }
                             // Dismiss keyboard
                             isCodeFieldFocused = false
                             // Haptic feedback for success
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { LimitError, sendLimitError, createRateLimiter } = require('./rateLimit');
+
+// ============================================
+// ADMIN AUTH - Password protection for the dashboard and debug routes
+// ============================================
+// Operators sign in with HTTP Basic auth (ADMIN_USERNAME / ADMIN_PASSWORD), so
+// the browser asks for the password once and sends it with every request.
+// Without ADMIN_PASSWORD the admin routes answer 404. Repeated wrong passwords
+// from one IP are locked out for a while. Because browsers attach Basic
+// credentials to cross-site form posts too, requests that change something
+// must also carry the X-NoForget-Admin header, which forms can't set.
+
+const REALM = 'NoForget admin';
+const CSRF_HEADER = 'X-NoForget-Admin';
+
+// Compare digests so the comparison takes as long for any guess
+function sameSecret(given, expected) {
+    const a = crypto.createHash('sha256').update(String(given)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// "Basic dXNlcjpwYXNz" -> { username, password }, or null
+function parseBasicAuth(header) {
+    const match = String(header || '').match(/^Basic\s+(.+)$/i);
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1].trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+    return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function createAdminAuth({ username = 'admin', password, maxFailures = 10, lockoutMs = 15 * 60 * 1000 }) {
+    const failures = createRateLimiter({ windowMs: lockoutMs, max: maxFailures });
+
+    function challenge(res) {
+        res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+        return res.status(401).json({ error: 'Admin credentials required' });
+    }
+
+    /**
+     * Express middleware for admin-only routes. Sets req.admin to the
+     * operator's username.
+     */
+    function requireAdmin(req, res, next) {
+        if (!password) {
+            return res.status(404).json({ error: 'Admin dashboard is disabled. Set ADMIN_PASSWORD to enable it.' });
+        }
+
+        const locked = failures.check(req.ip);
+        if (!locked.allowed) {
+            return sendLimitError(res, new LimitError('Too many failed admin sign-ins. Please try again later.', {
+                code: 'admin_locked',
+                retryAfterMs: locked.retryAfterMs
+            }));
+        }
+
+        const credentials = parseBasicAuth(req.get('Authorization'));
+        if (!credentials) {
+            return challenge(res);
+        }
+
+        // Check both so a wrong username takes as long as a wrong password
+        const userOk = sameSecret(credentials.username, username);
+        const passwordOk = sameSecret(credentials.password, password);
+        if (!userOk || !passwordOk) {
+            failures.hit(req.ip);
+            logger.warn('Failed admin sign-in', { ip: req.ip, path: req.originalUrl });
+            return challenge(res);
+        }
+
+        if (!['GET', 'HEAD'].includes(req.method) && !req.get(CSRF_HEADER)) {
+            return res.status(403).json({ error: `Admin changes must send the ${CSRF_HEADER} header` });
+        }
+
+        req.admin = credentials.username;
+        next();
+    }
+
+    return { requireAdmin, enabled: Boolean(password) };
+}
+
+module.exports = { createAdminAuth, parseBasicAuth, CSRF_HEADER };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// AUDIO CLIPS - Sound files reminder calls can play
+// ============================================
+// Clips are MP3 or WAV files, recognised by their content rather than the
+// Content-Type the client claims, since Twilio's <Play> only handles real
+// audio. Files live in one directory under random names and are served
+// publicly from there (Twilio has to fetch them), so a clip's URL is its secret.
+
+const AUDIO_FORMATS = [
+    {
+        extension: 'mp3',
+        contentType: 'audio/mpeg',
+        // An ID3 tag, or straight into an MPEG audio frame (11 sync bits)
+        matches: buffer => buffer.slice(0, 3).toString('latin1') === 'ID3' ||
+            (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)
+    },
+    {
+        extension: 'wav',
+        contentType: 'audio/wav',
+        matches: buffer => buffer.slice(0, 4).toString('latin1') === 'RIFF' &&
+            buffer.slice(8, 12).toString('latin1') === 'WAVE'
+    }
+];
+
+/**
+ * The format of an audio file as { extension, contentType }, or null when
+ * it is neither MP3 nor WAV.
+ */
+function detectAudioFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    const format = AUDIO_FORMATS.find(candidate => candidate.matches(buffer));
+    return format ? { extension: format.extension, contentType: format.contentType } : null;
+}
+
+function createClipFiles({ directory }) {
+    // Only names we generated ever reach the filesystem
+    function filePath(fileName) {
+        if (!/^[a-z0-9_]+\.(mp3|wav)$/.test(fileName)) {
+            throw new Error(`Invalid clip file name: ${fileName}`);
+        }
+        return path.join(directory, fileName);
+    }
+
+    function write(fileName, buffer) {
+        fs.mkdirSync(directory, { recursive: true });
+        const target = filePath(fileName);
+        const tmpPath = `${target}.tmp`;
+        fs.writeFileSync(tmpPath, buffer);
+        fs.renameSync(tmpPath, target);
+    }
+
+    function remove(fileName) {
+        fs.rmSync(filePath(fileName), { force: true });
+    }
+
+    function exists(fileName) {
+        return fs.existsSync(filePath(fileName));
+    }
+
+    return { directory, write, remove, exists };
+}
+
+module.exports = { detectAudioFormat, createClipFiles, AUDIO_FORMATS };
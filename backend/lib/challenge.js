@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// ============================================
+// WAKE-UP CHALLENGES - Proof that the person pressing 1 is awake
+// ============================================
+// A reminder posted with challenge 'math' or 'code' only counts as
+// acknowledged once the answer is right:
+//   math  "What is 23 plus 48?"        -> 71
+//   code  "Enter this code: 4, 7, 1, 9" -> 4719
+// Answers are typed (ending with #) or spoken; Twilio transcribes spoken
+// numbers as digits, so anything that isn't a digit is ignored.
+
+const CHALLENGE_TYPES = ['math', 'code'];
+
+const CODE_LENGTH = 4;
+const MIN_OPERAND = 11;
+const MAX_OPERAND = 49;
+
+/**
+ * A fresh challenge of the given type: { type, operands | code, answer }.
+ */
+function createChallenge(type) {
+    if (type === 'code') {
+        const code = Array.from({ length: CODE_LENGTH }, () => crypto.randomInt(10)).join('');
+        return { type, code, answer: code };
+    }
+
+    const a = crypto.randomInt(MIN_OPERAND, MAX_OPERAND + 1);
+    const b = crypto.randomInt(MIN_OPERAND, MAX_OPERAND + 1);
+    return { type: 'math', operands: [a, b], answer: String(a + b) };
+}
+
+// The question as the call's catalog words it
+function challengePrompt(challenge, messages) {
+    return challenge.type === 'code'
+        ? messages.challengeCode(challenge.code.split('').join(', '))
+        : messages.challengeMath(...challenge.operands);
+}
+
+// Whether the keys pressed or the words heard answer the challenge
+function checkChallengeAnswer(challenge, { digits, speech }) {
+    const given = String(digits || speech || '').replace(/\D/g, '');
+    return given !== '' && given === challenge.answer;
+}
+
+module.exports = { CHALLENGE_TYPES, createChallenge, challengePrompt, checkChallengeAnswer };
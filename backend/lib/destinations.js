@@ -0,0 +1,59 @@
+// ============================================
+// DESTINATION RULES - Which numbers we call and text
+// ============================================
+// Numbers must be E.164 (+ and 8-15 digits). Country codes are matched as
+// digit prefixes, so "1" covers all of North America. Denied prefixes block
+// premium-rate and other expensive ranges and win over the allow list.
+
+// Premium-rate ranges blocked unless DENIED_PREFIXES overrides them
+const DEFAULT_DENIED_PREFIXES = [
+    '+1900', '+1976',               // US/Canada premium
+    '+449', '+4487',                // UK premium and special rate
+    '+49900', '+49137',             // Germany premium and televoting
+    '+3389',                        // France premium
+    '+34803', '+34806', '+34807'    // Spain premium
+];
+
+// "1, +44,49" -> ['1', '44', '49']
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function digitsOf(prefix) {
+    return String(prefix).replace(/\D/g, '');
+}
+
+function createDestinationRules({ allowedCountryCodes, deniedCountryCodes, deniedPrefixes } = {}) {
+    const allowed = parseList(allowedCountryCodes).map(digitsOf);
+    const denied = parseList(deniedCountryCodes).map(digitsOf);
+    const prefixes = (deniedPrefixes === undefined ? DEFAULT_DENIED_PREFIXES : parseList(deniedPrefixes)).map(digitsOf);
+
+    /**
+     * Why we won't call or text a number, or null if we will.
+     * Returns { error, code } with a client-facing message.
+     */
+    function check(phoneNumber) {
+        const normalized = String(phoneNumber || '').replace(/[^\d+]/g, '');
+        if (!/^\+[1-9]\d{7,14}$/.test(normalized)) {
+            return { error: 'Phone number must be in international format, like +14155550123', code: 'invalid_number' };
+        }
+
+        const digits = normalized.slice(1);
+        if (prefixes.some(prefix => digits.startsWith(prefix))) {
+            return { error: 'Premium-rate and special numbers are not supported', code: 'premium_rate' };
+        }
+        if (denied.some(code => digits.startsWith(code)) ||
+            (allowed.length && !allowed.some(code => digits.startsWith(code)))) {
+            return { error: 'Phone numbers in this country are not supported', code: 'country_not_allowed' };
+        }
+        return null;
+    }
+
+    return { check };
+}
+
+module.exports = { createDestinationRules, DEFAULT_DENIED_PREFIXES };
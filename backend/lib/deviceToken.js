@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// ============================================
+// DEVICE TOKENS - Proof that a device verified a phone number
+// ============================================
+// Issued by /verify/check once Twilio Verify approves a code. A token is
+// base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of the payload), where
+// the payload is { phoneNumber, iat, exp } (seconds since the epoch).
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function sign(secret, payload) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+function createDeviceTokens({ secret, ttlDays = 365 }) {
+    if (!secret) {
+        throw new Error('A device token secret is required');
+    }
+
+    function issue(phoneNumber) {
+        const now = Math.floor(Date.now() / 1000);
+        const payload = base64url(JSON.stringify({
+            phoneNumber,
+            iat: now,
+            exp: now + ttlDays * 24 * 60 * 60
+        }));
+
+        return {
+            token: `${payload}.${sign(secret, payload)}`,
+            expiresAt: new Date((now + ttlDays * 24 * 60 * 60) * 1000).toISOString()
+        };
+    }
+
+    // Returns the token's claims, or null if it is malformed, forged or expired
+    function verify(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(sign(secret, payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!claims.phoneNumber || claims.exp * 1000 < Date.now()) return null;
+            return claims;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Express middleware: requires "Authorization: Bearer <token>" and sets
+     * req.phoneNumber to the verified number.
+     */
+    function requireDeviceToken(req, res, next) {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+
+        if (!match) {
+            return res.status(401).json({ error: 'Device token required. Verify your phone number first.' });
+        }
+
+        const claims = verify(match[1].trim());
+        if (!claims) {
+            return res.status(401).json({ error: 'Invalid or expired device token. Verify your phone number again.' });
+        }
+
+        req.phoneNumber = claims.phoneNumber;
+        next();
+    }
+
+    return { issue, verify, requireDeviceToken };
+}
+
+module.exports = { createDeviceTokens };
@@ -0,0 +1,76 @@
+// ============================================
+// EVENT STREAM - Reminder events pushed over Server-Sent Events
+// ============================================
+// Each client keeps a response open and gets every event for its number (or
+// for one reminder) as it happens:
+//   id: evt_...       <- sent back as Last-Event-ID to resume after reconnecting
+//   event: ringing
+//   data: { "id": ..., "type": ..., "createdAt": ..., "data": { ... } }
+// A comment line goes out every heartbeat so proxies keep the connection
+// open and clients notice when it drops.
+
+function createEventStream({ heartbeatMs = 15000, retryMs = 3000, maxClientsPerNumber = 5 } = {}) {
+    const clients = new Set();
+
+    function write(client, event) {
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    function wants(client, phoneNumber, event) {
+        if (client.phoneNumber !== phoneNumber) return false;
+        return !client.reminderId ||
+            event.data.reminderId === client.reminderId ||
+            event.data.scheduledId === client.reminderId;
+    }
+
+    function count(phoneNumber) {
+        return Array.from(clients).filter(client => client.phoneNumber === phoneNumber).length;
+    }
+
+    // Whether the number may open another stream
+    function hasRoom(phoneNumber) {
+        return count(phoneNumber) < maxClientsPerNumber;
+    }
+
+    /**
+     * Turn the response into a stream. `backlog` holds the events the client
+     * missed since its Last-Event-ID, oldest first; they are sent right away.
+     */
+    function open(req, res, { phoneNumber, reminderId, backlog = [] }) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'  // Don't let a proxy buffer the stream
+        });
+        res.write(`retry: ${retryMs}\n\n`);
+
+        const client = { res, phoneNumber, reminderId };
+        backlog.filter(event => wants(client, phoneNumber, event)).forEach(event => write(client, event));
+        clients.add(client);
+
+        const heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), heartbeatMs);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+    }
+
+    // Send an event to every client listening for it
+    function publish(phoneNumber, event) {
+        for (const client of clients) {
+            if (wants(client, phoneNumber, event)) write(client, event);
+        }
+    }
+
+    return {
+        open,
+        publish,
+        hasRoom,
+        get size() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,119 @@
+// ============================================
+// REMINDER HISTORY - What happened to reminders after they leave scheduledCalls
+// ============================================
+// Cleanup drops finished reminders from scheduledCalls after an hour, so each
+// entry is copied here first and kept for the retention period. Records are
+// keyed by reminder id; re-using an id keeps only the latest run.
+
+// Deep copy, so later changes to a live entry can't reach the archived one
+function snapshot(entry) {
+    return JSON.parse(JSON.stringify(entry));
+}
+
+function createHistory({ collection, retentionDays = 30, maxEntries = 5000 }) {
+    const retention = retentionDays * 24 * 60 * 60 * 1000;
+
+    // Copy a reminder into the history. `reason` says why it left scheduledCalls.
+    function archive(scheduled, reason, now = Date.now()) {
+        collection.set(scheduled.id, {
+            ...snapshot(scheduled),
+            archivedAt: new Date(now).toISOString(),
+            archiveReason: reason
+        });
+    }
+
+    function get(id) {
+        return collection.get(id);
+    }
+
+    function all() {
+        return Array.from(collection.values());
+    }
+
+    // Drop records past the retention period, then the oldest beyond maxEntries.
+    // Returns how many were removed.
+    function prune(now = Date.now()) {
+        let removed = 0;
+
+        for (const [id, record] of collection.entries()) {
+            if (now - new Date(record.archivedAt).getTime() > retention) {
+                collection.delete(id);
+                removed++;
+            }
+        }
+
+        if (collection.size > maxEntries) {
+            const oldest = Array.from(collection.values())
+                .sort((a, b) => new Date(a.archivedAt) - new Date(b.archivedAt))
+                .slice(0, collection.size - maxEntries);
+            for (const record of oldest) {
+                collection.delete(record.id);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    return { archive, get, all, prune };
+}
+
+function toIso(time) {
+    return time === undefined || time === null ? undefined : new Date(time).toISOString();
+}
+
+/**
+ * Every recorded event of a reminder, oldest first:
+ * scheduling, each attempt's progress and response, and how it ended.
+ */
+function buildTimeline(entry) {
+    const events = [];
+    const add = (at, event, details = {}) => {
+        if (at) events.push({ at: toIso(at), event, ...details });
+    };
+
+    add(entry.scheduledAt, 'scheduled', { callAt: toIso(entry.callAt) });
+    add(entry.missedAt, 'missed');
+
+    for (const quiet of entry.quietHoursEvents || []) {
+        add(quiet.at, `quiet-hours-${quiet.action}`, { until: quiet.until });
+    }
+
+    for (const attempt of entry.attempts || []) {
+        const ids = attempt.callSid ? { callSid: attempt.callSid } : { messageSid: attempt.messageSid };
+        const base = { attempt: attempt.attempt, channel: attempt.channel, ...ids };
+
+        add(attempt.startedAt, attempt.channel === 'sms' ? 'sms-sending' : 'dialing', base);
+        add(attempt.ringingAt, 'ringing', base);
+        add(attempt.answeredAt, 'answered', base);
+        add(attempt.respondedAt, 'response', {
+            ...base,
+            outcome: attempt.outcome,
+            keypress: attempt.keypress,
+            speech: attempt.speech,
+            repliedVia: attempt.repliedVia
+        });
+        if (attempt.challenge) {
+            add(attempt.challenge.startedAt, 'challenge', { ...base, type: attempt.challenge.type });
+            add(attempt.challenge.endedAt, `challenge-${attempt.challenge.status}`, {
+                ...base,
+                wrongAnswers: attempt.challenge.wrongAnswers
+            });
+        }
+        add(attempt.endedAt, attempt.status, {
+            ...base,
+            duration: attempt.duration,
+            outcome: attempt.outcome,
+            error: attempt.error
+        });
+    }
+
+    add(entry.acknowledgedAt, 'acknowledged');
+    add(entry.snoozedAt, 'snoozed', { snoozedTo: entry.snoozedTo });
+    add(entry.gaveUpAt, 'given-up', { status: entry.status });
+    add(entry.cancelledAt, 'cancelled');
+
+    return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+module.exports = { createHistory, buildTimeline };
@@ -0,0 +1,441 @@
+const { zonedTimeToUtc, getTimezoneOffset, isValidTimezone } = require('./recurrence');
+
+// ============================================
+// ICALENDAR - Reading and writing .ics files (RFC 5545 subset)
+// ============================================
+// parseCalendar() reads the VEVENTs of a calendar with their VALARMs;
+// eventCallTimes() works out when to call for an event: once per alarm, or at
+// the start when it has none. serializeCalendar() writes the per-number feed.
+// Times with a TZID must use an IANA name ("Europe/Berlin"); floating times
+// and all-day dates are read in the timezone the caller passes in.
+
+const MAX_LINE_OCTETS = 75;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// All-day events without an alarm are called at this local hour on the day
+const ALL_DAY_CALL_HOUR = 9;
+
+// Undo RFC 5545 line folding: a line starting with a space or tab continues the previous one
+function unfold(text) {
+    return String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+}
+
+// 'DTSTART;TZID=Europe/Berlin:20261020T090000' -> { name, params: { TZID }, value }
+function parseLine(line) {
+    let index = 0;
+    let quoted = false;
+    while (index < line.length && (quoted || line[index] !== ':')) {
+        if (line[index] === '"') quoted = !quoted;
+        index++;
+    }
+    if (index === line.length) {
+        throw new Error(`Invalid calendar line: ${line.slice(0, 40)}`);
+    }
+
+    const [name, ...rawParams] = line.slice(0, index).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    for (const param of rawParams) {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// '20261020T090000Z' or '20261020' -> wall-clock parts plus { utc, date, tzid }
+function parseDateTime({ value, params }) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return {
+        year: +match[1],
+        month: +match[2] - 1,
+        day: +match[3],
+        hour: +(match[4] || 0),
+        minute: +(match[5] || 0),
+        second: +(match[6] || 0),
+        utc: Boolean(match[7]),
+        date: !match[4] || params.VALUE === 'DATE',
+        tzid: params.TZID
+    };
+}
+
+// Instant for a parsed date-time; floating times and dates are read in `timezone`
+function resolveDateTime(parts, timezone) {
+    if (parts.utc) {
+        return Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    }
+    if (parts.tzid && !isValidTimezone(parts.tzid)) {
+        throw new Error(`Unsupported TZID "${parts.tzid}". Use an IANA name like "Europe/Berlin".`);
+    }
+    return zonedTimeToUtc(parts, parts.tzid || timezone);
+}
+
+// '-P1DT2H30M' -> milliseconds (negative before the anchor)
+function parseDuration(value) {
+    const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match || value.trim().replace(/^[+-]/, '') === 'P') {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((+weeks || 0) * 7 * DAY_MS) + ((+days || 0) * DAY_MS) +
+        ((+hours || 0) * 3600 + (+minutes || 0) * 60 + (+seconds || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Read the events of an iCalendar text. Returns { name, timezone, events },
+ * where each event has its properties as parsed lines (DTSTART, RRULE, ...)
+ * and its alarms as { action, trigger }. Throws on anything that isn't a calendar.
+ */
+function parseCalendar(text) {
+    const lines = unfold(text).map(parseLine);
+    if (!lines.length || lines[0].name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') {
+        throw new Error('Not an iCalendar file: it must start with BEGIN:VCALENDAR');
+    }
+
+    const calendar = { name: undefined, timezone: undefined, events: [] };
+    const stack = [];
+    let event = null;
+    let alarm = null;
+
+    for (const line of lines) {
+        const value = line.value.toUpperCase();
+
+        if (line.name === 'BEGIN') {
+            stack.push(value);
+            if (value === 'VEVENT' && stack.length === 2) {
+                event = { properties: {}, exdates: [], alarms: [] };
+            } else if (value === 'VALARM' && event) {
+                alarm = {};
+            }
+            continue;
+        }
+
+        if (line.name === 'END') {
+            if (stack.pop() !== value) {
+                throw new Error(`Unbalanced END:${line.value}`);
+            }
+            if (value === 'VALARM' && alarm) {
+                if (alarm.trigger) event.alarms.push(alarm);
+                alarm = null;
+            } else if (value === 'VEVENT' && event) {
+                calendar.events.push(event);
+                event = null;
+            }
+            continue;
+        }
+
+        if (alarm) {
+            if (line.name === 'TRIGGER') alarm.trigger = line;
+            if (line.name === 'ACTION') alarm.action = value;
+        } else if (event && stack[stack.length - 1] === 'VEVENT') {
+            if (line.name === 'EXDATE') {
+                event.exdates.push(line);
+            } else {
+                event.properties[line.name] = line;
+            }
+        } else if (stack.length === 1) {
+            if (line.name === 'X-WR-CALNAME') calendar.name = unescapeText(line.value);
+            if (line.name === 'X-WR-TIMEZONE') calendar.timezone = line.value.trim();
+        }
+    }
+
+    if (stack.length) {
+        throw new Error(`Missing END:${stack[stack.length - 1]}`);
+    }
+    return calendar;
+}
+
+// A text property of an event, unescaped, or undefined
+function eventText(event, name) {
+    const property = event.properties[name];
+    return property ? unescapeText(property.value).trim() : undefined;
+}
+
+// A date property of an event (LAST-MODIFIED, ...) as an instant, or undefined
+function eventDate(event, name, timezone) {
+    const property = event.properties[name];
+    return property ? resolveDateTime(parseDateTime(property), timezone) : undefined;
+}
+
+/**
+ * When to call for an event: one time per alarm (TRIGGER relative to the
+ * start or end, or an absolute time), or at the start when it has none.
+ * Returns { timezone, callTimes, rrule }. Throws with a client-facing message.
+ */
+function eventCallTimes(event, timezone) {
+    const startProperty = event.properties.DTSTART;
+    if (!startProperty) {
+        throw new Error('Event has no DTSTART');
+    }
+
+    const startParts = parseDateTime(startProperty);
+    const eventTimezone = startParts.tzid || timezone;
+    const start = resolveDateTime(startParts, timezone);
+
+    let end = start;
+    if (event.properties.DTEND) {
+        end = resolveDateTime(parseDateTime(event.properties.DTEND), timezone);
+    } else if (event.properties.DURATION) {
+        end = start + parseDuration(event.properties.DURATION.value);
+    }
+
+    const rrule = event.properties.RRULE ? event.properties.RRULE.value.trim() : undefined;
+
+    const callTimes = event.alarms.map(({ trigger }) => {
+        if (trigger.params.VALUE === 'DATE-TIME') {
+            if (rrule) {
+                throw new Error('Alarms at a fixed time are not supported on repeating events');
+            }
+            return resolveDateTime(parseDateTime(trigger), timezone);
+        }
+        const anchor = (trigger.params.RELATED || 'START').toUpperCase() === 'END' ? end : start;
+        return anchor + parseDuration(trigger.value);
+    });
+
+    if (!callTimes.length) {
+        callTimes.push(startParts.date
+            ? zonedTimeToUtc({ ...startParts, hour: ALL_DAY_CALL_HOUR }, eventTimezone)
+            : start);
+    }
+
+    return { timezone: eventTimezone, callTimes: [...new Set(callTimes)].sort((a, b) => a - b), rrule };
+}
+
+// 1761037200000 -> '20251021T090000Z'
+function formatUtc(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// One formatter per zone for formatLocal(); building them is slow
+const localFormatters = new Map();
+
+// '20251021T110000' as the wall-clock time in `timezone`
+function formatLocal(time, timezone) {
+    if (!localFormatters.has(timezone)) {
+        localFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = localFormatters.get(timezone).formatToParts(new Date(time))
+        .reduce((all, { type, value }) => ({ ...all, [type]: value }), {});
+    return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+// ============================================
+// VTIMEZONE - Offset rules for the TZIDs a feed uses
+// ============================================
+// Intl can't list a zone's rules, so offset changes are found by sampling the
+// offset once a week and narrowing each change down to the minute (zones
+// don't change their offset twice within a week). A change
+// that comes back every year on the same weekday rule ("last Sunday in March
+// at 02:00") becomes one observance with a yearly RRULE; any other change is
+// written as it happened.
+
+// Years scanned before the current one, at most (events may start earlier)
+const TIMEZONE_MAX_YEARS_BACK = 10;
+
+const WEEK_MS = 7 * DAY_MS;
+
+// Offset changes per zone and year: feeds are fetched over and over, with
+// different year ranges, and a year's changes never change
+const changesCache = new Map();
+
+function offsetMinutes(time, timezone) {
+    return Math.round(getTimezoneOffset(time, timezone) / MINUTE_MS);
+}
+
+// Every change of the zone's UTC offset between two UTC midnights:
+// [{ at, from, to }] with `at` the first minute of the new offset
+function offsetChanges(timezone, start, end) {
+    const changes = [];
+    let before = offsetMinutes(start, timezone);
+
+    for (let sample = start; sample < end;) {
+        const previous = sample;
+        sample = Math.min(sample + WEEK_MS, end);
+        const after = offsetMinutes(sample, timezone);
+        if (after === before) continue;
+
+        let low = previous;
+        let high = sample;
+        while (high - low > MINUTE_MS) {
+            const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+            if (offsetMinutes(middle, timezone) === before) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        changes.push({ at: high, from: before, to: after });
+        before = after;
+    }
+    return changes;
+}
+
+// -300 -> '-0500'
+function formatOffset(minutes) {
+    const hours = Math.floor(Math.abs(minutes) / 60);
+    return `${minutes < 0 ? '-' : '+'}${String(hours).padStart(2, '0')}${String(Math.abs(minutes) % 60).padStart(2, '0')}`;
+}
+
+// A change as an observance: its local start (in the old offset, as RFC 5545
+// wants) and the yearly rule it would follow
+function describeChange(change) {
+    const local = new Date(change.at + change.from * MINUTE_MS);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const rule = `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${WEEKDAYS[local.getUTCDay()]}`;
+
+    return {
+        ...change,
+        year: local.getUTCFullYear(),
+        start: formatUtc(local).slice(0, -1),
+        rule,
+        key: `${change.from}/${change.to}/${local.getUTCHours()}:${local.getUTCMinutes()}/${rule}`
+    };
+}
+
+function yearChanges(timezone, year) {
+    const cacheKey = `${timezone}/${year}`;
+    if (!changesCache.has(cacheKey)) {
+        changesCache.set(cacheKey, offsetChanges(timezone, Date.UTC(year, 0, 1), Date.UTC(year + 1, 0, 1)));
+    }
+    return changesCache.get(cacheKey);
+}
+
+/**
+ * VTIMEZONE lines for an IANA zone, valid from the start of `fromYear`
+ * (or earlier) and following the zone's current rules after `toYear`.
+ */
+function timezoneLines(timezone, fromYear, toYear) {
+    const changes = [];
+    for (let year = fromYear - 1; year <= toYear; year++) {
+        changes.push(...yearChanges(timezone, year).map(describeChange));
+    }
+
+    // Runs of the same change in consecutive years
+    const runs = [];
+    for (const change of changes) {
+        const run = runs.find(candidate => candidate.key === change.key &&
+            candidate.changes[candidate.changes.length - 1].year === change.year - 1);
+        if (run) {
+            run.changes.push(change);
+        } else {
+            runs.push({ key: change.key, changes: [change] });
+        }
+    }
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+    if (!runs.length) {
+        const offset = formatOffset(offsetMinutes(Date.UTC(toYear, 0, 1), timezone));
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    }
+    for (const { changes: [first, ...rest] } of runs) {
+        const last = rest.length ? rest[rest.length - 1] : first;
+        const kind = first.to > first.from ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${first.start}`,
+            `TZOFFSETFROM:${formatOffset(first.from)}`,
+            `TZOFFSETTO:${formatOffset(first.to)}`
+        );
+        // A rule still in use at the end of the scan runs on; one that stopped gets an UNTIL
+        if (rest.length) {
+            lines.push(last.year === toYear ? `RRULE:${first.rule}` : `RRULE:${first.rule};UNTIL=${formatUtc(last.at)}`);
+        }
+        lines.push(`END:${kind}`);
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+// Fold a content line at 75 octets without splitting a UTF-8 character
+function fold(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * An iCalendar text for events like
+ *   { uid, start, timezone, durationMinutes, summary, description, rrule }.
+ * Repeating events are written in their timezone (TZID with the IANA name,
+ * described by a VTIMEZONE) so they keep their wall-clock time across DST;
+ * others in UTC.
+ */
+function serializeCalendar({ name, events, refreshMinutes = 15, now = Date.now() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//NoForget//Reminders//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+        `X-PUBLISHED-TTL:PT${refreshMinutes}M`
+    ];
+
+    // Every TZID used, with the years of its earliest and latest event
+    const thisYear = new Date(now).getUTCFullYear();
+    const timezones = new Map();
+    for (const event of events.filter(item => item.rrule && item.timezone)) {
+        const year = Math.max(new Date(event.start).getUTCFullYear(), thisYear - TIMEZONE_MAX_YEARS_BACK);
+        const range = timezones.get(event.timezone) || { from: year, to: thisYear };
+        timezones.set(event.timezone, { from: Math.min(range.from, year), to: Math.max(range.to, year) });
+    }
+    for (const [timezone, { from, to }] of timezones) {
+        lines.push(...timezoneLines(timezone, from, to));
+    }
+
+    for (const event of events) {
+        const local = event.rrule && event.timezone;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${escapeText(event.uid)}`,
+            `DTSTAMP:${formatUtc(now)}`,
+            local ? `DTSTART;TZID=${event.timezone}:${formatLocal(event.start, event.timezone)}` : `DTSTART:${formatUtc(event.start)}`,
+            `DURATION:PT${event.durationMinutes || 5}M`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    parseCalendar,
+    eventText,
+    eventDate,
+    eventCallTimes,
+    parseDuration,
+    serializeCalendar
+};
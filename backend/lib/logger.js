@@ -0,0 +1,71 @@
+// ============================================
+// LOGGING - Leveled, structured log lines
+// ============================================
+// Every line is one JSON object:
+//   {"time":"...","level":"info","msg":"Call initiated","reminderId":"...","callSid":"CA..."}
+// Pass correlation fields (reminderId, scheduledId, callSid, messageSid,
+// phoneNumber) so one reminder can be followed across the logs. An `err`
+// field is written as { message, code, stack }.
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error);
+// LOG_FORMAT=pretty writes readable lines for local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return { message: error.message, code: error.code, stack: error.stack };
+}
+
+function prettyLine({ time, level, msg, ...fields }) {
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? `  ${extra}` : ''}`;
+}
+
+/**
+ * A logger writing lines at `level` and above. child(fields) returns a
+ * logger that adds `fields` to every line it writes.
+ */
+function createLogger({
+    level = 'info',
+    format = 'json',
+    fields = {},
+    write = line => process.stdout.write(`${line}\n`)
+} = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level: ${level}. Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    const threshold = LEVELS[level];
+
+    function log(lineLevel, msg, extra = {}) {
+        if (LEVELS[lineLevel] < threshold) return;
+
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            if (value !== undefined) entry[key] = key === 'err' ? serializeError(value) : value;
+        }
+
+        try {
+            write(format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry));
+        } catch (error) {
+            // Logging must never take a request down with it
+        }
+    }
+
+    return {
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        child: extra => createLogger({ level, format, fields: { ...fields, ...extra }, write })
+    };
+}
+
+// The process-wide logger, configured from the environment
+const logger = createLogger({
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'
+});
+
+module.exports = { createLogger, logger, LEVELS };
@@ -0,0 +1,413 @@
+const { getZonedParts } = require('./recurrence');
+
+// ============================================
+// MESSAGE CATALOGS - Spoken prompts and texts per locale
+// ============================================
+// Each catalog lists the Polly voices that speak its language (the first one
+// is the default), every prompt the reminder calls (wake-up challenges
+// included), backup contact calls, voicemails, recording calls and the
+// Remind Line say, the reminder texts and SMS replies, and the keywords the
+// speech parser (lib/speech.js) listens for. Prompts that embed a value are
+// functions. SMS keywords (DONE, SNOOZE, STOP) are the same in every language.
+
+// 75 -> "1 hour and 15 minutes"
+function joinDuration(totalMinutes, hour, hours, minute, minutes, and) {
+    const h = Math.floor(totalMinutes / 60);
+    const m = totalMinutes % 60;
+    const parts = [];
+    if (h) parts.push(`${h} ${h === 1 ? hour : hours}`);
+    if (m || !h) parts.push(`${m} ${m === 1 ? minute : minutes}`);
+    return parts.join(` ${and} `);
+}
+
+const catalogs = {
+    'en-US': {
+        voices: ['Polly.Joanna', 'Polly.Matthew'],
+        intro: 'Attention! This is your NoForget reminder.',
+        scheduledFor: due => `This was scheduled for ${due}.`,
+        menu: minutes => `Press 1 or say done to confirm you received this reminder. Press 2 or say snooze to be called again in ${minutes} minutes. For a different time, say something like snooze twenty minutes, or press star.`,
+        waiting: 'Waiting for your response.',
+        acknowledged: 'Thank you! Your reminder has been acknowledged. Have a great day!',
+        snoozed: (duration, when) => `Got it! I will call you again in ${duration}, ${when}.`,
+        notUnderstood: "Sorry, I didn't understand that. Press 1 or say done to confirm, or press 2 or say snooze.",
+        enterMinutes: 'Enter the number of minutes, then press pound.',
+        duration: minutes => joinDuration(minutes, 'hour', 'hours', 'minute', 'minutes', 'and'),
+        noResponse: 'No response received. Goodbye.',
+        voicemailIntro: 'Hello, this is your NoForget reminder.',
+        voicemailCallBack: 'To confirm it, call this number back. Goodbye.',
+        voicemailGoodbye: 'Goodbye.',
+        challengeIntro: 'Before this counts as done, prove that you are awake.',
+        challengeMath: (a, b) => `What is ${a} plus ${b}? Enter or say the answer, then press pound.`,
+        challengeCode: code => `Enter or say this code, then press pound: ${code}.`,
+        challengeWrong: "That's not right. Let's try again.",
+        challengeFailed: duration => `That's still not right. I will call you again in ${duration}. Goodbye.`,
+        recordIntro: 'After the beep, record your message for NoForget reminders. Press pound when you are done.',
+        recordSaved: 'Thank you, your message has been saved. Goodbye.',
+        recordEmpty: "I didn't hear a message. Goodbye.",
+        smsReminder: title => `NoForget reminder: ${title}`,
+        smsScheduledFor: due => `Scheduled for ${due}.`,
+        smsNow: 'now',
+        smsReplyHint: 'Reply DONE to confirm or SNOOZE 15 to be reminded again in 15 minutes.',
+        smsNothingPending: 'There is no reminder waiting for a reply.',
+        smsAcknowledged: title => `Thanks! "${title}" has been acknowledged.`,
+        smsSnoozed: duration => `Got it! I will remind you again in ${duration}.`,
+        smsHelp: 'Reply DONE to confirm your reminder, SNOOZE 15 to be reminded again in 15 minutes, or STOP to stop texts.',
+        escalationIntro: 'Attention! This is a call from NoForget.',
+        escalationMissed: (name, title) => `${name || 'Someone who listed you as a backup contact'} did not confirm their reminder: ${title}.`,
+        escalationMenu: 'Press 1 or say done to confirm that you will take care of it.',
+        escalationAcknowledged: 'Thank you! Nobody else will be called about this reminder. Goodbye.',
+        escalationNotUnderstood: "Sorry, I didn't understand that. Press 1 or say done to confirm.",
+        lineGreeting: 'This is the NoForget Remind Line.',
+        lineNoReminders: "There are no missed or upcoming reminders for this number. Goodbye.",
+        lineSummary: (missed, upcoming) => `Missed reminders: ${missed}. Upcoming reminders: ${upcoming}.`,
+        lineMissed: (title, due) => `Missed reminder: ${title}, scheduled for ${due}.`,
+        lineUpcoming: (title, due) => `Upcoming reminder: ${title}, ${due}.`,
+        lineMissedMenu: minutes => `Press 1 to confirm it, 2 to be called again in ${minutes} minutes, 3 to cancel it, or 9 for the next reminder.`,
+        lineUpcomingMenu: 'Press 1 to mark it as done, 3 to cancel it, or 9 for the next reminder.',
+        lineDone: 'Marked as done.',
+        lineCancelled: 'Reminder cancelled.',
+        lineNotUnderstood: "Sorry, I didn't understand that.",
+        lineEnd: "That's all your reminders. Goodbye.",
+        today: time => `today at ${time}`,
+        tomorrow: time => `tomorrow at ${time}`,
+        yesterday: time => `yesterday at ${time}`,
+        onDate: (date, time) => `${date} at ${time}`,
+        keywords: {
+            confirm: ['done', 'yes', 'yeah', 'yep', 'confirm', 'confirmed', 'okay', 'ok', 'got it', 'i did', 'received'],
+            snooze: ['snooze', 'later', 'call me back', 'call back', 'remind me', 'again', 'not yet', 'not done', 'wait'],
+            minute: ['min'],
+            hour: ['hour'],
+            halfHour: ['half an hour', 'half hour'],
+            quarterHour: ['quarter of an hour', 'quarter hour'],
+            andAHalf: ['and a half']
+        }
+    },
+    'en-GB': {
+        voices: ['Polly.Amy', 'Polly.Brian'],
+        intro: 'Attention! This is your NoForget reminder.',
+        scheduledFor: due => `This was scheduled for ${due}.`,
+        menu: minutes => `Press 1 or say done to confirm you received this reminder. Press 2 or say snooze to be called again in ${minutes} minutes. For a different time, say something like snooze twenty minutes, or press star.`,
+        waiting: 'Waiting for your response.',
+        acknowledged: 'Thank you! Your reminder has been acknowledged. Have a lovely day!',
+        snoozed: (duration, when) => `Got it! I will ring you again in ${duration}, ${when}.`,
+        notUnderstood: "Sorry, I didn't understand that. Press 1 or say done to confirm, or press 2 or say snooze.",
+        enterMinutes: 'Enter the number of minutes, then press pound.',
+        duration: minutes => joinDuration(minutes, 'hour', 'hours', 'minute', 'minutes', 'and'),
+        noResponse: 'No response received. Goodbye.',
+        voicemailIntro: 'Hello, this is your NoForget reminder.',
+        voicemailCallBack: 'To confirm it, ring this number back. Goodbye.',
+        voicemailGoodbye: 'Goodbye.',
+        challengeIntro: 'Before this counts as done, prove that you are awake.',
+        challengeMath: (a, b) => `What is ${a} plus ${b}? Enter or say the answer, then press hash.`,
+        challengeCode: code => `Enter or say this code, then press hash: ${code}.`,
+        challengeWrong: "That's not right. Let's try again.",
+        challengeFailed: duration => `That's still not right. I will ring you again in ${duration}. Goodbye.`,
+        recordIntro: 'After the beep, record your message for NoForget reminders. Press hash when you are done.',
+        recordSaved: 'Thank you, your message has been saved. Goodbye.',
+        recordEmpty: "I didn't hear a message. Goodbye.",
+        smsReminder: title => `NoForget reminder: ${title}`,
+        smsScheduledFor: due => `Scheduled for ${due}.`,
+        smsNow: 'now',
+        smsReplyHint: 'Reply DONE to confirm or SNOOZE 15 to be reminded again in 15 minutes.',
+        smsNothingPending: 'There is no reminder waiting for a reply.',
+        smsAcknowledged: title => `Thanks! "${title}" has been acknowledged.`,
+        smsSnoozed: duration => `Got it! I will remind you again in ${duration}.`,
+        smsHelp: 'Reply DONE to confirm your reminder, SNOOZE 15 to be reminded again in 15 minutes, or STOP to stop texts.',
+        escalationIntro: 'Attention! This is a call from NoForget.',
+        escalationMissed: (name, title) => `${name || 'Someone who listed you as a backup contact'} did not confirm their reminder: ${title}.`,
+        escalationMenu: 'Press 1 or say done to confirm that you will take care of it.',
+        escalationAcknowledged: 'Thank you! Nobody else will be rung about this reminder. Goodbye.',
+        escalationNotUnderstood: "Sorry, I didn't understand that. Press 1 or say done to confirm.",
+        lineGreeting: 'This is the NoForget Remind Line.',
+        lineNoReminders: "There are no missed or upcoming reminders for this number. Goodbye.",
+        lineSummary: (missed, upcoming) => `Missed reminders: ${missed}. Upcoming reminders: ${upcoming}.`,
+        lineMissed: (title, due) => `Missed reminder: ${title}, scheduled for ${due}.`,
+        lineUpcoming: (title, due) => `Upcoming reminder: ${title}, ${due}.`,
+        lineMissedMenu: minutes => `Press 1 to confirm it, 2 to be called again in ${minutes} minutes, 3 to cancel it, or 9 for the next reminder.`,
+        lineUpcomingMenu: 'Press 1 to mark it as done, 3 to cancel it, or 9 for the next reminder.',
+        lineDone: 'Marked as done.',
+        lineCancelled: 'Reminder cancelled.',
+        lineNotUnderstood: "Sorry, I didn't understand that.",
+        lineEnd: "That's all your reminders. Goodbye.",
+        today: time => `today at ${time}`,
+        tomorrow: time => `tomorrow at ${time}`,
+        yesterday: time => `yesterday at ${time}`,
+        onDate: (date, time) => `${date} at ${time}`,
+        keywords: {
+            confirm: ['done', 'yes', 'yeah', 'yep', 'confirm', 'confirmed', 'okay', 'ok', 'got it', 'i did', 'received'],
+            snooze: ['snooze', 'later', 'call me back', 'call back', 'remind me', 'again', 'not yet', 'not done', 'wait'],
+            minute: ['min'],
+            hour: ['hour'],
+            halfHour: ['half an hour', 'half hour'],
+            quarterHour: ['quarter of an hour', 'quarter hour'],
+            andAHalf: ['and a half']
+        }
+    },
+    'de-DE': {
+        voices: ['Polly.Vicki', 'Polly.Hans'],
+        intro: 'Achtung! Dies ist deine NoForget-Erinnerung.',
+        scheduledFor: due => `Geplant war sie für ${due}.`,
+        menu: minutes => `Drücke 1 oder sag erledigt, um den Empfang zu bestätigen. Drücke 2 oder sag später, um in ${minutes} Minuten erneut angerufen zu werden. Für eine andere Zeit sag zum Beispiel in 20 Minuten, oder drücke Stern.`,
+        waiting: 'Ich warte auf deine Eingabe.',
+        acknowledged: 'Danke! Deine Erinnerung wurde bestätigt. Einen schönen Tag noch!',
+        snoozed: (duration, when) => `Alles klar! Ich rufe dich in ${duration} wieder an, ${when}.`,
+        notUnderstood: 'Das habe ich leider nicht verstanden. Drücke 1 oder sag erledigt zum Bestätigen, oder drücke 2 oder sag später zum Verschieben.',
+        enterMinutes: 'Gib die Anzahl der Minuten ein und drücke dann Raute.',
+        duration: minutes => joinDuration(minutes, 'Stunde', 'Stunden', 'Minute', 'Minuten', 'und'),
+        noResponse: 'Keine Eingabe erhalten. Auf Wiederhören.',
+        voicemailIntro: 'Hallo, hier ist deine NoForget-Erinnerung.',
+        voicemailCallBack: 'Um sie zu bestätigen, ruf diese Nummer zurück. Auf Wiederhören.',
+        voicemailGoodbye: 'Auf Wiederhören.',
+        challengeIntro: 'Bevor sie als erledigt gilt, beweise, dass du wach bist.',
+        challengeMath: (a, b) => `Wie viel ist ${a} plus ${b}? Gib das Ergebnis ein oder sag es, und drücke dann Raute.`,
+        challengeCode: code => `Gib diesen Code ein oder sag ihn, und drücke dann Raute: ${code}.`,
+        challengeWrong: 'Das stimmt leider nicht. Noch einmal.',
+        challengeFailed: duration => `Das stimmt immer noch nicht. Ich rufe dich in ${duration} wieder an. Auf Wiederhören.`,
+        recordIntro: 'Sprich nach dem Ton deine Nachricht für NoForget-Erinnerungen. Drücke Raute, wenn du fertig bist.',
+        recordSaved: 'Danke, deine Nachricht wurde gespeichert. Auf Wiederhören.',
+        recordEmpty: 'Ich habe keine Nachricht gehört. Auf Wiederhören.',
+        smsReminder: title => `NoForget-Erinnerung: ${title}`,
+        smsScheduledFor: due => `Geplant für ${due}.`,
+        smsNow: 'jetzt',
+        smsReplyHint: 'Antworte DONE zum Bestätigen oder SNOOZE 15, um in 15 Minuten erneut erinnert zu werden.',
+        smsNothingPending: 'Es wartet keine Erinnerung auf eine Antwort.',
+        smsAcknowledged: title => `Danke! „${title}“ wurde bestätigt.`,
+        smsSnoozed: duration => `Alles klar! Ich erinnere dich in ${duration} noch einmal.`,
+        smsHelp: 'Antworte DONE, um deine Erinnerung zu bestätigen, SNOOZE 15, um in 15 Minuten erneut erinnert zu werden, oder STOP, um keine SMS mehr zu erhalten.',
+        escalationIntro: 'Achtung! Hier ist ein Anruf von NoForget.',
+        escalationMissed: (name, title) => `${name || 'Jemand, der dich als Notfallkontakt angegeben hat,'} hat die Erinnerung nicht bestätigt: ${title}.`,
+        escalationMenu: 'Drücke 1 oder sag erledigt, um zu bestätigen, dass du dich darum kümmerst.',
+        escalationAcknowledged: 'Danke! Wegen dieser Erinnerung wird niemand sonst angerufen. Auf Wiederhören.',
+        escalationNotUnderstood: 'Das habe ich leider nicht verstanden. Drücke 1 oder sag erledigt zum Bestätigen.',
+        lineGreeting: 'Hier ist die NoForget-Erinnerungslinie.',
+        lineNoReminders: 'Für diese Nummer gibt es keine verpassten oder anstehenden Erinnerungen. Auf Wiederhören.',
+        lineSummary: (missed, upcoming) => `Verpasste Erinnerungen: ${missed}. Anstehende Erinnerungen: ${upcoming}.`,
+        lineMissed: (title, due) => `Verpasste Erinnerung: ${title}, geplant für ${due}.`,
+        lineUpcoming: (title, due) => `Anstehende Erinnerung: ${title}, ${due}.`,
+        lineMissedMenu: minutes => `Drücke 1 zum Bestätigen, 2, um in ${minutes} Minuten erneut angerufen zu werden, 3 zum Löschen, oder 9 für die nächste Erinnerung.`,
+        lineUpcomingMenu: 'Drücke 1, um sie als erledigt zu markieren, 3 zum Löschen, oder 9 für die nächste Erinnerung.',
+        lineDone: 'Als erledigt markiert.',
+        lineCancelled: 'Erinnerung gelöscht.',
+        lineNotUnderstood: 'Das habe ich leider nicht verstanden.',
+        lineEnd: 'Das waren alle deine Erinnerungen. Auf Wiederhören.',
+        today: time => `heute um ${time}`,
+        tomorrow: time => `morgen um ${time}`,
+        yesterday: time => `gestern um ${time}`,
+        onDate: (date, time) => `${date} um ${time}`,
+        keywords: {
+            confirm: ['erledigt', 'fertig', 'ja', 'ok', 'okay', 'bestätigt', 'bestätigen', 'verstanden'],
+            snooze: ['später', 'schlummern', 'snooze', 'nochmal', 'noch mal', 'ruf mich', 'erinnere mich', 'noch nicht', 'nicht fertig'],
+            minute: ['min'],
+            hour: ['stunde'],
+            halfHour: ['halbe stunde', 'halben stunde'],
+            quarterHour: ['viertelstunde', 'viertel stunde'],
+            andAHalf: ['einhalb', 'und eine halbe']
+        }
+    },
+    'es-ES': {
+        voices: ['Polly.Lucia', 'Polly.Enrique'],
+        intro: '¡Atención! Este es tu recordatorio de NoForget.',
+        scheduledFor: due => `Estaba programado para ${due}.`,
+        menu: minutes => `Pulsa 1 o di hecho para confirmar que has recibido este recordatorio. Pulsa 2 o di más tarde para que te llamemos de nuevo en ${minutes} minutos. Para otro momento, di por ejemplo en 20 minutos, o pulsa asterisco.`,
+        waiting: 'Esperando tu respuesta.',
+        acknowledged: '¡Gracias! Tu recordatorio ha sido confirmado. ¡Que tengas un buen día!',
+        snoozed: (duration, when) => `¡Entendido! Te llamaré de nuevo en ${duration}, ${when}.`,
+        notUnderstood: 'Lo siento, no te he entendido. Pulsa 1 o di hecho para confirmar, o pulsa 2 o di más tarde para posponer.',
+        enterMinutes: 'Marca el número de minutos y después pulsa almohadilla.',
+        duration: minutes => joinDuration(minutes, 'hora', 'horas', 'minuto', 'minutos', 'y'),
+        noResponse: 'No se ha recibido respuesta. Adiós.',
+        voicemailIntro: 'Hola, este es tu recordatorio de NoForget.',
+        voicemailCallBack: 'Para confirmarlo, devuelve la llamada a este número. Adiós.',
+        voicemailGoodbye: 'Adiós.',
+        challengeIntro: 'Antes de darlo por hecho, demuestra que estás despierto.',
+        challengeMath: (a, b) => `¿Cuánto es ${a} más ${b}? Marca o di el resultado y después pulsa almohadilla.`,
+        challengeCode: code => `Marca o di este código y después pulsa almohadilla: ${code}.`,
+        challengeWrong: 'No es correcto. Inténtalo de nuevo.',
+        challengeFailed: duration => `Sigue sin ser correcto. Te volveré a llamar en ${duration}. Adiós.`,
+        recordIntro: 'Después de la señal, graba tu mensaje para los recordatorios de NoForget. Pulsa almohadilla cuando termines.',
+        recordSaved: 'Gracias, tu mensaje se ha guardado. Adiós.',
+        recordEmpty: 'No he oído ningún mensaje. Adiós.',
+        smsReminder: title => `Recordatorio de NoForget: ${title}`,
+        smsScheduledFor: due => `Programado para ${due}.`,
+        smsNow: 'ahora',
+        smsReplyHint: 'Responde DONE para confirmar o SNOOZE 15 para que te lo recuerde de nuevo en 15 minutos.',
+        smsNothingPending: 'No hay ningún recordatorio esperando respuesta.',
+        smsAcknowledged: title => `¡Gracias! «${title}» ha sido confirmado.`,
+        smsSnoozed: duration => `¡Entendido! Te lo recordaré de nuevo en ${duration}.`,
+        smsHelp: 'Responde DONE para confirmar tu recordatorio, SNOOZE 15 para que te lo recuerde de nuevo en 15 minutos, o STOP para dejar de recibir mensajes.',
+        escalationIntro: '¡Atención! Esta es una llamada de NoForget.',
+        escalationMissed: (name, title) => `${name || 'Alguien que te indicó como contacto de respaldo'} no confirmó su recordatorio: ${title}.`,
+        escalationMenu: 'Pulsa 1 o di hecho para confirmar que te encargarás.',
+        escalationAcknowledged: '¡Gracias! No se llamará a nadie más por este recordatorio. Adiós.',
+        escalationNotUnderstood: 'Lo siento, no te he entendido. Pulsa 1 o di hecho para confirmar.',
+        lineGreeting: 'Esta es la Línea de Recordatorios de NoForget.',
+        lineNoReminders: 'No hay recordatorios perdidos ni próximos para este número. Adiós.',
+        lineSummary: (missed, upcoming) => `Recordatorios perdidos: ${missed}. Próximos recordatorios: ${upcoming}.`,
+        lineMissed: (title, due) => `Recordatorio perdido: ${title}, programado para ${due}.`,
+        lineUpcoming: (title, due) => `Próximo recordatorio: ${title}, ${due}.`,
+        lineMissedMenu: minutes => `Pulsa 1 para confirmarlo, 2 para que te llamemos de nuevo en ${minutes} minutos, 3 para cancelarlo, o 9 para el siguiente recordatorio.`,
+        lineUpcomingMenu: 'Pulsa 1 para marcarlo como hecho, 3 para cancelarlo, o 9 para el siguiente recordatorio.',
+        lineDone: 'Marcado como hecho.',
+        lineCancelled: 'Recordatorio cancelado.',
+        lineNotUnderstood: 'Lo siento, no te he entendido.',
+        lineEnd: 'Esos son todos tus recordatorios. Adiós.',
+        today: time => `hoy a las ${time}`,
+        tomorrow: time => `mañana a las ${time}`,
+        yesterday: time => `ayer a las ${time}`,
+        onDate: (date, time) => `el ${date} a las ${time}`,
+        keywords: {
+            confirm: ['hecho', 'listo', 'sí', 'si', 'vale', 'confirmo', 'confirmado', 'ok'],
+            snooze: ['más tarde', 'mas tarde', 'posponer', 'pospón', 'llámame', 'llamame', 'recuérdame', 'recuerdame', 'todavía no', 'todavia no'],
+            minute: ['min'],
+            hour: ['hora'],
+            halfHour: ['media hora'],
+            quarterHour: ['cuarto de hora'],
+            andAHalf: ['y media']
+        }
+    },
+    'fr-FR': {
+        voices: ['Polly.Lea', 'Polly.Mathieu'],
+        intro: 'Attention ! Ceci est votre rappel NoForget.',
+        scheduledFor: due => `Il était prévu pour ${due}.`,
+        menu: minutes => `Appuyez sur 1 ou dites c'est fait pour confirmer la réception de ce rappel. Appuyez sur 2 ou dites plus tard pour être rappelé dans ${minutes} minutes. Pour un autre délai, dites par exemple dans 20 minutes, ou appuyez sur étoile.`,
+        waiting: 'En attente de votre réponse.',
+        acknowledged: 'Merci ! Votre rappel a été confirmé. Bonne journée !',
+        snoozed: (duration, when) => `C'est noté ! Je vous rappelle dans ${duration}, ${when}.`,
+        notUnderstood: "Désolé, je n'ai pas compris. Appuyez sur 1 ou dites c'est fait pour confirmer, ou appuyez sur 2 ou dites plus tard pour reporter.",
+        enterMinutes: 'Composez le nombre de minutes, puis appuyez sur dièse.',
+        duration: minutes => joinDuration(minutes, 'heure', 'heures', 'minute', 'minutes', 'et'),
+        noResponse: 'Aucune réponse reçue. Au revoir.',
+        voicemailIntro: 'Bonjour, ceci est votre rappel NoForget.',
+        voicemailCallBack: 'Pour le confirmer, rappelez ce numéro. Au revoir.',
+        voicemailGoodbye: 'Au revoir.',
+        challengeIntro: 'Avant que ce rappel soit confirmé, prouvez que vous êtes réveillé.',
+        challengeMath: (a, b) => `Combien font ${a} plus ${b} ? Composez ou dites le résultat, puis appuyez sur dièse.`,
+        challengeCode: code => `Composez ou dites ce code, puis appuyez sur dièse : ${code}.`,
+        challengeWrong: "Ce n'est pas correct. Essayons encore.",
+        challengeFailed: duration => `Ce n'est toujours pas correct. Je vous rappellerai dans ${duration}. Au revoir.`,
+        recordIntro: 'Après le bip, enregistrez votre message pour les rappels NoForget. Appuyez sur dièse lorsque vous avez terminé.',
+        recordSaved: 'Merci, votre message a été enregistré. Au revoir.',
+        recordEmpty: "Je n'ai entendu aucun message. Au revoir.",
+        smsReminder: title => `Rappel NoForget : ${title}`,
+        smsScheduledFor: due => `Prévu ${due}.`,
+        smsNow: 'maintenant',
+        smsReplyHint: 'Répondez DONE pour confirmer ou SNOOZE 15 pour être rappelé dans 15 minutes.',
+        smsNothingPending: "Aucun rappel n'attend de réponse.",
+        smsAcknowledged: title => `Merci ! « ${title} » a été confirmé.`,
+        smsSnoozed: duration => `C'est noté ! Je vous le rappellerai dans ${duration}.`,
+        smsHelp: 'Répondez DONE pour confirmer votre rappel, SNOOZE 15 pour être rappelé dans 15 minutes, ou STOP pour ne plus recevoir de SMS.',
+        escalationIntro: 'Attention ! Ceci est un appel de NoForget.',
+        escalationMissed: (name, title) => `${name || "Une personne qui vous a indiqué comme contact de secours"} n'a pas confirmé son rappel : ${title}.`,
+        escalationMenu: "Appuyez sur 1 ou dites c'est fait pour confirmer que vous vous en occupez.",
+        escalationAcknowledged: "Merci ! Personne d'autre ne sera appelé pour ce rappel. Au revoir.",
+        escalationNotUnderstood: "Désolé, je n'ai pas compris. Appuyez sur 1 ou dites c'est fait pour confirmer.",
+        lineGreeting: 'Ici la Ligne de Rappel NoForget.',
+        lineNoReminders: "Il n'y a aucun rappel manqué ou à venir pour ce numéro. Au revoir.",
+        lineSummary: (missed, upcoming) => `Rappels manqués : ${missed}. Rappels à venir : ${upcoming}.`,
+        lineMissed: (title, due) => `Rappel manqué : ${title}, prévu ${due}.`,
+        lineUpcoming: (title, due) => `Rappel à venir : ${title}, ${due}.`,
+        lineMissedMenu: minutes => `Appuyez sur 1 pour le confirmer, 2 pour être rappelé dans ${minutes} minutes, 3 pour l'annuler, ou 9 pour le rappel suivant.`,
+        lineUpcomingMenu: "Appuyez sur 1 pour le marquer comme fait, 3 pour l'annuler, ou 9 pour le rappel suivant.",
+        lineDone: 'Marqué comme fait.',
+        lineCancelled: 'Rappel annulé.',
+        lineNotUnderstood: "Désolé, je n'ai pas compris.",
+        lineEnd: 'Ce sont tous vos rappels. Au revoir.',
+        today: time => `aujourd'hui à ${time}`,
+        tomorrow: time => `demain à ${time}`,
+        yesterday: time => `hier à ${time}`,
+        onDate: (date, time) => `le ${date} à ${time}`,
+        keywords: {
+            confirm: ['fait', 'fini', 'terminé', 'oui', 'ok', "d'accord", 'confirmé', 'confirme'],
+            snooze: ['plus tard', 'rappelle', 'rappelez', 'reporter', 'pas encore', 'pas fini'],
+            minute: ['min'],
+            hour: ['heure'],
+            halfHour: ['demi heure'],
+            quarterHour: ["quart d'heure"],
+            andAHalf: ['et demie']
+        }
+    }
+};
+
+const DEFAULT_LOCALE = 'en-US';
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+function canonicalLocale(locale) {
+    try {
+        return Intl.getCanonicalLocales(locale)[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+function isValidLocale(locale) {
+    return canonicalLocale(locale) !== null;
+}
+
+// Exact catalog for the locale, else the first one in the same language, else English
+function catalogLocaleFor(locale) {
+    const canonical = canonicalLocale(locale || DEFAULT_LOCALE) || DEFAULT_LOCALE;
+    if (catalogs[canonical]) return canonical;
+
+    const language = canonical.split('-')[0];
+    return SUPPORTED_LOCALES.find(key => key.split('-')[0] === language) || DEFAULT_LOCALE;
+}
+
+/**
+ * Resolve what a call should sound like.
+ * Returns { messages, voice, language, locale }: `language` is the catalog's
+ * TwiML language and `locale` is what dates and times are formatted with
+ * (the requested locale when the catalog speaks its language).
+ */
+function getCallLanguage(locale, voice) {
+    const catalogLocale = catalogLocaleFor(locale);
+    const messages = catalogs[catalogLocale];
+    const requested = canonicalLocale(locale || DEFAULT_LOCALE);
+    const sameLanguage = requested && requested.split('-')[0] === catalogLocale.split('-')[0];
+
+    return {
+        messages,
+        voice: messages.voices.includes(voice) ? voice : messages.voices[0],
+        language: catalogLocale,
+        locale: sameLanguage ? requested : catalogLocale
+    };
+}
+
+function dayNumber(parts) {
+    return Date.UTC(parts.year, parts.month, parts.day) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Spoken due time relative to `now` in the user's timezone,
+ * e.g. "today at 9:30 AM", "morgen um 09:30", "Monday, March 3 at 9:30 AM".
+ */
+function formatSpokenDueTime(time, { locale, timezone, now = Date.now() } = {}) {
+    const { messages, locale: formatLocale } = getCallLanguage(locale);
+    const timeText = new Intl.DateTimeFormat(formatLocale, {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: timezone
+    }).format(new Date(time));
+
+    const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const days = dayNumber(getZonedParts(time, zone)) - dayNumber(getZonedParts(now, zone));
+
+    if (days === 0) return messages.today(timeText);
+    if (days === 1) return messages.tomorrow(timeText);
+    if (days === -1) return messages.yesterday(timeText);
+
+    const dateText = new Intl.DateTimeFormat(formatLocale, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        timeZone: timezone
+    }).format(new Date(time));
+    return messages.onDate(dateText, timeText);
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    isValidLocale,
+    getCallLanguage,
+    formatSpokenDueTime
+};
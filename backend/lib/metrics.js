@@ -0,0 +1,140 @@
+// ============================================
+// METRICS - Counters, gauges and histograms in Prometheus text format
+// ============================================
+// Metrics are registered once and updated where things happen:
+//   const dials = metrics.counter('noforget_dials_total', 'Calls and texts placed', ['channel', 'result']);
+//   dials.inc({ channel: 'voice', result: 'initiated' });
+// Gauges can instead take a collect() function that is asked for its values
+// whenever /metrics is scraped. render() returns the text exposition format.
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function createRegistry() {
+    const metrics = new Map();
+
+    function register(name, help, type, labelNames) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+        if (metrics.has(name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+
+        const series = new Map();  // label key -> { labels, ... }
+        const metric = { name, help, type, series };
+
+        // Only declared labels are kept, in declared order, so the same
+        // combination always lands on the same series
+        metric.seriesFor = (labels = {}, create) => {
+            const picked = {};
+            for (const label of labelNames) {
+                picked[label] = labels[label] === undefined ? '' : String(labels[label]);
+            }
+            const key = JSON.stringify(picked);
+            if (!series.has(key)) series.set(key, create(picked));
+            return series.get(key);
+        };
+
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const metric = register(name, help, 'counter', labelNames);
+        return {
+            inc(labels, value = 1) {
+                if (value < 0) throw new Error(`Counter ${name} can only go up`);
+                metric.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value += value;
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames = [], collect = null) {
+        const metric = register(name, help, 'gauge', labelNames);
+        metric.collect = collect;
+        return {
+            set(labels, value) {
+                metric.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value = value;
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const metric = register(name, help, 'histogram', labelNames);
+        const bounds = [...buckets].sort((a, b) => a - b);
+        metric.bounds = bounds;
+        return {
+            observe(labels, value) {
+                const entry = metric.seriesFor(labels, picked => ({
+                    labels: picked,
+                    counts: bounds.map(() => 0),
+                    sum: 0,
+                    count: 0
+                }));
+                bounds.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    }
+
+    function renderMetric(metric, lines) {
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        if (metric.collect) {
+            metric.series.clear();
+            for (const { labels, value } of metric.collect()) {
+                metric.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value = value;
+            }
+        }
+
+        for (const entry of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+                continue;
+            }
+
+            metric.bounds.forEach((bound, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+    }
+
+    // Every metric in the Prometheus text exposition format (version 0.0.4)
+    function render() {
+        const lines = [];
+        for (const metric of metrics.values()) {
+            try {
+                renderMetric(metric, lines);
+            } catch (error) {
+                lines.push(`# ${metric.name} could not be collected: ${error.message}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
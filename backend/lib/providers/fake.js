@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const express = require('express');
+const { signWebhook } = require('../twilioWebhook');
+const { logger } = require('../logger');
+
+// ============================================
+// FAKE PROVIDER - Offline stand-in for Twilio
+// ============================================
+// Records every outbound call, text and verification instead of sending it,
+// and plays Twilio's side of a call by posting signed webhooks (/status,
+// /gather, /sms) back to this server. Drive it through the /fake routes:
+//
+//   GET  /fake/calls                    recorded calls, newest last
+//   POST /fake/calls/:sid/answer        { digits: '1', duration: 30 } - ring, answer, press, hang up
+//                                       ({ speech: 'snooze ten minutes' } answers by voice)
+//   POST /fake/calls/:sid/machine       { answeredBy: 'machine_end_beep' } - voicemail picks up
+//   POST /fake/calls/:sid/record        { duration: 3 } - speak into the current <Record> and hang up
+//   POST /fake/calls/:sid/status        { status: 'no-answer' } - a single status callback
+//   POST /fake/calls/:sid/gather        { digits: '2' } - a single keypress, or { speech: 'done' }
+//   POST /fake/inbound                  { from } - someone calls the Twilio number
+//   GET  /fake/messages                 recorded texts
+//   POST /fake/sms                      { from, body } - an inbound text
+//   GET  /fake/verifications            verification codes sent
+//   DELETE /fake                        forget everything
+
+function fakeSid(prefix) {
+    return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+// A silent 8 kHz mono WAV standing in for whatever was said into a <Record>
+function silentWav(seconds) {
+    const samples = Math.max(1, Math.round(seconds * 8000));
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + samples, 4);
+    header.write('WAVEfmt ', 8, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);       // PCM
+    header.writeUInt16LE(1, 22);       // mono
+    header.writeUInt32LE(8000, 24);
+    header.writeUInt32LE(8000, 28);
+    header.writeUInt16LE(1, 32);
+    header.writeUInt16LE(8, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(samples, 40);
+    return Buffer.concat([header, Buffer.alloc(samples, 0x80)]);
+}
+
+function createFakeProvider({ phoneNumber, authToken, baseUrl, localUrl, verificationCode = '123456' }) {
+    const calls = new Map();
+    const messages = [];
+    const verifications = [];
+    const pendingVerifications = new Set();
+    const recordings = new Map();
+
+    // Post a webhook the way Twilio would: signed against the public BASE_URL,
+    // delivered to the local server
+    async function postWebhook(path, params) {
+        const response = await fetch(`${localUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Twilio-Signature': signWebhook(authToken, `${baseUrl}${path}`, params)
+            },
+            body: new URLSearchParams(params).toString()
+        });
+        return { status: response.status, body: await response.text() };
+    }
+
+    function getCall(sid) {
+        const call = calls.get(sid);
+        if (!call) {
+            throw Object.assign(new Error(`Unknown call: ${sid}`), { status: 404 });
+        }
+        return call;
+    }
+
+    async function sendStatus(sid, status, extra = {}) {
+        const call = getCall(sid);
+        call.status = status;
+        const result = await postWebhook('/status', {
+            CallSid: sid,
+            CallStatus: status,
+            To: call.to,
+            From: call.from,
+            ...extra
+        });
+        call.events.push({ type: 'status', status, at: new Date().toISOString(), response: result.status });
+        return result;
+    }
+
+    // Path (with query) of one of our own webhook URLs found in TwiML
+    function webhookPath(url) {
+        const decoded = url.trim().replace(/&amp;/g, '&');
+        return decoded.startsWith(baseUrl) ? decoded.slice(baseUrl.length) : decoded;
+    }
+
+    // Post to a TwiML webhook and follow any <Redirect>s, like Twilio does.
+    // The call remembers the last TwiML so the next answer goes to its <Gather>.
+    async function fetchTwiml(call, path, params) {
+        const bodies = [];
+        let result = await postWebhook(path, params);
+        bodies.push(result.body);
+
+        for (let hops = 0; hops < 10; hops++) {
+            const redirect = result.body.match(/<Redirect[^>]*>([^<]+)<\/Redirect>/);
+            if (!redirect) break;
+            result = await postWebhook(webhookPath(redirect[1]), { CallSid: call.sid, To: call.to, From: call.from });
+            bodies.push(result.body);
+        }
+
+        call.lastTwiml = result.body;
+        return { status: result.status, body: bodies.join('\n') };
+    }
+
+    // Keys pressed or words spoken at the current <Gather> ('' = the menu timed out)
+    async function respond(sid, { digits = '', speech = '' } = {}) {
+        const call = getCall(sid);
+        const params = { CallSid: sid, To: call.to, From: call.from };
+        if (speech) {
+            params.SpeechResult = speech;
+            params.Confidence = '0.9';
+        } else {
+            params.Digits = digits;
+        }
+
+        const action = (call.lastTwiml || '').match(/<Gather[^>]*action="([^"]+)"/);
+        const result = await fetchTwiml(call, action ? webhookPath(action[1]) : '/gather', params);
+        call.events.push({ type: 'gather', digits, speech, at: new Date().toISOString(), twiml: result.body });
+        return result;
+    }
+
+    // Someone dials the Twilio number: Twilio asks /voice what to do
+    async function receiveCall(from) {
+        const sid = fakeSid('CA');
+        const call = {
+            sid,
+            to: phoneNumber,
+            from,
+            direction: 'inbound',
+            status: 'in-progress',
+            createdAt: new Date().toISOString(),
+            events: []
+        };
+        calls.set(sid, call);
+        logger.info('[fake] Inbound call', { callSid: sid, phoneNumber: from });
+
+        const result = await fetchTwiml(call, '/voice', { CallSid: sid, To: phoneNumber, From: from, Direction: 'inbound' });
+        call.events.push({ type: 'answered', at: call.createdAt, twiml: result.body });
+        return { sid, ...result };
+    }
+
+    // Answering machine detection result, for calls placed with asyncAmd
+    async function sendAmd(sid, answeredBy) {
+        const call = getCall(sid);
+        if (!call.options.asyncAmdStatusCallback) return null;
+        const result = await postWebhook(webhookPath(call.options.asyncAmdStatusCallback), {
+            CallSid: sid,
+            AnsweredBy: answeredBy,
+            MachineDetectionDuration: '2500'
+        });
+        call.events.push({ type: 'amd', answeredBy, at: new Date().toISOString(), response: result.status });
+        return result;
+    }
+
+    // Ring, answer, optionally press keys or speak ('' = let the menu time out), hang up
+    async function answerCall(sid, { digits = '', speech = '', duration = 30 } = {}) {
+        await sendStatus(sid, 'ringing');
+        await sendStatus(sid, 'in-progress');
+        await sendAmd(sid, 'human');
+        const gather = digits === null ? null : await respond(sid, { digits, speech });
+        await sendStatus(sid, 'completed', { CallDuration: String(duration) });
+        return { call: getCall(sid), gather };
+    }
+
+    // Answer, say something after the beep of the current <Record>, hang up.
+    // Twilio posts the <Record> action first and the recording callback once the file is ready.
+    async function recordCall(sid, { duration = 3 } = {}) {
+        const call = getCall(sid);
+        const record = (call.lastTwiml || '').match(/<Record[^>]*>/);
+        if (!record) {
+            throw Object.assign(new Error('The call is not recording'), { status: 409 });
+        }
+
+        const attribute = name => (record[0].match(new RegExp(`${name}="([^"]+)"`)) || [])[1];
+        const recordingSid = fakeSid('RE');
+        const recordingUrl = `https://api.twilio.com/fake/Recordings/${recordingSid}`;
+        recordings.set(recordingUrl, { sid: recordingSid, buffer: silentWav(duration) });
+
+        await sendStatus(sid, 'in-progress');
+        const params = {
+            CallSid: sid,
+            RecordingSid: recordingSid,
+            RecordingUrl: recordingUrl,
+            RecordingDuration: String(duration)
+        };
+        const action = attribute('action') ? await fetchTwiml(call, webhookPath(attribute('action')), { ...params, Digits: '#' }) : null;
+        await sendStatus(sid, 'completed', { CallDuration: String(duration + 10) });
+
+        const callback = attribute('recordingStatusCallback');
+        const status = callback
+            ? await postWebhook(webhookPath(callback), { ...params, RecordingStatus: 'completed' })
+            : null;
+        call.events.push({ type: 'recorded', recordingSid, duration, at: new Date().toISOString() });
+        return { call, action, status };
+    }
+
+    // Ring, let a voicemail greeting play to the beep, hang up after the message
+    async function answerByMachine(sid, { answeredBy = 'machine_end_beep', duration = 40 } = {}) {
+        await sendStatus(sid, 'ringing');
+        await sendStatus(sid, 'in-progress');
+        const amd = await sendAmd(sid, answeredBy);
+        await sendStatus(sid, 'completed', { CallDuration: String(duration) });
+        return { call: getCall(sid), amd };
+    }
+
+    function createRouter() {
+        const router = express.Router();
+
+        const handle = fn => async (req, res) => {
+            try {
+                res.json(await fn(req));
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        };
+
+        router.get('/fake/calls', (req, res) => res.json({ calls: Array.from(calls.values()) }));
+        router.get('/fake/calls/:sid', handle(async req => getCall(req.params.sid)));
+        router.post('/fake/calls/:sid/answer', handle(async req => answerCall(req.params.sid, req.body)));
+        router.post('/fake/calls/:sid/machine', handle(async req => answerByMachine(req.params.sid, req.body)));
+        router.post('/fake/calls/:sid/record', handle(async req => recordCall(req.params.sid, req.body)));
+        // Without a duration the field is left out, as Twilio does for unanswered calls
+        router.post('/fake/calls/:sid/status', handle(async req => sendStatus(req.params.sid, req.body.status,
+            req.body.duration !== undefined ? { CallDuration: String(req.body.duration) } : {})));
+        router.post('/fake/calls/:sid/gather', handle(async req => respond(req.params.sid, {
+            digits: req.body.digits || '',
+            speech: req.body.speech || ''
+        })));
+        router.post('/fake/inbound', handle(async req => receiveCall(req.body.from)));
+        router.get('/fake/messages', (req, res) => res.json({ messages }));
+        router.post('/fake/sms', handle(async req => postWebhook('/sms', {
+            MessageSid: fakeSid('SM'),
+            From: req.body.from,
+            To: phoneNumber,
+            Body: req.body.body || ''
+        })));
+        router.get('/fake/verifications', (req, res) => res.json({ verifications }));
+        router.delete('/fake', (req, res) => {
+            calls.clear();
+            messages.length = 0;
+            verifications.length = 0;
+            recordings.clear();
+            pendingVerifications.clear();
+            res.json({ success: true });
+        });
+
+        return router;
+    }
+
+    return {
+        name: 'fake',
+        phoneNumber,
+        calls,
+        messages,
+        answerCall,
+        answerByMachine,
+        recordCall,
+        sendStatus,
+        respond,
+        receiveCall,
+        createRouter,
+
+        async placeCall({ to, twiml, statusCallback, ...options }) {
+            const sid = fakeSid('CA');
+            calls.set(sid, {
+                sid,
+                to,
+                from: phoneNumber,
+                twiml,
+                lastTwiml: twiml,
+                statusCallback,
+                options,
+                status: 'queued',
+                createdAt: new Date().toISOString(),
+                events: []
+            });
+            logger.info('[fake] Call', { callSid: sid, phoneNumber: to });
+            return { sid, status: 'queued' };
+        },
+
+        async updateCall({ sid, twiml }) {
+            const call = getCall(sid);
+            call.lastTwiml = twiml;
+            call.events.push({ type: 'updated', at: new Date().toISOString(), twiml });
+            return { sid, status: call.status };
+        },
+
+        async fetchRecording({ url }) {
+            const recording = recordings.get(url);
+            if (!recording) {
+                throw new Error(`Unknown recording: ${url}`);
+            }
+            return { buffer: recording.buffer, contentType: 'audio/wav' };
+        },
+
+        async deleteRecording({ sid }) {
+            for (const [url, recording] of recordings) {
+                if (recording.sid === sid) recordings.delete(url);
+            }
+        },
+
+        async sendSms({ to, body }) {
+            const sid = fakeSid('SM');
+            messages.push({ sid, to, from: phoneNumber, body, createdAt: new Date().toISOString() });
+            logger.info('[fake] SMS', { messageSid: sid, phoneNumber: to });
+            return { sid, status: 'queued' };
+        },
+
+        isVerificationConfigured() {
+            return true;
+        },
+
+        async sendVerification({ to, channel = 'sms' }) {
+            pendingVerifications.add(to);
+            verifications.push({ to, channel, code: verificationCode, createdAt: new Date().toISOString() });
+            logger.info('[fake] Verification code', { phoneNumber: to, code: verificationCode });
+            return { status: 'pending' };
+        },
+
+        // Mirrors Twilio: a wrong code leaves the verification pending, and
+        // checking a number with no pending verification is error 20404
+        async checkVerification({ to, code }) {
+            if (!pendingVerifications.has(to)) {
+                throw Object.assign(new Error('The requested resource was not found'), { code: 20404 });
+            }
+            if (code !== verificationCode) {
+                return { status: 'pending' };
+            }
+            pendingVerifications.delete(to);
+            return { status: 'approved' };
+        }
+    };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,29 @@
+const { createTwilioProvider } = require('./twilio');
+const { createFakeProvider } = require('./fake');
+
+// ============================================
+// TELEPHONY PROVIDERS
+// ============================================
+// Every provider implements the same interface:
+//   phoneNumber                                   number calls and texts come from
+//   placeCall({ to, twiml, statusCallback, statusCallbackEvent, ...options }) -> { sid, status }
+//   updateCall({ sid, twiml })                    -> { sid, status } (the live call switches to the new TwiML)
+//   sendSms({ to, body })                         -> { sid, status }
+//   fetchRecording({ url })                       -> { buffer, contentType } (a <Record>ing's audio)
+//   deleteRecording({ sid })                      removes the recording from the provider
+//   isVerificationConfigured()                    -> boolean
+//   sendVerification({ to, channel })             -> { status }
+//   checkVerification({ to, code })               -> { status } ('approved' when the code matches)
+
+function createProvider(name, options) {
+    switch (name) {
+        case 'twilio':
+            return createTwilioProvider(options);
+        case 'fake':
+            return createFakeProvider(options);
+        default:
+            throw new Error(`Unknown telephony provider: ${name}`);
+    }
+}
+
+module.exports = { createProvider };
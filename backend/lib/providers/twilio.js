@@ -0,0 +1,72 @@
+const twilio = require('twilio');
+
+// ============================================
+// TWILIO PROVIDER
+// ============================================
+
+function createTwilioProvider({ accountSid, authToken, phoneNumber, verifyServiceSid }) {
+    const client = twilio(accountSid, authToken);
+
+    return {
+        name: 'twilio',
+        phoneNumber,
+
+        async placeCall({ to, twiml, statusCallback, statusCallbackEvent, ...options }) {
+            const call = await client.calls.create({
+                to,
+                from: phoneNumber,
+                twiml,
+                statusCallback,
+                statusCallbackEvent,
+                statusCallbackMethod: 'POST',
+                ...options
+            });
+            return { sid: call.sid, status: call.status };
+        },
+
+        async updateCall({ sid, twiml }) {
+            const call = await client.calls(sid).update({ twiml });
+            return { sid: call.sid, status: call.status };
+        },
+
+        // RecordingUrl has no extension; asking for .mp3 gets the smaller file
+        async fetchRecording({ url }) {
+            const response = await fetch(`${url}.mp3`, {
+                headers: { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}` }
+            });
+            if (!response.ok) {
+                throw new Error(`Recording download failed with HTTP ${response.status}`);
+            }
+            return { buffer: Buffer.from(await response.arrayBuffer()), contentType: response.headers.get('content-type') };
+        },
+
+        async deleteRecording({ sid }) {
+            await client.recordings(sid).remove();
+        },
+
+        async sendSms({ to, body }) {
+            const message = await client.messages.create({ to, from: phoneNumber, body });
+            return { sid: message.sid, status: message.status };
+        },
+
+        isVerificationConfigured() {
+            return Boolean(verifyServiceSid);
+        },
+
+        async sendVerification({ to, channel = 'sms' }) {
+            const verification = await client.verify.v2
+                .services(verifyServiceSid)
+                .verifications.create({ to, channel });
+            return { status: verification.status };
+        },
+
+        async checkVerification({ to, code }) {
+            const check = await client.verify.v2
+                .services(verifyServiceSid)
+                .verificationChecks.create({ to, code });
+            return { status: check.status };
+        }
+    };
+}
+
+module.exports = { createTwilioProvider };
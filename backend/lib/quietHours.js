@@ -0,0 +1,139 @@
+const { getZonedParts, zonedTimeToUtc, isValidTimezone, parseWeekday } = require('./recurrence');
+
+// ============================================
+// QUIET HOURS - Per-number do-not-disturb windows
+// ============================================
+// Rules look like:
+//   { enabled: true, timezone: 'Europe/Berlin', action: 'defer',
+//     windows: [{ start: '22:00', end: '07:00', days: ['MO', 'TU'] }] }
+// A window whose end is before its start runs past midnight, and `days` are
+// the days it starts on (every day when omitted). action 'defer' holds calls
+// until the quiet period ends; 'sms' sends the reminder as a text instead.
+
+const ACTIONS = ['defer', 'sms'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_WINDOWS = 14;
+
+// "07:30" -> 450 (minutes after midnight)
+function parseClock(value, name) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    const hours = match ? Number(match[1]) : NaN;
+    const minutes = match ? Number(match[2]) : NaN;
+    if (!(hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59)) {
+        throw new Error(`Quiet hours ${name} must be a time like "22:00"`);
+    }
+    return hours * 60 + minutes;
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseWindow(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Each quiet hours window needs a start and an end');
+    }
+
+    const start = parseClock(input.start, 'start');
+    const end = parseClock(input.end, 'end');
+    if (start === end) {
+        throw new Error('Quiet hours start and end must differ');
+    }
+
+    let days;
+    if (input.days !== undefined) {
+        const list = Array.isArray(input.days) ? input.days : String(input.days).split(',');
+        days = [...new Set(list.map(parseWeekday))].sort().map(day => WEEKDAYS[day]);
+        if (!days.length) {
+            throw new Error('Quiet hours days must name at least one weekday');
+        }
+    }
+
+    return { start: formatClock(start), end: formatClock(end), ...(days ? { days } : {}) };
+}
+
+/**
+ * Validate client-supplied rules. A single { start, end } may be given
+ * instead of a windows list. Throws an Error with a client-facing message.
+ */
+function parseQuietHours(input, { defaultTimezone } = {}) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Quiet hours must be an object');
+    }
+
+    const timezone = input.timezone || defaultTimezone;
+    if (!isValidTimezone(timezone)) {
+        throw new Error('Invalid timezone. Use an IANA name like "Europe/Berlin".');
+    }
+
+    const action = input.action || 'defer';
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Quiet hours action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const windows = input.windows !== undefined ? input.windows : [{ start: input.start, end: input.end, days: input.days }];
+    if (!Array.isArray(windows) || !windows.length || windows.length > MAX_WINDOWS) {
+        throw new Error(`Quiet hours need between 1 and ${MAX_WINDOWS} windows`);
+    }
+
+    return {
+        enabled: input.enabled !== false,
+        timezone,
+        action,
+        windows: windows.map(parseWindow)
+    };
+}
+
+// End of the window that `time` falls in, or null
+function windowEnd(rules, time) {
+    const local = getZonedParts(time, rules.timezone);
+    const minuteOfDay = local.hour * 60 + local.minute;
+    const weekday = new Date(Date.UTC(local.year, local.month, local.day)).getUTCDay();
+    const startsOn = (window, day) => !window.days || window.days.includes(WEEKDAYS[(day + 7) % 7]);
+    const at = (dayOffset, minutes) => zonedTimeToUtc({
+        year: local.year,
+        month: local.month,
+        day: local.day + dayOffset,
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60,
+        second: 0
+    }, rules.timezone);
+
+    let latest = null;
+    for (const window of rules.windows) {
+        const start = parseClock(window.start, 'start');
+        const end = parseClock(window.end, 'end');
+        let until = null;
+
+        if (start < end) {
+            if (startsOn(window, weekday) && minuteOfDay >= start && minuteOfDay < end) until = at(0, end);
+        } else if (minuteOfDay >= start && startsOn(window, weekday)) {
+            until = at(1, end);  // Started tonight, ends tomorrow
+        } else if (minuteOfDay < end && startsOn(window, weekday - 1)) {
+            until = at(0, end);  // Started last night
+        }
+
+        if (until !== null && until > time && (latest === null || until > latest)) {
+            latest = until;
+        }
+    }
+    return latest;
+}
+
+/**
+ * When the quiet period containing `time` ends (following windows that run
+ * into each other), or null if `time` isn't in quiet hours.
+ */
+function quietUntil(rules, time) {
+    if (!rules || !rules.enabled) return null;
+
+    let until = windowEnd(rules, time);
+    for (let i = 0; until !== null && i < MAX_WINDOWS; i++) {
+        const next = windowEnd(rules, until);
+        if (next === null) break;
+        until = next;
+    }
+    return until;
+}
+
+module.exports = { parseQuietHours, quietUntil };
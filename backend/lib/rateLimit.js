@@ -0,0 +1,174 @@
+const { logger } = require('./logger');
+
+// ============================================
+// RATE LIMITS AND USAGE CAPS
+// ============================================
+// Rate limiters count requests in a sliding window and live in memory: they
+// only guard against bursts, so losing them on restart is fine. Usage caps
+// count what actually costs money (calls placed, verification texts sent) per
+// number and UTC day/month, and are kept in the store so a restart doesn't
+// reset them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error for a request that hit a limit; routes answer it with 429
+class LimitError extends Error {
+    constructor(message, { code, retryAfterMs }) {
+        super(message);
+        this.code = code;
+        this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    }
+}
+
+// Answer a LimitError: 429 with Retry-After (seconds) and a JSON body the app can show
+function sendLimitError(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
+}
+
+/**
+ * At most `max` hits per key in any `windowMs`. A max of 0 disables the limit.
+ */
+function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+    let lastSweep = 0;
+
+    // Forget keys whose hits have all expired, at most once a window
+    function sweep(now) {
+        if (now - lastSweep < windowMs) return;
+        lastSweep = now;
+        for (const [key, times] of hits.entries()) {
+            if (!times.length || now - times[times.length - 1] >= windowMs) {
+                hits.delete(key);
+            }
+        }
+    }
+
+    // Count a hit. Returns { allowed, retryAfterMs }; rejected hits aren't counted.
+    function hit(key, now = Date.now()) {
+        if (!max) return { allowed: true, retryAfterMs: 0 };
+        sweep(now);
+
+        const times = (hits.get(key) || []).filter(time => now - time < windowMs);
+        if (times.length >= max) {
+            hits.set(key, times);
+            return { allowed: false, retryAfterMs: times[0] + windowMs - now };
+        }
+
+        times.push(now);
+        hits.set(key, times);
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    // Whether a hit would be allowed right now, without counting one
+    function check(key, now = Date.now()) {
+        if (!max) return { allowed: true, retryAfterMs: 0 };
+
+        const times = (hits.get(key) || []).filter(time => now - time < windowMs);
+        return times.length >= max
+            ? { allowed: false, retryAfterMs: times[0] + windowMs - now }
+            : { allowed: true, retryAfterMs: 0 };
+    }
+
+    /**
+     * Express middleware limiting requests per key(req). Requests without a
+     * key (e.g. a missing phone number) are left for the route to reject.
+     */
+    function middleware(key, { code = 'rate_limited', message = 'Too many requests. Please try again later.' } = {}) {
+        return (req, res, next) => {
+            const value = key(req);
+            if (!value) return next();
+
+            const result = hit(value);
+            if (!result.allowed) {
+                logger.warn('Rate limited', { method: req.method, path: req.path, key: value, code });
+                return sendLimitError(res, new LimitError(message, { code, retryAfterMs: result.retryAfterMs }));
+            }
+            next();
+        };
+    }
+
+    return { hit, check, middleware };
+}
+
+function periodKeys(now) {
+    const iso = new Date(now).toISOString();
+    return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+function untilNextPeriod(now, period) {
+    const date = new Date(now);
+    const next = period === 'day'
+        ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+        : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    return next - now;
+}
+
+/**
+ * Daily and monthly caps per key (a phone number) and kind of usage.
+ * caps: { calls: { daily: 20, monthly: 300 }, verifications: { ... } }; 0 = no cap.
+ */
+function createUsageCaps({ collection, caps }) {
+    function usage(key, now = Date.now()) {
+        const { day, month } = periodKeys(now);
+        const record = collection.get(key) || {};
+        const counts = {};
+
+        for (const kind of Object.keys(caps)) {
+            const entry = record[kind] || {};
+            counts[kind] = {
+                daily: entry.day === day ? entry.dailyCount : 0,
+                monthly: entry.month === month ? entry.monthlyCount : 0
+            };
+        }
+        return counts;
+    }
+
+    // Throws a LimitError if one more `kind` would go over a cap
+    function check(kind, key, now = Date.now()) {
+        const limits = caps[kind];
+        const counts = usage(key, now)[kind];
+
+        if (limits.daily && counts.daily >= limits.daily) {
+            throw new LimitError(`Daily limit of ${limits.daily} ${kind} reached for this number`, {
+                code: 'daily_cap',
+                retryAfterMs: untilNextPeriod(now, 'day')
+            });
+        }
+        if (limits.monthly && counts.monthly >= limits.monthly) {
+            throw new LimitError(`Monthly limit of ${limits.monthly} ${kind} reached for this number`, {
+                code: 'monthly_cap',
+                retryAfterMs: untilNextPeriod(now, 'month')
+            });
+        }
+    }
+
+    // Count one `kind`. The caller saves the store.
+    function record(kind, key, now = Date.now()) {
+        const { day, month } = periodKeys(now);
+        const counts = usage(key, now)[kind];
+        const entry = collection.get(key) || {};
+
+        entry[kind] = { day, month, dailyCount: counts.daily + 1, monthlyCount: counts.monthly + 1 };
+        entry.updatedAt = new Date(now).toISOString();
+        collection.set(key, entry);
+    }
+
+    // Forget numbers with no usage this month. Returns how many were removed.
+    function prune(now = Date.now()) {
+        const { month } = periodKeys(now);
+        let removed = 0;
+        for (const [key, entry] of collection.entries()) {
+            const current = Object.keys(caps).some(kind => entry[kind] && entry[kind].month === month);
+            if (!current && now - new Date(entry.updatedAt).getTime() > DAY_MS) {
+                collection.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    return { usage, check, record, prune };
+}
+
+module.exports = { LimitError, sendLimitError, createRateLimiter, createUsageCaps };
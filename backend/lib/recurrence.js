@@ -0,0 +1,349 @@
+// ============================================
+// RECURRENCE - iCalendar RRULE subset
+// ============================================
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly, plain
+// weekdays only), BYMONTHDAY (monthly, negative values count from the end),
+// UNTIL and COUNT. Occurrences keep the wall-clock time of the first call in
+// the series' timezone, so a 9:00 daily reminder stays at 9:00 across DST.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give up searching after this many candidate dates (~27 years of daily calls)
+const MAX_ITERATIONS = 10000;
+
+function parseWeekday(value) {
+    const text = String(value).trim().toLowerCase();
+    let index = WEEKDAYS.indexOf(text.toUpperCase());
+    if (index === -1) {
+        index = WEEKDAY_NAMES.findIndex(name => name === text || name.slice(0, 3) === text);
+    }
+    if (index === -1) {
+        throw new Error(`Invalid weekday: ${value}`);
+    }
+    return index;
+}
+
+// A date-only UNTIL runs to the end of that day, and a time without Z is
+// wall-clock time, both in the series' timezone (RFC 5545 floating time)
+function parseUntil(value, timezone) {
+    const text = String(value);
+    // RRULE form: 20250131, 20250131T090000 or 20250131T090000Z; or an ISO date 2025-01-31
+    const match = text.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/) ||
+        text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let time;
+    if (match) {
+        const parts = {
+            year: +match[1],
+            month: +match[2] - 1,
+            day: +match[3],
+            hour: match[4] ? +match[4] : 23,
+            minute: match[4] ? +match[5] : 59,
+            second: match[4] ? +match[6] : 59
+        };
+        time = match[7] ? Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second)
+            : zonedTimeToUtc(parts, timezone);
+    } else {
+        time = new Date(text).getTime();
+    }
+
+    if (isNaN(time)) {
+        throw new Error(`Invalid recurrence end date: ${value}`);
+    }
+    return time;
+}
+
+function parsePositiveInt(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Recurrence ${name} must be a positive integer`);
+    }
+    return number;
+}
+
+// "FREQ=WEEKLY;BYDAY=MO,WE" -> { frequency: 'WEEKLY', byDay: 'MO,WE' }
+function rruleToObject(rrule) {
+    const fields = {};
+    const body = rrule.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!value) {
+            throw new Error(`Invalid RRULE part: ${part}`);
+        }
+
+        switch (key.toUpperCase()) {
+            case 'FREQ': fields.frequency = value; break;
+            case 'INTERVAL': fields.interval = value; break;
+            case 'BYDAY': fields.byDay = value.split(','); break;
+            case 'BYMONTHDAY': fields.byMonthDay = value.split(','); break;
+            case 'UNTIL': fields.until = value; break;
+            case 'COUNT': fields.count = value; break;
+            case 'WKST': break;  // Weeks always start on Monday here
+            default:
+                throw new Error(`Unsupported RRULE part: ${key}`);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Normalize a recurrence definition. Accepts an RRULE string or an object
+ * like { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'WE'], until, count }.
+ * `timezone` is the series' timezone, which a date-only until is read in.
+ * Throws an Error with a client-facing message when the rule is invalid.
+ */
+function parseRecurrence(input, { timezone = 'UTC' } = {}) {
+    const fields = typeof input === 'string' ? rruleToObject(input) : { ...input };
+
+    const frequency = String(fields.frequency || fields.freq || '').toUpperCase();
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new Error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ').toLowerCase()}`);
+    }
+
+    const rule = {
+        frequency,
+        interval: fields.interval === undefined ? 1 : parsePositiveInt(fields.interval, 'interval'),
+        byDay: [],
+        byMonthDay: [],
+        until: null,
+        count: null
+    };
+
+    const byDay = fields.byDay || fields.byWeekday;
+    if (byDay && byDay.length) {
+        if (frequency !== 'WEEKLY') {
+            throw new Error('Recurrence weekdays are only supported for weekly frequency');
+        }
+        rule.byDay = [...new Set(byDay.map(parseWeekday))];
+    }
+
+    if (fields.byMonthDay && fields.byMonthDay.length) {
+        if (frequency !== 'MONTHLY') {
+            throw new Error('Recurrence month days are only supported for monthly frequency');
+        }
+        rule.byMonthDay = [...new Set(fields.byMonthDay.map(Number))];
+        if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+            throw new Error('Recurrence month days must be between 1 and 31 (or -1 to -31)');
+        }
+    }
+
+    if (fields.until !== undefined && fields.until !== null) {
+        rule.until = parseUntil(fields.until, timezone);
+    }
+
+    if (fields.count !== undefined && fields.count !== null) {
+        rule.count = parsePositiveInt(fields.count, 'count');
+    }
+
+    if (rule.until !== null && rule.count !== null) {
+        throw new Error('Recurrence cannot have both until and count');
+    }
+
+    return rule;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Building a formatter is far slower than using one, so keep one per zone
+const zonedFormatters = new Map();
+
+function zonedFormatter(timezone) {
+    let formatter = zonedFormatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        zonedFormatters.set(timezone, formatter);
+    }
+    return formatter;
+}
+
+// Wall-clock parts of an instant in a timezone
+function getZonedParts(time, timezone) {
+    const parts = {};
+
+    for (const { type, value } of zonedFormatter(timezone).formatToParts(new Date(time))) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+function getTimezoneOffset(time, timezone) {
+    const p = getZonedParts(time, timezone);
+    const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+// Instant for a wall-clock time in a timezone. Times skipped by a DST jump
+// resolve to the instant just after the gap.
+function zonedTimeToUtc({ year, month, day, hour, minute, second }, timezone) {
+    const guess = Date.UTC(year, month, day, hour, minute, second);
+    const estimate = guess - getTimezoneOffset(guess, timezone);
+    const corrected = guess - getTimezoneOffset(estimate, timezone);
+    return Math.max(estimate, corrected);
+}
+
+// Candidate local dates (as UTC-midnight timestamps) in ascending order. A
+// month without any of the rule's days yields null, so the caller's iteration
+// cap still ends rules that never match (e.g. every 12 months on the 31st, from April).
+function* candidateDates(rule, start) {
+    const startDate = Date.UTC(start.year, start.month, start.day);
+
+    if (rule.frequency === 'DAILY') {
+        for (let k = 0; ; k++) {
+            yield startDate + k * rule.interval * DAY_MS;
+        }
+    }
+
+    if (rule.frequency === 'WEEKLY') {
+        const startWeekday = new Date(startDate).getUTCDay();
+        const weekdays = (rule.byDay.length ? rule.byDay : [startWeekday])
+            .map(day => (day + 6) % 7)  // Monday-based offsets
+            .sort((a, b) => a - b);
+        const weekStart = startDate - ((startWeekday + 6) % 7) * DAY_MS;
+
+        for (let week = 0; ; week += rule.interval) {
+            for (const offset of weekdays) {
+                const date = weekStart + (week * 7 + offset) * DAY_MS;
+                if (date >= startDate) yield date;
+            }
+        }
+    }
+
+    if (rule.frequency === 'MONTHLY') {
+        const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [start.day];
+
+        for (let k = 0; ; k += rule.interval) {
+            const year = start.year + Math.floor((start.month + k) / 12);
+            const month = (start.month + k) % 12;
+            const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+            const days = [...new Set(monthDays.map(day => (day < 0 ? daysInMonth + day + 1 : day)))]
+                .filter(day => day >= 1 && day <= daysInMonth)  // e.g. skip the 31st in short months
+                .sort((a, b) => a - b);
+
+            if (!days.length) yield null;
+            for (const day of days) {
+                const date = Date.UTC(year, month, day);
+                if (date >= startDate) yield date;
+            }
+        }
+    }
+}
+
+/**
+ * Find the first occurrence strictly after `after`.
+ * `startAt` is the first call of the series; its wall-clock time in
+ * `timezone` is kept for every occurrence.
+ * Returns { at, index } (index is 1-based) or null when the series is over.
+ */
+function nextOccurrence(rule, startAt, timezone, after) {
+    const start = getZonedParts(startAt, timezone);
+    let index = 0;
+    let iterations = 0;
+
+    for (const date of candidateDates(rule, start)) {
+        if (++iterations > MAX_ITERATIONS) return null;
+        if (date === null) continue;
+
+        index++;
+        if (rule.count !== null && index > rule.count) return null;
+
+        // Any time of day on this date is still before `after` (offsets stay
+        // under a day), so only count it: old series skip to the present cheaply
+        if (date + 2 * DAY_MS <= after) continue;
+
+        const local = new Date(date);
+        const at = zonedTimeToUtc({
+            year: local.getUTCFullYear(),
+            month: local.getUTCMonth(),
+            day: local.getUTCDate(),
+            hour: start.hour,
+            minute: start.minute,
+            second: start.second
+        }, timezone);
+
+        if (rule.until !== null && at > rule.until) return null;
+        if (at > after) return { at, index };
+    }
+
+    return null;
+}
+
+// Human-readable summary, e.g. "every 2 weeks on MO, WE"
+function describeRecurrence(rule) {
+    const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.frequency];
+    let text = rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`;
+
+    if (rule.byDay.length) {
+        text += ` on ${rule.byDay.map(day => WEEKDAYS[day]).join(', ')}`;
+    }
+    if (rule.byMonthDay.length) {
+        text += ` on day ${rule.byMonthDay.join(', ')}`;
+    }
+    if (rule.count !== null) {
+        text += `, ${rule.count} times`;
+    }
+    if (rule.until !== null) {
+        text += ` until ${new Date(rule.until).toISOString()}`;
+    }
+
+    return text;
+}
+
+// RRULE text for a normalized rule, e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+function formatRecurrence(rule) {
+    const parts = [`FREQ=${rule.frequency}`];
+
+    if (rule.interval !== 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay.length) {
+        parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+    }
+    if (rule.byMonthDay.length) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+    if (rule.count !== null) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+    if (rule.until !== null) {
+        parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+
+    return parts.join(';');
+}
+
+module.exports = {
+    parseRecurrence,
+    nextOccurrence,
+    describeRecurrence,
+    formatRecurrence,
+    isValidTimezone,
+    parseWeekday,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc
+};
@@ -0,0 +1,67 @@
+// ============================================
+// RETRY POLICY - What to do when a call goes unanswered
+// ============================================
+// A policy looks like { maxAttempts: 3, backoffMinutes: 2, backoffMultiplier: 2, giveUpStatus: 'given-up' }.
+// maxAttempts counts the first call, so 3 means the first call plus two retries.
+// The delay before retry n is backoffMinutes * backoffMultiplier^(n - 1).
+
+const GIVE_UP_STATUSES = ['given-up', 'missed', 'failed'];
+
+// Call outcomes that mean the user never confirmed the reminder
+// ('voicemail': an answering machine picked up and got a message instead)
+const UNANSWERED_OUTCOMES = ['busy', 'no-answer', 'failed', 'no-response', 'voicemail'];
+
+const MAX_ATTEMPTS_LIMIT = 10;
+
+function parseNumber(value, name, { min, max }) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`Retry policy ${name} must be between ${min} and ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Merge a client-supplied policy over the defaults.
+ * Throws an Error with a client-facing message when a field is invalid.
+ */
+function parseRetryPolicy(input, defaults) {
+    const policy = { ...defaults };
+    if (!input) return policy;
+
+    if (typeof input !== 'object') {
+        throw new Error('Retry policy must be an object');
+    }
+
+    if (input.maxAttempts !== undefined) {
+        policy.maxAttempts = parseNumber(input.maxAttempts, 'maxAttempts', { min: 1, max: MAX_ATTEMPTS_LIMIT });
+        if (!Number.isInteger(policy.maxAttempts)) {
+            throw new Error('Retry policy maxAttempts must be a whole number');
+        }
+    }
+
+    if (input.backoffMinutes !== undefined) {
+        policy.backoffMinutes = parseNumber(input.backoffMinutes, 'backoffMinutes', { min: 0.5, max: 24 * 60 });
+    }
+
+    if (input.backoffMultiplier !== undefined) {
+        policy.backoffMultiplier = parseNumber(input.backoffMultiplier, 'backoffMultiplier', { min: 1, max: 10 });
+    }
+
+    if (input.giveUpStatus !== undefined) {
+        if (!GIVE_UP_STATUSES.includes(input.giveUpStatus)) {
+            throw new Error(`Retry policy giveUpStatus must be one of: ${GIVE_UP_STATUSES.join(', ')}`);
+        }
+        policy.giveUpStatus = input.giveUpStatus;
+    }
+
+    return policy;
+}
+
+// Milliseconds to wait before the retry that follows `attemptsMade` attempts
+function getRetryDelay(policy, attemptsMade) {
+    const minutes = policy.backoffMinutes * Math.pow(policy.backoffMultiplier, attemptsMade - 1);
+    return Math.round(minutes * 60 * 1000);
+}
+
+module.exports = { parseRetryPolicy, getRetryDelay, UNANSWERED_OUTCOMES };
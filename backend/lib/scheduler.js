@@ -0,0 +1,204 @@
+const { logger } = require('./logger');
+
+// ============================================
+// TIMER SCHEDULER - Fires each reminder at its exact due time
+// ============================================
+// Due times sit in a binary min-heap keyed by id, and a single timer is armed
+// for the earliest one. Re-scheduling an id moves it within the heap, so
+// updates, snoozes and cancellations never need a scan. The clock is
+// injectable: pass createManualClock() to drive time by hand.
+
+// setTimeout can't wait longer than ~24.8 days; longer waits re-arm on wake-up
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: handle => clearTimeout(handle)
+};
+
+/**
+ * A clock that only moves when told to. advance(ms) runs the timers that
+ * come due on the way, in order.
+ */
+function createManualClock(start = 0) {
+    let now = start;
+    let nextHandle = 1;
+    const timers = new Map();
+
+    function advance(ms) {
+        const target = now + ms;
+        for (;;) {
+            const due = Array.from(timers.entries())
+                .filter(([, timer]) => timer.at <= target)
+                .sort((a, b) => a[1].at - b[1].at || a[0] - b[0])[0];
+            if (!due) break;
+
+            timers.delete(due[0]);
+            now = Math.max(now, due[1].at);
+            due[1].fn();
+        }
+        now = target;
+    }
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            const handle = nextHandle++;
+            timers.set(handle, { at: now + Math.max(0, ms), fn });
+            return handle;
+        },
+        clearTimeout: handle => timers.delete(handle),
+        advance,
+        pendingTimers: () => timers.size
+    };
+}
+
+/**
+ * onDue(id, now) is called once an id's time has come; the id is out of the
+ * heap by then, so schedule it again to have it fire later.
+ */
+function createTimerScheduler({ onDue, clock = systemClock }) {
+    const heap = [];            // [{ id, at }], earliest first
+    const positions = new Map(); // id -> index in heap
+    let timer = null;
+    let armedAt = null;
+    let firing = false;
+    let stopped = false;
+
+    function swap(i, j) {
+        [heap[i], heap[j]] = [heap[j], heap[i]];
+        positions.set(heap[i].id, i);
+        positions.set(heap[j].id, j);
+    }
+
+    function siftUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].at <= heap[i].at) break;
+            swap(i, parent);
+            i = parent;
+        }
+    }
+
+    function siftDown(i) {
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].at < heap[smallest].at) smallest = left;
+            if (right < heap.length && heap[right].at < heap[smallest].at) smallest = right;
+            if (smallest === i) break;
+            swap(i, smallest);
+            i = smallest;
+        }
+    }
+
+    function removeAt(i) {
+        positions.delete(heap[i].id);
+        const last = heap.pop();
+        if (i < heap.length) {
+            heap[i] = last;
+            positions.set(last.id, i);
+            siftDown(i);
+            siftUp(i);
+        }
+    }
+
+    // Point the single timer at the earliest due time
+    function arm() {
+        if (stopped || firing) return;
+
+        const next = heap[0];
+        if (!next) {
+            if (timer !== null) clock.clearTimeout(timer);
+            timer = null;
+            armedAt = null;
+            return;
+        }
+        if (timer !== null && armedAt === next.at) return;
+
+        if (timer !== null) clock.clearTimeout(timer);
+        armedAt = next.at;
+        const delay = Math.min(Math.max(0, next.at - clock.now()), MAX_TIMER_DELAY);
+        timer = clock.setTimeout(fire, delay);
+    }
+
+    // Hand every entry that is due to onDue, earliest first
+    function fire() {
+        timer = null;
+        armedAt = null;
+        firing = true;
+
+        try {
+            const now = clock.now();
+            while (heap.length && heap[0].at <= now) {
+                const { id } = heap[0];
+                removeAt(0);
+                try {
+                    onDue(id, now);
+                } catch (error) {
+                    logger.error('Scheduler failed to run entry', { scheduledId: id, err: error });
+                }
+            }
+        } finally {
+            firing = false;
+            arm();
+        }
+    }
+
+    // Add an id, or move it to a new due time
+    function schedule(id, at) {
+        const index = positions.get(id);
+        if (index === undefined) {
+            heap.push({ id, at });
+            positions.set(id, heap.length - 1);
+            siftUp(heap.length - 1);
+        } else {
+            heap[index].at = at;
+            siftDown(index);
+            siftUp(index);
+        }
+        arm();
+    }
+
+    function cancel(id) {
+        const index = positions.get(id);
+        if (index === undefined) return;
+        removeAt(index);
+        arm();
+    }
+
+    // The earliest entry, or null
+    function peek() {
+        return heap[0] ? { ...heap[0] } : null;
+    }
+
+    // Run anything already due now (e.g. after the process was suspended)
+    function poke() {
+        if (!firing && heap.length && heap[0].at <= clock.now()) {
+            if (timer !== null) clock.clearTimeout(timer);
+            fire();
+        }
+    }
+
+    function stop() {
+        stopped = true;
+        if (timer !== null) clock.clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        schedule,
+        cancel,
+        has: id => positions.has(id),
+        peek,
+        poke,
+        stop,
+        get size() {
+            return heap.length;
+        }
+    };
+}
+
+module.exports = { createTimerScheduler, createManualClock, systemClock };
@@ -0,0 +1,133 @@
+const { getCallLanguage } = require('./messages');
+
+// ============================================
+// CALL RESPONSES - Keypresses and speech from the reminder menu
+// ============================================
+// Keypad: 1 = acknowledge, 2 = snooze for the reminder's default time,
+// * = enter a number of minutes followed by # (answered in a second Gather).
+// Speech: "done", "snooze", "snooze ten minutes", "call me back in an hour",
+// "half an hour"... Keywords come from the call's message catalog; Twilio
+// usually transcribes numbers as digits, and English number words are
+// understood as well, plus the "one" articles of the other catalogs.
+
+const MAX_CUSTOM_MINUTES = 24 * 60;
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, ein: 1, eine: 1, einer: 1, un: 1, una: 1, une: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+    eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+    fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, ninety: 90
+};
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[.,!?;:-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function containsAny(text, phrases) {
+    return phrases.some(phrase => new RegExp(`(^|\\s)${phrase}($|\\s)`).test(text));
+}
+
+// "twenty five" -> 25, "10" -> 10; only looks at the words right before a unit
+function parseNumberBefore(words) {
+    let total = 0;
+    let found = false;
+
+    for (let i = words.length - 1; i >= 0; i--) {
+        const word = words[i];
+        if (/^\d+(\.\d+)?$/.test(word)) {
+            if (found) break;
+            return Number(word);
+        }
+        if (NUMBER_WORDS[word] === undefined) break;
+        total += NUMBER_WORDS[word];
+        found = true;
+    }
+
+    return found ? total : null;
+}
+
+/**
+ * Spoken duration in minutes, e.g. "ten minutes" -> 10, "an hour and a half" -> 90.
+ * Returns null when no duration is mentioned.
+ */
+function parseSpokenDuration(text, keywords) {
+    const normalized = normalize(text);
+    const andAHalf = containsAny(normalized, keywords.andAHalf);
+
+    // "an hour and a half" also contains "half", so only check the
+    // half/quarter hour phrases when there's no "and a half"
+    if (!andAHalf) {
+        if (containsAny(normalized, keywords.halfHour)) return 30;
+        if (containsAny(normalized, keywords.quarterHour)) return 15;
+    }
+
+    const words = normalized.split(' ');
+    let minutes = 0;
+    let found = false;
+
+    words.forEach((word, index) => {
+        const isHour = keywords.hour.some(unit => word.startsWith(unit));
+        const isMinute = keywords.minute.some(unit => word.startsWith(unit));
+        if (!isHour && !isMinute) return;
+
+        const amount = parseNumberBefore(words.slice(0, index));
+        if (amount === null) return;
+
+        minutes += isHour ? amount * 60 : amount;
+        found = true;
+    });
+
+    if (found && andAHalf) {
+        minutes += 30;
+    }
+
+    return found ? Math.round(minutes) : null;
+}
+
+/**
+ * Work out what the caller asked for. `minutesEntry` is true when the digits
+ * answer the "enter the number of minutes" prompt that follows *.
+ * Returns { action: 'acknowledge' }, { action: 'snooze', minutes },
+ * { action: 'enter-minutes' } or null.
+ */
+function parseCallResponse({ digits, speech, locale, defaultSnoozeMinutes, minutesEntry = false }) {
+    const keypad = String(digits || '').trim();
+
+    if (minutesEntry) {
+        const minutes = Number(keypad.replace(/[#*]/g, ''));
+        if (/^\d{1,4}#?$/.test(keypad) && minutes > 0 && minutes <= MAX_CUSTOM_MINUTES) {
+            return { action: 'snooze', minutes };
+        }
+        return null;
+    }
+
+    if (keypad === '1') return { action: 'acknowledge' };
+    if (keypad === '2') return { action: 'snooze', minutes: defaultSnoozeMinutes };
+    if (keypad === '*') return { action: 'enter-minutes' };
+
+    const text = normalize(speech);
+    if (!text) return null;
+
+    const { keywords } = getCallLanguage(locale).messages;
+    const minutes = parseSpokenDuration(text, keywords);
+
+    // Check snooze before confirm: "not done yet, call me back later" is a snooze
+    if (minutes > 0 && minutes <= MAX_CUSTOM_MINUTES) {
+        return { action: 'snooze', minutes };
+    }
+    if (containsAny(text, keywords.snooze)) {
+        return { action: 'snooze', minutes: defaultSnoozeMinutes };
+    }
+
+    if (containsAny(text, keywords.confirm)) {
+        return { action: 'acknowledge' };
+    }
+
+    return null;
+}
+
+module.exports = { parseCallResponse, parseSpokenDuration };
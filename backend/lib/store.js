@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// ============================================
+// PERSISTENCE
+// ============================================
+// The server works against plain Maps (scheduledCalls, activeCalls, ...).
+// A store owns those Maps and snapshots them to a driver so they survive
+// restarts. Drivers only need two methods:
+//   load()          -> { collectionName: [[key, value], ...], ... }
+//   write(snapshot) -> persist the same shape
+//
+// A shared store lets several processes work on one set of Maps. It also
+// needs withLock(fn), which runs fn while holding a lock across processes.
+// Every flush then merges instead of overwriting: under the lock it reloads
+// the snapshot, takes in what other processes changed, and writes back the
+// records this process changed. Changes are tracked per record, and when
+// two processes change the same record between syncs the later write wins.
+// A driver may also offer version(), a value that changes whenever the
+// snapshot does; while it stays the same, syncs skip the reload.
+//
+// The file driver's lock is a lock file polled from a blocking loop, so a
+// shared file store is for a few processes on one host: every process stalls
+// while it waits (up to LOCK_TIMEOUT_MS), and lock files aren't reliable on
+// network filesystems.
+
+const LOCK_RETRY_MS = 5;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;  // A lock this old was left by a process that died
+
+// Block the thread briefly; locks are held for a few milliseconds at most
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Keeps nothing - useful for local experiments where restarts should start clean
+class MemoryDriver {
+    load() {
+        return {};
+    }
+
+    write() {}
+}
+
+// Writes the whole snapshot as JSON. Writes go to a temp file first and are
+// renamed into place so a crash mid-write never leaves a truncated file.
+class FileDriver {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            // Keep the unreadable file around for inspection instead of overwriting it
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, corruptPath);
+            logger.error('Could not read store file, moved it aside', { path: corruptPath, err: error });
+            return {};
+        }
+    }
+
+    // Every write renames a new file into place, so the inode changes along
+    // with mtime and size. null while there is no file.
+    version() {
+        try {
+            const stats = fs.statSync(this.filePath);
+            return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    write(snapshot) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // Lock file next to the store, created exclusively so only one process holds it
+    withLock(fn) {
+        const lockPath = `${this.filePath}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(lockPath, 'wx'));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (this.lockIsStale(lockPath)) {
+                    fs.rmSync(lockPath, { force: true });
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for store lock ${lockPath}`);
+                }
+                sleepSync(LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    lockIsStale(lockPath) {
+        try {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+        } catch (error) {
+            return false;  // Released while we looked
+        }
+    }
+}
+
+function createDriver(driver, filePath) {
+    if (driver && typeof driver === 'object') {
+        return driver;  // Custom driver supplied by the caller
+    }
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryDriver();
+        case 'file':
+        case undefined:
+            return new FileDriver(filePath);
+        default:
+            throw new Error(`Unknown store driver: ${driver}`);
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+// Copy `source` onto `target` in place, so code holding a reference to a
+// record (or to an object inside it) sees the update
+function mergeInto(target, source) {
+    const keys = Array.isArray(source) ? source.keys() : Object.keys(source);
+
+    if (Array.isArray(target)) {
+        target.length = source.length;
+    } else {
+        for (const key of Object.keys(target)) {
+            if (!(key in source)) delete target[key];
+        }
+    }
+
+    for (const key of keys) {
+        const current = target[key];
+        const value = source[key];
+        if (isObject(current) && isObject(value) && Array.isArray(current) === Array.isArray(value)) {
+            mergeInto(current, value);
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+/**
+ * Create a store whose named collections are Maps backed by a driver.
+ * Call save() after mutating a collection (or an object inside it);
+ * writes are debounced so a burst of updates costs a single write.
+ * With `shared`, several processes can use the same file at once (see above).
+ */
+function createStore({ driver, filePath = 'data/noforget.json', shared = false, flushDelay = shared ? 0 : 500 } = {}) {
+    const backend = createDriver(driver, filePath);
+    if (shared && typeof backend.withLock !== 'function') {
+        throw new Error('A shared store needs a driver with withLock(), like the file driver');
+    }
+
+    // The driver's version as of the last sync; read before loading, so a
+    // write that lands in between costs one extra reload rather than a lost change
+    const versioned = shared && typeof backend.version === 'function';
+    let syncedVersion = versioned ? backend.version() : null;
+
+    const loaded = backend.load() || {};
+    const collections = new Map();
+    const synced = new Map();  // name -> Map(key -> JSON as of the last sync), shared stores only
+    const listeners = [];
+    let flushTimer = null;
+
+    function collection(name) {
+        if (!collections.has(name)) {
+            const entries = loaded[name] || [];
+            collections.set(name, new Map(entries));
+            synced.set(name, new Map(entries.map(([key, value]) => [key, JSON.stringify(value)])));
+        }
+        return collections.get(name);
+    }
+
+    function snapshot() {
+        const result = {};
+        for (const [name, map] of collections.entries()) {
+            result[name] = Array.from(map.entries());
+        }
+        return result;
+    }
+
+    // Merge with the driver's copy: take in other processes' changes, write ours.
+    // Must run under the driver's lock.
+    function merge() {
+        const version = versioned ? backend.version() : null;
+        // Unchanged since the last sync: what the driver holds is what we synced
+        const unchanged = versioned && version !== null && version === syncedVersion;
+        const remote = unchanged ? {} : backend.load() || {};
+        const changes = [];
+        let dirty = false;
+
+        for (const name of new Set([...Object.keys(remote), ...collections.keys()])) {
+            const map = collection(name);
+            const base = synced.get(name);
+            const theirs = unchanged ? new Map(base) : new Map();
+            const ours = new Map();
+
+            for (const [key, value] of remote[name] || []) {
+                theirs.set(key, JSON.stringify(value));
+            }
+            for (const [key, value] of map.entries()) {
+                ours.set(key, JSON.stringify(value));
+            }
+            const changedHere = key => ours.get(key) !== base.get(key);
+
+            for (const [key, value] of remote[name] || []) {
+                const json = theirs.get(key);
+                if (json === base.get(key) || changedHere(key)) continue;
+
+                const current = map.get(key);
+                if (isObject(current) && isObject(value) && Array.isArray(current) === Array.isArray(value)) {
+                    mergeInto(current, value);
+                } else {
+                    map.set(key, value);
+                }
+                ours.set(key, json);
+                changes.push({ name, key, value: map.get(key) });
+            }
+
+            for (const key of base.keys()) {
+                if (!theirs.has(key) && !changedHere(key)) {
+                    map.delete(key);
+                    ours.delete(key);
+                    changes.push({ name, key, value: undefined });
+                }
+            }
+
+            if (theirs.size !== ours.size || Array.from(ours.entries()).some(([key, json]) => theirs.get(key) !== json)) {
+                dirty = true;
+            }
+
+            synced.set(name, ours);
+        }
+
+        if (dirty) {
+            backend.write(snapshot());
+            syncedVersion = versioned ? backend.version() : null;
+        } else {
+            syncedVersion = version;
+        }
+        return changes;
+    }
+
+    function notify(changes) {
+        for (const { name, key, value } of changes) {
+            for (const listener of listeners) {
+                try {
+                    listener(name, key, value);
+                } catch (error) {
+                    logger.error('Store change listener failed', { collection: name, key, err: error });
+                }
+            }
+        }
+    }
+
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        try {
+            if (shared) {
+                notify(backend.withLock(merge));
+            } else {
+                backend.write(snapshot());
+            }
+        } catch (error) {
+            logger.error('Failed to persist store', { err: error });
+        }
+    }
+
+    function save() {
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, flushDelay);
+        }
+    }
+
+    /**
+     * Run fn against the latest shared state with no other process in
+     * between, and write its changes before returning fn's result.
+     * Without `shared` this is just fn() followed by save().
+     */
+    function transaction(fn) {
+        if (!shared) {
+            const result = fn();
+            save();
+            return result;
+        }
+
+        let changes = [];
+        const result = backend.withLock(() => {
+            changes = merge();
+            const value = fn();
+            changes = changes.concat(merge());
+            return value;
+        });
+        notify(changes);
+        return result;
+    }
+
+    // Called with (collectionName, key, value) for every record another
+    // process changed; value is undefined when the record was deleted
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    if (shared) {
+        for (const name of Object.keys(loaded)) collection(name);
+    }
+
+    // Names of the collections in use
+    function names() {
+        return Array.from(collections.keys());
+    }
+
+    return { collection, names, save, flush, sync: flush, transaction, onChange, shared };
+}
+
+module.exports = { createStore, MemoryDriver, FileDriver };
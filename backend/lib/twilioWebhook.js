@@ -0,0 +1,43 @@
+const twilio = require('twilio');
+const { logger } = require('./logger');
+
+// ============================================
+// TWILIO WEBHOOK SIGNATURES
+// ============================================
+// Twilio signs every webhook with X-Twilio-Signature, an HMAC of the full
+// request URL and POST parameters keyed with the account auth token. We
+// rebuild the URL from BASE_URL rather than the Host header because the app
+// runs behind a proxy that rewrites it.
+
+function webhookUrl(baseUrl, req) {
+    return `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+/**
+ * Express middleware that rejects webhooks without a valid Twilio signature.
+ * Pass { enabled: false } to skip validation (local development only).
+ */
+function createTwilioWebhookValidator({ authToken, baseUrl, enabled = true }) {
+    return function validateTwilioRequest(req, res, next) {
+        if (!enabled) {
+            return next();
+        }
+
+        const signature = req.get('X-Twilio-Signature');
+        const url = webhookUrl(baseUrl, req);
+
+        if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+            logger.warn(`Rejected webhook with ${signature ? 'an invalid' : 'no'} Twilio signature`, { method: req.method, url: req.originalUrl });
+            return res.status(403).type('text/plain').send('Invalid Twilio signature');
+        }
+
+        next();
+    };
+}
+
+// Signature a genuine Twilio request to this URL would carry (used by the fake sender)
+function signWebhook(authToken, url, params) {
+    return twilio.getExpectedTwilioSignature(authToken, url, params);
+}
+
+module.exports = { createTwilioWebhookValidator, signWebhook };
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { logger } = require('./logger');
+const { systemClock } = require('./scheduler');
+
+// ============================================
+// WEBHOOKS - Signed reminder events for clients and integrations
+// ============================================
+// Every event about a number's reminders is kept in an event log (which the
+// app reads through GET /events) and POSTed to each webhook URL registered
+// for that number. Bodies are signed with the subscription's secret:
+//   NoForget-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers should recompute v1 and reject old timestamps. Failed deliveries
+// are retried with backoff; after the last attempt they move to the
+// dead-letter list, from where they can be re-queued.
+//
+// URLs may not point into our own network: loopback, private and link-local
+// addresses are refused when subscribing, and the host's resolved addresses are
+// checked again before every delivery, since DNS can change after the fact.
+
+const EVENT_TYPES = ['scheduled', 'calling', 'ringing', 'answered', 'acknowledged', 'snoozed', 'failed', 'given-up', 'escalated'];
+
+// Wait after each failed attempt; one more attempt than there are delays
+const RETRY_DELAYS = [30, 120, 600, 3600, 6 * 3600].map(seconds => seconds * 1000);
+const DELIVERY_TIMEOUT_MS = 10000;
+const CLAIM_MS = 60000;  // How long a delivery being sent is hidden from other instances
+const MAX_SUBSCRIPTIONS_PER_NUMBER = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function randomId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Addresses a webhook must never reach: this host, private networks, link-local
+// (which includes cloud metadata services), and other non-routable ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Whether an IP address (IPv4-mapped IPv6 included) is in one of those ranges
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A URL's hostname without IPv6 brackets or a trailing dot
+function bareHostname(url) {
+    return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+function isPrivateHostname(hostname) {
+    return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+}
+
+// Correlation fields for a delivery's log lines
+function deliveryFields(delivery, subscription, error) {
+    return {
+        deliveryId: delivery.id,
+        event: delivery.event.type,
+        reminderId: delivery.event.data.reminderId,
+        url: subscription.url,
+        attempts: delivery.attempts,
+        error
+    };
+}
+
+// The NoForget-Signature header value for a body sent at `timestamp` (unix seconds)
+function signPayload(secret, body, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Validate a subscription request. Throws an Error with a client-facing message.
+ * Plain http and private hosts are only accepted when allowHttp and
+ * allowPrivateAddresses are set (local development).
+ */
+function parseSubscription({ url, events }, { allowHttp = false, allowPrivateAddresses = false } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error('Webhook url must be an absolute URL');
+    }
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+        throw new Error('Webhook url must use https');
+    }
+    if (parsed.username || parsed.password) {
+        throw new Error('Webhook url must not contain credentials');
+    }
+    if (!allowPrivateAddresses && isPrivateHostname(bareHostname(parsed))) {
+        throw new Error('Webhook url must point to a public address');
+    }
+
+    const list = events === undefined ? EVENT_TYPES : events;
+    if (!Array.isArray(list) || !list.length || list.some(type => !EVENT_TYPES.includes(type))) {
+        throw new Error(`Webhook events must be a list of: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    return { url: parsed.toString(), events: [...new Set(list)] };
+}
+
+/**
+ * Webhook subscriptions, deliveries and the event log, kept in store
+ * collections. Deliveries are claimed in store transactions so only one
+ * instance sends each.
+ */
+function createWebhooks({
+    store,
+    subscriptions,
+    deliveries,
+    deadLetters,
+    events,
+    allowHttp = false,
+    allowPrivateAddresses = false,
+    retryDelays = RETRY_DELAYS,
+    eventRetentionDays = 7,
+    maxEvents = 5000,
+    fetch = globalThis.fetch,
+    lookup = dns.promises.lookup,
+    clock = systemClock
+}) {
+    const maxAttempts = retryDelays.length + 1;
+
+    // Refuse to send when the host now resolves to a private address
+    async function checkResolvedAddress(url) {
+        if (allowPrivateAddresses) return;
+        const hostname = bareHostname(new URL(url));
+        const addresses = net.isIP(hostname) ? [{ address: hostname }] : await lookup(hostname, { all: true });
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw new Error(`${hostname} resolves to a private address`);
+        }
+    }
+
+    function subscribe(phoneNumber, input) {
+        const { url, events: types } = parseSubscription(input, { allowHttp, allowPrivateAddresses });
+        if (list(phoneNumber).length >= MAX_SUBSCRIPTIONS_PER_NUMBER) {
+            throw new Error(`A number can have at most ${MAX_SUBSCRIPTIONS_PER_NUMBER} webhooks`);
+        }
+
+        const subscription = {
+            id: randomId('wh'),
+            phoneNumber,
+            url,
+            events: types,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            createdAt: new Date().toISOString()
+        };
+        subscriptions.set(subscription.id, subscription);
+        store.save();
+        return subscription;
+    }
+
+    function list(phoneNumber) {
+        return Array.from(subscriptions.values()).filter(subscription => subscription.phoneNumber === phoneNumber);
+    }
+
+    // Remove a subscription and whatever it still had queued
+    function unsubscribe(id) {
+        subscriptions.delete(id);
+        for (const [deliveryId, delivery] of deliveries.entries()) {
+            if (delivery.subscriptionId === id) deliveries.delete(deliveryId);
+        }
+        store.save();
+    }
+
+    /**
+     * Record an event for a number and send it to the number's subscribers.
+     * Returns the event.
+     */
+    function emit(phoneNumber, type, data) {
+        const now = clock.now();
+        const event = { id: randomId('evt'), type, createdAt: new Date(now).toISOString(), data };
+        events.set(event.id, { ...event, phoneNumber });
+
+        const queued = list(phoneNumber)
+            .filter(subscription => subscription.events.includes(type))
+            .map(subscription => {
+                const delivery = {
+                    id: randomId('dlv'),
+                    subscriptionId: subscription.id,
+                    phoneNumber,
+                    event,
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    claimedUntil: now + CLAIM_MS,  // Sent right away by this instance
+                    createdAt: event.createdAt
+                };
+                deliveries.set(delivery.id, delivery);
+                return delivery;
+            });
+
+        store.save();
+        queued.forEach(sendInBackground);
+        return event;
+    }
+
+    async function send(delivery) {
+        const subscription = subscriptions.get(delivery.subscriptionId);
+        if (!subscription) {
+            deliveries.delete(delivery.id);
+            store.save();
+            return;
+        }
+
+        const body = JSON.stringify(delivery.event);
+        let error = null;
+        let status;
+
+        try {
+            await checkResolvedAddress(subscription.url);
+            // Signed with wall-clock time: receivers check it against their own clocks
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NoForget-Webhooks/1.0',
+                    'NoForget-Event': delivery.event.type,
+                    'NoForget-Delivery': delivery.id,
+                    'NoForget-Signature': signPayload(subscription.secret, body, Math.floor(Date.now() / 1000))
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            status = response.status;
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? 'Timed out' : err.message;
+        }
+
+        store.transaction(() => recordAttempt(delivery, subscription, { error, status }));
+    }
+
+    // Callers don't wait for the send. Failed requests are handled inside send(),
+    // so a rejection here means the attempt couldn't be recorded (e.g. the store
+    // failed to write) and the delivery is retried once its claim runs out.
+    function sendInBackground(delivery) {
+        send(delivery).catch(err => logger.error('Webhook delivery failed to record', { deliveryId: delivery.id, err }));
+    }
+
+    function recordAttempt(delivery, subscription, { error, status }) {
+        if (!deliveries.has(delivery.id)) return;  // Unsubscribed while sending
+
+        const now = clock.now();
+        delivery.attempts += 1;
+        delivery.lastAttemptAt = new Date(now).toISOString();
+        delivery.lastStatus = status;
+        delete delivery.claimedUntil;
+
+        if (!error) {
+            deliveries.delete(delivery.id);
+            subscription.lastDeliveredAt = delivery.lastAttemptAt;
+            return;
+        }
+
+        delivery.lastError = error;
+        if (delivery.attempts >= maxAttempts) {
+            deliveries.delete(delivery.id);
+            deadLetters.set(delivery.id, { ...delivery, deadAt: delivery.lastAttemptAt });
+            logger.warn('Webhook delivery failed for good, moved to dead letters', deliveryFields(delivery, subscription, error));
+            return;
+        }
+
+        delivery.nextAttemptAt = now + retryDelays[delivery.attempts - 1];
+        logger.warn('Webhook delivery failed, will retry', {
+            ...deliveryFields(delivery, subscription, error),
+            retryInSeconds: Math.round(retryDelays[delivery.attempts - 1] / 1000)
+        });
+    }
+
+    // Send every delivery whose retry is due. Run periodically.
+    function retryDue(now = clock.now()) {
+        const due = store.transaction(() => {
+            const claimed = [];
+            for (const delivery of deliveries.values()) {
+                if (delivery.nextAttemptAt <= now && !(delivery.claimedUntil > now)) {
+                    delivery.claimedUntil = now + CLAIM_MS;
+                    claimed.push(delivery);
+                }
+            }
+            return claimed;
+        });
+        due.forEach(sendInBackground);
+    }
+
+    function deadLettersFor(phoneNumber) {
+        return Array.from(deadLetters.values()).filter(delivery => delivery.phoneNumber === phoneNumber);
+    }
+
+    // Put a dead letter back in the queue for a fresh round of attempts
+    function requeue(id) {
+        const dead = deadLetters.get(id);
+        if (!dead || !subscriptions.has(dead.subscriptionId)) return null;
+
+        const now = clock.now();
+        const delivery = { ...dead, attempts: 0, nextAttemptAt: now, claimedUntil: now + CLAIM_MS };
+        delete delivery.deadAt;
+        deadLetters.delete(id);
+        deliveries.set(id, delivery);
+        store.save();
+        sendInBackground(delivery);
+        return delivery;
+    }
+
+    /**
+     * A number's events, oldest first. `after` is the id of the last event the
+     * caller has seen; if it is no longer kept, every retained event is returned.
+     */
+    function eventsFor(phoneNumber, { after, limit = 100 } = {}) {
+        const own = Array.from(events.values())
+            .filter(event => event.phoneNumber === phoneNumber)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+        const start = after ? own.findIndex(event => event.id === after) + 1 : 0;
+
+        return own.slice(start, start + limit).map(({ phoneNumber: _, ...event }) => event);
+    }
+
+    // Drop old events and dead letters. Returns how many were removed.
+    function prune(now = clock.now()) {
+        const retention = eventRetentionDays * DAY_MS;
+        let removed = 0;
+
+        for (const [id, event] of events.entries()) {
+            if (now - new Date(event.createdAt).getTime() > retention) {
+                events.delete(id);
+                removed++;
+            }
+        }
+        if (events.size > maxEvents) {
+            const oldest = Array.from(events.values())
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                .slice(0, events.size - maxEvents);
+            for (const event of oldest) {
+                events.delete(event.id);
+                removed++;
+            }
+        }
+        for (const [id, dead] of deadLetters.entries()) {
+            if (now - new Date(dead.deadAt).getTime() > 30 * DAY_MS) {
+                deadLetters.delete(id);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    return { subscribe, list, unsubscribe, emit, retryDue, deadLettersFor, requeue, eventsFor, prune };
+}
+
+module.exports = { createWebhooks, signPayload, parseSubscription, EVENT_TYPES };
@@ -0,0 +1,46 @@
+// Fake Twilio sender: posts a signed webhook to a local server, exactly as
+// Twilio would, so signature validation can stay on during development.
+//
+// Usage: node scripts/send-webhook.js <path> [Key=Value ...]
+//   node scripts/send-webhook.js /gather CallSid=CA123 Digits=1
+//   node scripts/send-webhook.js /sms From=+15551234567 Body="SNOOZE 15"
+//
+// Signs with TWILIO_AUTH_TOKEN against BASE_URL (both read from .env), and
+// sends the request to TARGET_URL (defaults to BASE_URL).
+require('dotenv').config();
+const { signWebhook } = require('../lib/twilioWebhook');
+
+async function main() {
+    const [path, ...pairs] = process.argv.slice(2);
+    if (!path || !path.startsWith('/')) {
+        console.error('Usage: node scripts/send-webhook.js <path> [Key=Value ...]');
+        process.exit(1);
+    }
+
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const baseUrl = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const targetUrl = (process.env.TARGET_URL || baseUrl).replace(/\/$/, '');
+
+    const params = {};
+    for (const pair of pairs) {
+        const index = pair.indexOf('=');
+        params[pair.slice(0, index)] = pair.slice(index + 1);
+    }
+
+    const response = await fetch(`${targetUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-Twilio-Signature': signWebhook(authToken, `${baseUrl}${path}`, params)
+        },
+        body: new URLSearchParams(params).toString()
+    });
+
+    console.log(`${response.status} ${response.statusText}`);
+    console.log(await response.text());
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -1,51 +1,309 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
 const express = require('express');
-const twilio = require('twilio');
+const { createProvider } = require('./lib/providers');
+const { createStore } = require('./lib/store');
+const { parseRecurrence, nextOccurrence, describeRecurrence, formatRecurrence, isValidTimezone } = require('./lib/recurrence');
+const { parseRetryPolicy, getRetryDelay, UNANSWERED_OUTCOMES } = require('./lib/retry');
+const { CHALLENGE_TYPES, createChallenge, challengePrompt, checkChallengeAnswer } = require('./lib/challenge');
+const { createTwilioWebhookValidator } = require('./lib/twilioWebhook');
+const { createDeviceTokens } = require('./lib/deviceToken');
+const { isValidLocale, getCallLanguage, formatSpokenDueTime } = require('./lib/messages');
+const { parseCallResponse } = require('./lib/speech');
+const { createHistory, buildTimeline } = require('./lib/history');
+const { parseQuietHours, quietUntil } = require('./lib/quietHours');
+const { LimitError, sendLimitError, createRateLimiter, createUsageCaps } = require('./lib/rateLimit');
+const { createDestinationRules } = require('./lib/destinations');
+const { createTimerScheduler, systemClock } = require('./lib/scheduler');
+const { createWebhooks } = require('./lib/webhooks');
+const { createEventStream } = require('./lib/eventStream');
+const { logger } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+const { createAdminAuth } = require('./lib/adminAuth');
+const { parseCalendar, eventText, eventDate, eventCallTimes, serializeCalendar } = require('./lib/ical');
+const { detectAudioFormat, createClipFiles } = require('./lib/audio');
+
+// Behind Render's proxy every request comes from the proxy, so trust one hop
+// by default and req.ip (used for rate limits) is the client's address.
+// TRUST_PROXY takes a hop count, true/false, or Express's address lists.
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') return 1;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
 
 const app = express();
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // For Twilio webhooks
 
 // Environment variables
+// TELEPHONY_PROVIDER=fake runs without Twilio: calls and texts are recorded
+// locally and driven through the /fake routes (see lib/providers/fake.js)
+const providerName = process.env.TELEPHONY_PROVIDER || 'twilio';
+const useFakeProvider = providerName === 'fake';
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioNumber = process.env.TWILIO_PHONE_NUMBER;
+const authToken = process.env.TWILIO_AUTH_TOKEN || (useFakeProvider ? 'fake-auth-token' : undefined);
+const twilioNumber = process.env.TWILIO_PHONE_NUMBER || (useFakeProvider ? '+15005550006' : undefined);
 const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+const PORT = process.env.PORT || 3000;
+
+// Every due time, lease and snooze is measured against this clock, the same
+// one reminderTimers runs on (lib/scheduler.js), so they can never disagree
+const clock = systemClock;
 
 // Validate required environment variables
-if (!accountSid || !authToken || !twilioNumber) {
-    console.error('Missing required Twilio credentials. Please set:');
-    console.error('  TWILIO_ACCOUNT_SID');
-    console.error('  TWILIO_AUTH_TOKEN');
-    console.error('  TWILIO_PHONE_NUMBER');
+if (!useFakeProvider && (!accountSid || !authToken || !twilioNumber)) {
+    logger.error('Missing required Twilio credentials', {
+        required: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'],
+        hint: 'Or set TELEPHONY_PROVIDER=fake to run offline.'
+    });
+    process.exit(1);
+}
+
+if (useFakeProvider && process.env.NODE_ENV === 'production') {
+    logger.error('TELEPHONY_PROVIDER=fake cannot be used in production');
     process.exit(1);
 }
 
-const client = twilio(accountSid, authToken);
+const provider = createProvider(providerName, {
+    accountSid,
+    authToken,
+    phoneNumber: twilioNumber,
+    verifyServiceSid: process.env.TWILIO_VERIFY_SERVICE_SID,
+    baseUrl,
+    localUrl: `http://localhost:${PORT}`,
+    verificationCode: process.env.FAKE_VERIFICATION_CODE
+});
+
+// Every route Twilio calls back (/gather, /status, /sms, ...) must use this
+// middleware. Validation can only be switched off outside production, e.g. when
+// posting hand-made webhooks; scripts/send-webhook.js signs them instead.
+const isProduction = process.env.NODE_ENV === 'production';
+const signatureValidationEnabled = process.env.TWILIO_SIGNATURE_VALIDATION !== 'false' || isProduction;
+if (process.env.TWILIO_SIGNATURE_VALIDATION === 'false' && isProduction) {
+    logger.warn('TWILIO_SIGNATURE_VALIDATION=false is ignored in production');
+}
+const validateTwilioRequest = createTwilioWebhookValidator({
+    authToken,
+    baseUrl,
+    enabled: signatureValidationEnabled
+});
+
+// Scheduling routes only act on the phone number the device proved it owns
+// through /verify/check. Falling back to the auth token means rotating it
+// signs every device out, so set a dedicated secret in production.
+if (!process.env.DEVICE_TOKEN_SECRET) {
+    logger.warn('DEVICE_TOKEN_SECRET not set, signing device tokens with TWILIO_AUTH_TOKEN');
+}
+const deviceTokens = createDeviceTokens({
+    secret: process.env.DEVICE_TOKEN_SECRET || authToken,
+    ttlDays: parseInt(process.env.DEVICE_TOKEN_TTL_DAYS, 10) || 365
+});
+const { requireDeviceToken } = deviceTokens;
+
+// The admin dashboard (/admin) and debug routes sign in with ADMIN_USERNAME and
+// ADMIN_PASSWORD; without a password they are switched off (see lib/adminAuth.js)
+const { requireAdmin } = createAdminAuth({
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD
+});
+
+// ============================================
+// ABUSE PROTECTION - Rate limits, usage caps and destination rules
+// ============================================
+// Limits can be tuned (or disabled with 0) through the environment, see .env.example
+function envLimit(name, fallback) {
+    const value = process.env[name];
+    return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const ipLimiter = createRateLimiter({ windowMs: 60 * 1000, max: envLimit('RATE_LIMIT_PER_IP_PER_MINUTE', 30) });
+const verifySendLimiter = createRateLimiter({ windowMs: HOUR_MS, max: envLimit('VERIFY_SENDS_PER_NUMBER_PER_HOUR', 5) });
+const verifyCheckLimiter = createRateLimiter({ windowMs: HOUR_MS, max: envLimit('VERIFY_CHECKS_PER_NUMBER_PER_HOUR', 10) });
+const callLimiter = createRateLimiter({ windowMs: HOUR_MS, max: envLimit('CALLS_PER_NUMBER_PER_HOUR', 10) });
+const scheduleLimiter = createRateLimiter({ windowMs: HOUR_MS, max: envLimit('SCHEDULES_PER_NUMBER_PER_HOUR', 60) });
+
+// Pending reminders one number may have at a time (MAX_SCHEDULED_CALLS is shared by everyone)
+const MAX_PENDING_PER_NUMBER = envLimit('MAX_PENDING_PER_NUMBER', 100);
+
+const destinationRules = createDestinationRules({
+    allowedCountryCodes: process.env.ALLOWED_COUNTRY_CODES,
+    deniedCountryCodes: process.env.DENIED_COUNTRY_CODES,
+    deniedPrefixes: process.env.DENIED_PREFIXES
+});
+
+const limitByIp = ipLimiter.middleware(req => req.ip);
+const limitVerifySends = verifySendLimiter.middleware(req => normalizePhoneNumber(req.body.phoneNumber), {
+    message: 'Too many verification codes requested for this number. Please try again later.'
+});
+const limitVerifyChecks = verifyCheckLimiter.middleware(req => normalizePhoneNumber(req.body.phoneNumber), {
+    message: 'Too many verification attempts for this number. Please try again later.'
+});
+const limitCalls = callLimiter.middleware(req => normalizePhoneNumber(req.body.to || req.phoneNumber), {
+    message: 'Too many calls to this number. Please try again later.'
+});
+const limitSchedules = scheduleLimiter.middleware(req => normalizePhoneNumber(req.body.to || req.phoneNumber), {
+    message: 'Too many reminders scheduled for this number. Please try again later.'
+});
+
+// 403 with the rule's code if we won't call or text this number; returns true if it answered
+function rejectDestination(res, phoneNumber) {
+    const refusal = destinationRules.check(phoneNumber);
+    if (!refusal) return false;
+    res.status(403).json(refusal);
+    return true;
+}
 
 // ============================================
 // STORAGE WITH AUTOMATIC CLEANUP
 // ============================================
 
-// In-memory storage for scheduled calls
-// Note: This resets if server restarts. For production, use a database.
-const scheduledCalls = new Map();
-const activeCalls = new Map();
+// Scheduled and active calls live in Maps owned by the store, which persists
+// them (to data/noforget.json by default) so pending reminders survive restarts.
+// Call store.save() after mutating either Map or an entry inside it.
+// With STORE_SHARED=true several instances can run against one store file;
+// see MULTIPLE INSTANCES below.
+const store = createStore({
+    driver: process.env.STORE_DRIVER || 'file',
+    filePath: process.env.STORE_PATH || 'data/noforget.json',
+    shared: process.env.STORE_SHARED === 'true'
+});
+const scheduledCalls = store.collection('scheduledCalls');
+const activeCalls = store.collection('activeCalls');
+// Recurring reminders: the series definition lives here, and each occurrence
+// is materialized into scheduledCalls one at a time as the previous one is dialed
+const recurringSeries = store.collection('recurringSeries');
+// Numbers that replied STOP to a reminder text (keyed by normalized number)
+const smsOptOuts = store.collection('smsOptOuts');
+// Do-not-disturb rules per number (keyed by normalized number, see lib/quietHours.js)
+const quietHours = store.collection('quietHours');
+// Calls placed and verification texts sent per number this day and month (see lib/rateLimit.js)
+const usageCaps = createUsageCaps({
+    collection: store.collection('usage'),
+    caps: {
+        calls: { daily: envLimit('CALLS_DAILY_CAP', 20), monthly: envLimit('CALLS_MONTHLY_CAP', 300) },
+        verifications: { daily: envLimit('VERIFICATIONS_DAILY_CAP', 5), monthly: envLimit('VERIFICATIONS_MONTHLY_CAP', 20) }
+    }
+});
+// Reminders that left scheduledCalls, kept for GET /schedule/:id (see lib/history.js)
+const history = createHistory({
+    collection: store.collection('reminderHistory'),
+    retentionDays: Number(process.env.HISTORY_RETENTION_DAYS) || 30
+});
+// Webhook subscriptions, queued and dead deliveries, and the event log behind GET /events (see lib/webhooks.js)
+const webhooks = createWebhooks({
+    store,
+    subscriptions: store.collection('webhooks'),
+    deliveries: store.collection('webhookDeliveries'),
+    deadLetters: store.collection('webhookDeadLetters'),
+    events: store.collection('events'),
+    allowHttp: !isProduction,
+    allowPrivateAddresses: !isProduction && process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+    eventRetentionDays: Number(process.env.EVENT_RETENTION_DAYS) || 7,
+    clock
+});
+// Calendar feed URLs (keyed by a hash of the URL's token, see CALENDAR below)
+const calendarFeeds = store.collection('calendarFeeds');
+
+// Audio clips per number (see AUDIO CLIPS); the files sit under /audio/clips
+const AUDIO_DIRECTORY = 'audio';
+const audioClips = store.collection('audioClips');
+const clipFiles = createClipFiles({ directory: path.join(AUDIO_DIRECTORY, 'clips') });
+
+// Open GET /events/stream connections (see lib/eventStream.js)
+const eventStream = createEventStream({
+    heartbeatMs: (Number(process.env.STREAM_HEARTBEAT_SECONDS) || 15) * 1000
+});
 
 // Constants for cleanup
 const MAX_SCHEDULED_CALLS = 1000;  // Prevent unbounded growth
 const MAX_ACTIVE_CALLS = 500;
+const WEBHOOK_RETRY_INTERVAL = 15 * 1000;
 const CLEANUP_INTERVAL = 5 * 60 * 1000;  // Run cleanup every 5 minutes
 const SCHEDULED_CALL_MAX_AGE = 24 * 60 * 60 * 1000;  // Remove scheduled calls older than 24 hours
 const ACTIVE_CALL_MAX_AGE = 2 * 60 * 60 * 1000;  // Remove active calls older than 2 hours
+const TERMINAL_CALL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
+
+// Calls that came due while the server was down are still placed if they are
+// at most this late; anything older is marked 'missed' on startup.
+const MISSED_CALL_GRACE_PERIOD = (parseInt(process.env.MISSED_CALL_GRACE_MINUTES, 10) || 15) * 60 * 1000;
+
+// Retry policy for reminders posted without one (see lib/retry.js)
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 3,
+    backoffMinutes: Number(process.env.RETRY_BACKOFF_MINUTES) || 2,
+    backoffMultiplier: Number(process.env.RETRY_BACKOFF_MULTIPLIER) || 2,
+    giveUpStatus: 'given-up'
+};
+
+// Backup contacts get one call each; an unanswered one hands over to the next (see ESCALATION)
+const ESCALATION_RETRY_POLICY = { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+
+// Answering machine detection on outbound reminder calls (see VOICEMAIL)
+const MACHINE_DETECTION_ENABLED = process.env.MACHINE_DETECTION !== 'false';
+const MACHINE_DETECTION_TIMEOUT_SECONDS = 30;
+
+// How reminders are delivered: a phone call, a text, or a call that falls back to a text once retries run out
+const CHANNELS = ['voice', 'sms', 'voice-then-sms'];
+
+// Timezone for recurring reminders posted without one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// ============================================
+// METRICS - Scraped from GET /metrics (see lib/metrics.js)
+// ============================================
+const metrics = createRegistry();
+const dialsTotal = metrics.counter('noforget_dials_total',
+    'Reminder calls and texts handed to the provider', ['channel', 'trigger', 'result']);
+const callsTotal = metrics.counter('noforget_calls_total',
+    'Placed calls by final call status', ['status']);
+const responsesTotal = metrics.counter('noforget_reminder_responses_total',
+    'How people answered reminders', ['response', 'via']);
+const dispatchDelaySeconds = metrics.histogram('noforget_dispatch_delay_seconds',
+    'Time from a reminder\'s callAt to its dial or text', ['channel'],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900]);
+const verificationsTotal = metrics.counter('noforget_verifications_total',
+    'Verification codes sent and checked', ['action', 'result']);
+const cleanupRemovedTotal = metrics.counter('noforget_cleanup_removed_total',
+    'Records removed by cleanup', ['collection']);
+const escalationsTotal = metrics.counter('noforget_escalations_total',
+    'Backup contact calls queued, and how escalations ended', ['result']);
+
+metrics.gauge('noforget_store_records', 'Records in each store collection', ['collection'],
+    () => store.names().map(name => ({ labels: { collection: name }, value: store.collection(name).size })));
+metrics.gauge('noforget_scheduler_armed', 'Reminders with an armed timer', [],
+    () => [{ labels: {}, value: reminderTimers.size }]);
+metrics.gauge('noforget_event_stream_clients', 'Open GET /events/stream connections', [],
+    () => [{ labels: {}, value: eventStream.size }]);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [],
+    () => [{ labels: {}, value: process.memoryUsage().rss }]);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [],
+    () => [{ labels: {}, value: process.memoryUsage().heapUsed }]);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', [],
+    () => [{ labels: {}, value: Math.floor(process.uptime()) }]);
+
+// Correlation fields for a reminder's log lines
+function reminderFields(scheduled) {
+    return {
+        reminderId: clientReminderId(scheduled),
+        scheduledId: scheduled.id,
+        callSid: scheduled.callSid,
+        messageSid: scheduled.messageSid
+    };
+}
 
 // ============================================
 // CLEANUP FUNCTIONS
 // ============================================
 
 function cleanupScheduledCalls() {
-    const now = Date.now();
+    const now = clock.now();
     let removed = 0;
+    let seriesRemoved = 0;
 
     for (const [id, scheduled] of scheduledCalls.entries()) {
         // Remove if:
@@ -59,18 +317,46 @@ function cleanupScheduledCalls() {
             (scheduled.status === 'failed' && age > 60 * 60 * 1000);
 
         if (shouldRemove) {
-            scheduledCalls.delete(id);
+            removeScheduled(scheduled, 'expired');
             removed++;
         }
     }
 
+    // Drop series that ended or were cancelled a while ago
+    for (const [id, series] of recurringSeries.entries()) {
+        const age = now - new Date(series.updatedAt).getTime();
+        if (series.status !== 'active' && age > SCHEDULED_CALL_MAX_AGE) {
+            recurringSeries.delete(id);
+            seriesRemoved++;
+        }
+    }
+
+    cleanupRemovedTotal.inc({ collection: 'scheduledCalls' }, removed);
+    cleanupRemovedTotal.inc({ collection: 'recurringSeries' }, seriesRemoved);
+    if (removed + seriesRemoved > 0) {
+        store.save();
+        logger.info('Cleaned up old scheduled calls', { removed, seriesRemoved, remaining: scheduledCalls.size });
+    }
+}
+
+// Take a reminder out of scheduledCalls, keeping its record in the history
+function removeScheduled(scheduled, reason) {
+    history.archive(scheduled, reason, clock.now());
+    scheduledCalls.delete(scheduled.id);
+    reminderTimers.cancel(scheduled.id);
+}
+
+function cleanupHistory() {
+    const removed = history.prune(clock.now());
+    cleanupRemovedTotal.inc({ collection: 'reminderHistory' }, removed);
     if (removed > 0) {
-        console.log(`🧹 Cleaned up ${removed} old scheduled calls. Remaining: ${scheduledCalls.size}`);
+        store.save();
+        logger.info('Pruned reminder history', { removed });
     }
 }
 
 function cleanupActiveCalls() {
-    const now = Date.now();
+    const now = clock.now();
     let removed = 0;
 
     for (const [callSid, callInfo] of activeCalls.entries()) {
@@ -84,8 +370,10 @@ function cleanupActiveCalls() {
         }
     }
 
+    cleanupRemovedTotal.inc({ collection: 'activeCalls' }, removed);
     if (removed > 0) {
-        console.log(`🧹 Cleaned up ${removed} old active calls. Remaining: ${activeCalls.size}`);
+        store.save();
+        logger.info('Cleaned up old active calls', { removed, remaining: activeCalls.size });
     }
 }
 
@@ -96,11 +384,13 @@ function enforceMaxSize() {
             .filter(([_, s]) => s.called)  // Prioritize removing completed
             .sort((a, b) => a[1].callAt - b[1].callAt);  // Oldest first
 
-        const toRemove = scheduledCalls.size - MAX_SCHEDULED_CALLS;
-        for (let i = 0; i < toRemove && i < sorted.length; i++) {
-            scheduledCalls.delete(sorted[i][0]);
+        const toRemove = Math.min(scheduledCalls.size - MAX_SCHEDULED_CALLS, sorted.length);
+        for (let i = 0; i < toRemove; i++) {
+            removeScheduled(sorted[i][1], 'evicted');
         }
-        console.log(`⚠️ Enforced max scheduled calls limit. Size: ${scheduledCalls.size}`);
+        cleanupRemovedTotal.inc({ collection: 'scheduledCalls' }, toRemove);
+        store.save();
+        logger.warn('Enforced max scheduled calls limit', { removed: toRemove, size: scheduledCalls.size });
     }
 
     // Same for active calls
@@ -112,7 +402,9 @@ function enforceMaxSize() {
         for (let i = 0; i < toRemove; i++) {
             activeCalls.delete(sorted[i][0]);
         }
-        console.log(`⚠️ Enforced max active calls limit. Size: ${activeCalls.size}`);
+        cleanupRemovedTotal.inc({ collection: 'activeCalls' }, toRemove);
+        store.save();
+        logger.warn('Enforced max active calls limit', { removed: toRemove, size: activeCalls.size });
     }
 }
 
@@ -120,391 +412,3032 @@ function enforceMaxSize() {
 setInterval(() => {
     cleanupScheduledCalls();
     cleanupActiveCalls();
+    cleanupHistory();
+    const usageRemoved = usageCaps.prune(clock.now());
+    const eventsRemoved = webhooks.prune(clock.now());
+    cleanupRemovedTotal.inc({ collection: 'usage' }, usageRemoved);
+    cleanupRemovedTotal.inc({ collection: 'events' }, eventsRemoved);
+    if (usageRemoved + eventsRemoved > 0) store.save();
     enforceMaxSize();
+    armPendingReminders();
 }, CLEANUP_INTERVAL);
 
+// Resend webhook deliveries whose retry is due
+setInterval(() => webhooks.retryDue(clock.now()), WEBHOOK_RETRY_INTERVAL);
+
 // ============================================
-// SCHEDULER - Checks every 30 seconds for due calls
+// MULTIPLE INSTANCES - Sharing one store without double-dialing
 // ============================================
-function checkScheduledCalls() {
-    const now = Date.now();
+// Every instance arms timers for every reminder, so several fire at once.
+// Before delivering, an instance claims the reminder in a store transaction
+// by writing a lease; the others see it and stand down. The lease is
+// released once the provider has taken the call or text. If the instance
+// dies before that, the lease expires and another one dials instead.
+// Webhooks can arrive at any instance: each request first pulls in what the
+// other instances changed.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+const DIAL_LEASE_MS = (Number(process.env.DIAL_LEASE_SECONDS) || 60) * 1000;
+const STORE_SYNC_INTERVAL = 2000;
 
-    for (const [id, scheduled] of scheduledCalls.entries()) {
-        if (scheduled.callAt <= now && !scheduled.called) {
-            console.log(`⏰ Time to call for reminder: ${scheduled.reminderTitle}`);
+if (store.shared) {
+    app.use((req, res, next) => {
+        store.sync();
+        next();
+    });
 
-            // Mark as called IMMEDIATELY to prevent duplicate calls
-            scheduled.called = true;
-            scheduled.status = 'calling';
-            scheduled.calledAt = new Date().toISOString();
+    // Pick up reminders scheduled through other instances
+    setInterval(() => store.sync(), STORE_SYNC_INTERVAL);
+    logger.info('Shared store enabled', { instance: INSTANCE_ID });
+}
 
-            // Initiate the call
-            initiateScheduledCall(scheduled)
-                .then(callSid => {
-                    scheduled.callSid = callSid;
-                    scheduled.status = 'initiated';
-                    console.log(`✅ Call initiated: ${callSid}`);
-                })
-                .catch(error => {
-                    scheduled.status = 'failed';
-                    scheduled.error = error.message;
-                    console.error(`❌ Call failed: ${error.message}`);
-                });
-        }
-    }
+function leaseHeld(scheduled, now = clock.now()) {
+    return Boolean(scheduled.lease && scheduled.lease.expiresAt > now);
+}
+
+function releaseLease(scheduled) {
+    delete scheduled.lease;
 }
 
-// Run scheduler every 30 seconds
-const schedulerInterval = setInterval(checkScheduledCalls, 30000);
-console.log('📅 Call scheduler started (checking every 30 seconds)');
+// A dial that never got a call SID (its instance died, or this process
+// restarted mid-dial) may or may not have gone out. Treat it as not yet called.
+function resetLostDial(scheduled) {
+    const attempts = scheduled.attempts || [];
+    const last = attempts[attempts.length - 1];
+    releaseLease(scheduled);
 
-// Also check immediately on health requests (in case server was sleeping)
-function ensureSchedulerRunning() {
-    checkScheduledCalls();
+    if (last && !last.callSid && !last.messageSid) {
+        attempts.pop();
+        scheduled.called = false;
+        scheduled.status = 'scheduled';
+        return true;
+    }
+    return false;
 }
 
-// ============================================
-// HELPER: Initiate a scheduled call
-// ============================================
-async function initiateScheduledCall(scheduled) {
-    const { to, reminderTitle, reminderDescription, dueTime } = scheduled;
+/**
+ * Take the right to deliver a due reminder. Runs in a store transaction, so
+ * when several instances' timers fire together only one gets the entry;
+ * the rest get null.
+ */
+function claimReminder(id, now) {
+    const scheduled = scheduledCalls.get(id);
+    if (!scheduled) return null;
 
-    const call = await client.calls.create({
-        to: to,
-        from: twilioNumber,
-        twiml: generateTwiML(reminderTitle, reminderDescription, dueTime),
-        statusCallback: `${baseUrl}/status`,
-        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        statusCallbackMethod: 'POST'
-    });
+    if (leaseHeld(scheduled, now)) {
+        armReminder(scheduled);  // Check on it again when the lease runs out
+        return null;
+    }
+    if (scheduled.lease) {
+        const { owner } = scheduled.lease;
+        if (resetLostDial(scheduled)) {
+            logger.warn('Instance stopped mid-dial, lease expired: retrying', { ...reminderFields(scheduled), owner });
+        }
+    }
 
-    // Store call info with reference to scheduled call
-    activeCalls.set(call.sid, {
-        to,
-        reminderTitle,
-        scheduledId: scheduled.id,
-        status: call.status,
-        createdAt: new Date().toISOString()
-    });
+    if (scheduled.called) return null;
 
-    return call.sid;
+    // Moved later without being re-armed: wait for the new time
+    if (scheduled.callAt > now) {
+        armReminder(scheduled);
+        return null;
+    }
+
+    scheduled.lease = { owner: INSTANCE_ID, expiresAt: now + DIAL_LEASE_MS };
+    return scheduled;
 }
 
 // ============================================
-// HELPER: Generate TwiML for call
+// SCHEDULER - Dials each reminder the moment it comes due
 // ============================================
-function generateTwiML(reminderTitle, reminderDescription, dueTime) {
-    return `
-        <Response>
-            <Say voice="Polly.Joanna" language="en-US">
-                <prosody rate="95%">
-                    Attention! This is your NoForget reminder.
-                </prosody>
-            </Say>
-            <Pause length="0.5"/>
-            <Say voice="Polly.Joanna" language="en-US">
-                <prosody rate="90%">
-                    ${escapeXml(reminderTitle)}.
-                </prosody>
-            </Say>
-            ${reminderDescription ? `
-            <Pause length="0.3"/>
-            <Say voice="Polly.Joanna" language="en-US">
-                ${escapeXml(reminderDescription)}
-            </Say>
-            ` : ''}
-            <Pause length="0.5"/>
-            <Say voice="Polly.Joanna" language="en-US">
-                This was scheduled for ${escapeXml(dueTime || 'now')}.
-            </Say>
-            <Pause length="1"/>
-            <Say voice="Polly.Joanna" language="en-US">
-                Press 1 to confirm you received this reminder.
-                Press 2 to be called again in 5 minutes.
-            </Say>
-            <Gather numDigits="1" action="${baseUrl}/gather" method="POST" timeout="10">
-                <Say voice="Polly.Joanna">Waiting for your response.</Say>
-            </Gather>
-            <Say voice="Polly.Joanna" language="en-US">
-                No response received. Goodbye.
-            </Say>
-        </Response>
-    `;
+// reminderTimers holds the callAt of every entry that still has to go out and
+// keeps one timer armed for the earliest. Whatever adds an entry or changes
+// its callAt or called flag calls armReminder(), so the timer follows along.
+const reminderTimers = createTimerScheduler({ onDue: dispatchReminder, clock });
+
+// Arm the entry's timer while it waits to go out, or while a dial holds its
+// lease (to catch an instance that dies mid-dial); drop it otherwise
+function armReminder(scheduled) {
+    if (scheduledCalls.get(scheduled.id) !== scheduled) {
+        reminderTimers.cancel(scheduled.id);
+    } else if (!scheduled.called) {
+        reminderTimers.schedule(scheduled.id, scheduled.callAt);
+    } else if (scheduled.lease) {
+        reminderTimers.schedule(scheduled.id, scheduled.lease.expiresAt);
+    } else {
+        reminderTimers.cancel(scheduled.id);
+    }
 }
 
-// ============================================
-// ENDPOINTS
-// ============================================
+// Arm every waiting entry. Runs at startup, and with cleanup as a safety net.
+function armPendingReminders() {
+    for (const scheduled of scheduledCalls.values()) {
+        if (!scheduled.called || scheduled.lease) armReminder(scheduled);
+    }
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    ensureSchedulerRunning();
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        scheduledCalls: scheduledCalls.size,
-        activeCalls: activeCalls.size,
-        uptime: Math.floor(process.uptime()) + 's'
-    });
+// Entries other instances added, changed or removed
+store.onChange((name, id, scheduled) => {
+    if (name !== 'scheduledCalls') return;
+    if (scheduled) {
+        armReminder(scheduled);
+    } else {
+        reminderTimers.cancel(id);
+    }
 });
 
-// App info endpoint - provides Twilio number for onboarding
-app.get('/info', (req, res) => {
-    res.json({
-        twilioNumber: twilioNumber,
-        appName: 'NoForget',
-        contactName: 'Remind Line'
-    });
-});
+// Returns the entry if this instance delivered it. `force` (an operator's
+// "dial now") skips quiet hours.
+function dispatchReminder(id, now, { force = false } = {}) {
+    const scheduled = store.transaction(() => claimReminder(id, now));
+    if (!scheduled) return null;
 
-// ============================================
-// PHONE VERIFICATION (Twilio Verify)
-// ============================================
+    deliverReminder(scheduled, now, { force });
 
-// Send verification code via SMS
-app.post('/verify/send', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
+    // Refused, deferred and skipped reminders are done with the lease; calls
+    // and texts keep it until the provider has them
+    if (scheduled.lease && !['calling', 'sending'].includes(scheduled.status)) {
+        releaseLease(scheduled);
+        store.save();
+    }
+    return scheduled;
+}
 
-        if (!phoneNumber) {
-            return res.status(400).json({ error: 'Phone number is required' });
-        }
+function deliverReminder(scheduled, now, { force = false } = {}) {
+    if (refuseDelivery(scheduled, now)) {
+        return;
+    }
 
-        const verifyServiceSid = process.env.TWILIO_VERIFY_SERVICE_SID;
-        if (!verifyServiceSid) {
-            return res.status(500).json({ error: 'Verification service not configured' });
-        }
+    if (!scheduled.urgent && !force && holdForQuietHours(scheduled, now)) {
+        return;
+    }
 
-        const verification = await client.verify.v2
-            .services(verifyServiceSid)
-            .verifications.create({
-                to: phoneNumber,
-                channel: 'sms'
-            });
+    dispatchDelaySeconds.observe({ channel: scheduled.channel === 'sms' ? 'sms' : 'voice' },
+        Math.max(0, clock.now() - scheduled.callAt) / 1000);
 
-        console.log(`📱 Verification sent to ${phoneNumber}: ${verification.status}`);
+    if (scheduled.channel === 'sms') {
+        sendScheduledSms(scheduled);
+        return;
+    }
 
-        res.json({
-            status: verification.status,
-            message: 'Verification code sent'
-        });
+    logger.info('Calling for reminder', reminderFields(scheduled));
 
-    } catch (error) {
-        console.error('Error sending verification:', error);
-        res.status(500).json({
-            error: 'Failed to send verification',
-            message: error.message
+    // Mark as called IMMEDIATELY to prevent duplicate calls
+    scheduled.called = true;
+    scheduled.status = 'calling';
+    scheduled.calledAt = new Date(clock.now()).toISOString();
+    usageCaps.record('calls', normalizePhoneNumber(scheduled.to), now);
+
+    // Every dial is recorded so the app can show what happened
+    const attempt = {
+        attempt: (scheduled.attempts || []).length + 1,
+        channel: 'voice',
+        startedAt: scheduled.calledAt,
+        status: 'calling'
+    };
+    scheduled.attempts = [...(scheduled.attempts || []), attempt];
+    store.save();
+
+    emitReminderEvent('calling', scheduled);
+
+    // Queue up the next occurrence of a recurring reminder
+    advanceSeries(scheduled);
+
+    // Initiate the call
+    initiateScheduledCall(scheduled)
+        .then(callSid => store.transaction(() => {
+            scheduled.callSid = callSid;
+            scheduled.status = 'initiated';
+            attempt.callSid = callSid;
+            attempt.status = 'initiated';
+            releaseLease(scheduled);
+            dialsTotal.inc({ channel: 'voice', trigger: 'scheduled', result: 'initiated' });
+            logger.info('Call initiated', reminderFields(scheduled));
+        }))
+        .catch(error => {
+            releaseLease(scheduled);
+            scheduled.error = error.message;
+            attempt.status = 'failed';
+            attempt.outcome = 'failed';
+            attempt.error = error.message;
+            attempt.endedAt = new Date(clock.now()).toISOString();
+            dialsTotal.inc({ channel: 'voice', trigger: 'scheduled', result: 'failed' });
+            logger.error('Call failed', { ...reminderFields(scheduled), err: error });
+            handleUnansweredCall(scheduled, 'failed');
         });
-    }
-});
+}
 
-// Check verification code
-app.post('/verify/check', async (req, res) => {
-    try {
-        const { phoneNumber, code } = req.body;
+// ============================================
+// STARTUP RECOVERY - Decide what to do with calls persisted before a restart
+// ============================================
+function recoverScheduledCalls() {
+    const now = clock.now();
+    let pending = 0;
+    let late = 0;
+    let missed = 0;
 
-        if (!phoneNumber || !code) {
-            return res.status(400).json({ error: 'Phone number and code are required' });
+    for (const scheduled of scheduledCalls.values()) {
+        // A dial that was in flight when the process died never got a call SID.
+        // One another instance is still making keeps its lease.
+        if ((scheduled.status === 'calling' || scheduled.status === 'sending') && !leaseHeld(scheduled, now)) {
+            resetLostDial(scheduled);
         }
 
-        const verifyServiceSid = process.env.TWILIO_VERIFY_SERVICE_SID;
-        if (!verifyServiceSid) {
-            return res.status(500).json({ error: 'Verification service not configured' });
+        if (scheduled.called) continue;
+
+        if (scheduled.callAt > now) {
+            pending++;
+        } else if (now - scheduled.callAt <= MISSED_CALL_GRACE_PERIOD) {
+            // Leave it for the scheduler, which dials it as soon as it's armed
+            late++;
+        } else {
+            scheduled.called = true;
+            scheduled.status = 'missed';
+            scheduled.missedAt = new Date(now).toISOString();
+            missed++;
+
+            // Skip any other occurrences that passed while we were down
+            advanceSeries(scheduled, now);
+            // A backup call that never went out hands over to the next contact
+            if (scheduled.escalationOf) escalateReminder(scheduled);
         }
+    }
 
-        const verificationCheck = await client.verify.v2
-            .services(verifyServiceSid)
-            .verificationChecks.create({
-                to: phoneNumber,
-                code: code
-            });
+    store.save();
+    logger.info('Recovered scheduled calls', { pending, late, missed });
+}
 
-        console.log(`✅ Verification check for ${phoneNumber}: ${verificationCheck.status}`);
+recoverScheduledCalls();
 
-        res.json({
-            status: verificationCheck.status,
-            valid: verificationCheck.status === 'approved'
-        });
+// Late entries come due right away, so anything missed while down is dialed now
+armPendingReminders();
+logger.info('Call scheduler started', { armed: reminderTimers.size });
 
-    } catch (error) {
-        console.error('Error checking verification:', error);
+// Also dispatch anything overdue on health requests (in case the server was
+// suspended and its timer hasn't caught up yet)
+function ensureSchedulerRunning() {
+    reminderTimers.poke();
+}
 
-        // Handle specific Twilio errors
-        if (error.code === 20404) {
-            return res.status(400).json({
-                error: 'Invalid or expired code',
-                valid: false
-            });
-        }
+// ============================================
+// RECURRING SERIES
+// ============================================
 
-        res.status(500).json({
-            error: 'Failed to check verification',
-            message: error.message,
-            valid: false
-        });
+// Materialize the first occurrence of a series after the given time.
+// Returns the new scheduled entry, or null when the series has ended.
+function scheduleNextOccurrence(series, after) {
+    const next = nextOccurrence(series.recurrence, series.startAt, series.timezone, after);
+    series.updatedAt = new Date(clock.now()).toISOString();
+
+    if (!next) {
+        series.status = 'finished';
+        series.nextOccurrenceId = null;
+        store.save();
+        logger.info('Recurring series finished', { reminderId: series.id });
+        return null;
     }
-});
 
-// Schedule a call for later
-app.post('/schedule', async (req, res) => {
-    try {
-        const { to, reminderTitle, reminderDescription, callAt, reminderId } = req.body;
+    const scheduled = {
+        id: `${series.id}_${next.index}`,
+        to: series.to,
+        reminderTitle: series.reminderTitle,
+        reminderDescription: series.reminderDescription,
+        dueTime: formatDueTime(next.at, { timezone: series.timezone, locale: series.locale }),
+        dueAt: next.at,
+        callAt: next.at,
+        timezone: series.timezone,
+        locale: series.locale,
+        voice: series.voice,
+        snoozeMinutes: series.snoozeMinutes,
+        challenge: series.challenge,
+        audioClipId: series.audioClipId,
+        audioMode: series.audioMode,
+        urgent: series.urgent,
+        backupContacts: series.backupContacts,
+        userName: series.userName,
+        scheduledAt: new Date(clock.now()).toISOString(),
+        called: false,
+        status: 'scheduled',
+        retryPolicy: series.retryPolicy,
+        channel: series.channel || 'voice',
+        attempts: [],
+        seriesId: series.id,
+        occurrence: next.index
+    };
 
-        if (!to) {
-            return res.status(400).json({ error: 'Phone number (to) is required' });
-        }
+    scheduledCalls.set(scheduled.id, scheduled);
+    series.nextOccurrenceId = scheduled.id;
+    armReminder(scheduled);
+    store.save();
 
-        if (!reminderTitle) {
-            return res.status(400).json({ error: 'Reminder title is required' });
-        }
+    logger.info('Queued next occurrence', { reminderId: series.id, scheduledId: scheduled.id, callAt: new Date(next.at).toISOString() });
+    return scheduled;
+}
 
-        if (!callAt) {
-            return res.status(400).json({ error: 'Call time (callAt) is required' });
-        }
+// Called once an occurrence is dialed or missed. Snoozed copies carry the
+// seriesId too, but they must not advance the series a second time.
+function advanceSeries(scheduled, after = scheduled.callAt) {
+    if (!scheduled.seriesId || scheduled.snoozedFrom) return;
 
-        const callTime = new Date(callAt);
-        if (isNaN(callTime.getTime())) {
-            return res.status(400).json({ error: 'Invalid callAt date format. Use ISO 8601.' });
-        }
+    const series = recurringSeries.get(scheduled.seriesId);
+    if (!series || series.status !== 'active' || series.nextOccurrenceId !== scheduled.id) return;
 
-        // Check if call is too far in the past (more than 5 minutes ago)
-        if (callTime.getTime() < Date.now() - 5 * 60 * 1000) {
-            return res.status(400).json({ error: 'Cannot schedule calls in the past.' });
+    series.lastOccurrenceAt = scheduled.callAt;
+    scheduleNextOccurrence(series, after);
+}
+
+// Remove every not-yet-dialed entry of a series (occurrences and snoozes)
+function removePendingOccurrences(seriesId) {
+    for (const [id, scheduled] of scheduledCalls.entries()) {
+        if (scheduled.seriesId === seriesId && !scheduled.called) {
+            scheduled.status = 'cancelled';
+            scheduled.cancelledAt = new Date(clock.now()).toISOString();
+            removeScheduled(scheduled, 'cancelled');
         }
+    }
+    store.save();
+}
+
+function cancelSeries(series) {
+    series.status = 'cancelled';
+    series.nextOccurrenceId = null;
+    series.updatedAt = new Date(clock.now()).toISOString();
+    removePendingOccurrences(series.id);
+    logger.info('Cancelled recurring series', { reminderId: series.id });
+}
+
+// ============================================
+// RETRIES - Re-queue unanswered calls according to the reminder's policy
+// ============================================
+function handleUnansweredCall(scheduled, outcome) {
+    const policy = scheduled.retryPolicy || DEFAULT_RETRY_POLICY;
+    const attemptsMade = (scheduled.attempts || []).length;
 
-        // Format the due time for speech
-        const dueTime = callTime.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
+    scheduled.lastOutcome = outcome;
+
+    if (attemptsMade < policy.maxAttempts) {
+        const delay = getRetryDelay(policy, attemptsMade);
+        scheduled.called = false;
+        scheduled.status = 'retry-scheduled';
+        scheduled.callAt = clock.now() + delay;
+        armReminder(scheduled);
+        emitReminderEvent('failed', scheduled, { outcome, retryAt: new Date(scheduled.callAt).toISOString() });
+        logger.info('Retrying unanswered reminder', {
+            ...reminderFields(scheduled),
+            outcome,
+            retryInSeconds: Math.round(delay / 1000),
+            attempt: attemptsMade + 1,
+            maxAttempts: policy.maxAttempts
         });
+    } else {
+        scheduled.status = policy.giveUpStatus;
+        scheduled.gaveUpAt = new Date(clock.now()).toISOString();
+        emitReminderEvent('failed', scheduled, { outcome });
+        emitReminderEvent('given-up', scheduled, { outcome });
+        logger.warn('Giving up on reminder', { ...reminderFields(scheduled), outcome, attempts: attemptsMade });
 
-        const id = reminderId || `call_${Date.now()}`;
-
-        // Check if this reminder already exists (update instead of duplicate)
-        if (scheduledCalls.has(id)) {
-            const existing = scheduledCalls.get(id);
-            // Only update if not already called
-            if (!existing.called) {
-                existing.callAt = callTime.getTime();
-                existing.reminderTitle = reminderTitle;
-                existing.reminderDescription = reminderDescription || '';
-                existing.dueTime = dueTime;
-                console.log(`📝 Updated scheduled call: "${reminderTitle}" to ${to}`);
-
-                const msUntilCall = callTime.getTime() - Date.now();
-                return res.json({
-                    success: true,
-                    id,
-                    message: `Call updated for ${dueTime}`,
-                    minutesUntilCall: Math.max(0, Math.round(msUntilCall / 60000)),
-                    updated: true
-                });
-            }
+        if (scheduled.channel === 'voice-then-sms' && !scheduled.smsFallbackSentAt) {
+            sendFallbackSms(scheduled);
         }
+        escalateReminder(scheduled);
+    }
 
-        const scheduled = {
-            id,
-            to,
-            reminderTitle,
-            reminderDescription: reminderDescription || '',
-            dueTime,
-            callAt: callTime.getTime(),
-            scheduledAt: new Date().toISOString(),
-            called: false,
-            status: 'scheduled'
-        };
+    store.save();
+}
 
-        scheduledCalls.set(id, scheduled);
+// The attempt record for a call SID, if the call belongs to this scheduled entry
+function findAttempt(scheduled, callSid) {
+    return (scheduled.attempts || []).find(attempt => attempt.callSid === callSid);
+}
 
-        const msUntilCall = callTime.getTime() - Date.now();
-        const minutesUntilCall = Math.round(msUntilCall / 60000);
+// What the user answered on a call: the outcome plus the key pressed or words heard
+function recordOutcome(scheduled, callSid, outcome, { keypress, speech } = {}) {
+    const attempt = findAttempt(scheduled, callSid);
+    responsesTotal.inc({ response: outcome, via: 'call' });
+    if (attempt) {
+        attempt.outcome = outcome;
+        attempt.respondedAt = new Date(clock.now()).toISOString();
+        if (keypress) attempt.keypress = keypress;
+        if (speech) attempt.speech = speech;
+    }
+}
 
-        console.log(`📞 Scheduled call: "${reminderTitle}" to ${to} in ${minutesUntilCall} minutes`);
+// The scheduled entry a live call was placed for, if any
+function findScheduledForCall(callSid) {
+    const callInfo = activeCalls.get(callSid);
+    return callInfo && callInfo.scheduledId ? scheduledCalls.get(callInfo.scheduledId) : undefined;
+}
 
-        // Run cleanup if needed
-        enforceMaxSize();
+// ============================================
+// ESCALATION - Call backup contacts when a reminder is never confirmed
+// ============================================
+// A reminder posted with backupContacts that ends unconfirmed (its retries ran
+// out after no answer or no response, or the user hung up without pressing 1)
+// calls its first contact after that contact's delayMinutes. Each contact gets
+// one call; one who doesn't confirm hands over to the next. The chain stops as
+// soon as anyone acknowledges, the user included, or the reminder is cancelled.
+// Backup calls are entries in scheduledCalls with escalationOf set to the
+// entry that went unconfirmed; they belong to that entry's number (`owner`),
+// which is where their events go. Progress is kept on the unconfirmed entry:
+//   escalation: { status: 'calling-backup' | 'acknowledged' | 'cancelled' | 'exhausted',
+//                 contactIndex, scheduledId, startedAt, updatedAt, acknowledgedBy }
 
-        res.json({
-            success: true,
-            id,
-            message: `Call scheduled for ${dueTime}`,
+const MAX_BACKUP_CONTACTS = 5;
+const MAX_ESCALATION_DELAY_MINUTES = 24 * 60;
+const DEFAULT_ESCALATION_DELAY_MINUTES = 5;
+const MAX_CONTACT_NAME_LENGTH = 60;
+
+// The number a reminder belongs to: a backup call belongs to the person who missed the reminder
+function reminderOwner(scheduled) {
+    return scheduled.escalationOf ? scheduled.owner : scheduled.to;
+}
+
+// A name spoken on backup calls, or undefined. Throws with a client-facing message.
+function parseContactName(value, field) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_CONTACT_NAME_LENGTH) {
+        throw new Error(`${field} must be text of at most ${MAX_CONTACT_NAME_LENGTH} characters`);
+    }
+    return value.trim();
+}
+
+/**
+ * Validate the backup contacts posted with a reminder, in the order to call them:
+ *   [{ name: 'Sam', phoneNumber: '+14155550123', delayMinutes: 10 }]
+ * Throws an Error with a client-facing message when an entry is invalid.
+ */
+function parseBackupContacts(input, ownNumber) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input)) {
+        throw new Error('backupContacts must be a list');
+    }
+    if (input.length > MAX_BACKUP_CONTACTS) {
+        throw new Error(`A reminder can have at most ${MAX_BACKUP_CONTACTS} backup contacts`);
+    }
+
+    return input.map((contact, index) => {
+        const field = `backupContacts[${index}]`;
+        if (!contact || typeof contact !== 'object') {
+            throw new Error(`${field} must be an object`);
+        }
+
+        const phoneNumber = normalizePhoneNumber(contact.phoneNumber);
+        if (!phoneNumber) {
+            throw new Error(`${field}.phoneNumber is required`);
+        }
+        if (phoneNumber === normalizePhoneNumber(ownNumber)) {
+            throw new Error(`${field}.phoneNumber must not be the reminder's own number`);
+        }
+
+        const delayMinutes = contact.delayMinutes === undefined ? DEFAULT_ESCALATION_DELAY_MINUTES : contact.delayMinutes;
+        if (!Number.isInteger(delayMinutes) || delayMinutes < 0 || delayMinutes > MAX_ESCALATION_DELAY_MINUTES) {
+            throw new Error(`${field}.delayMinutes must be a whole number between 0 and ${MAX_ESCALATION_DELAY_MINUTES}`);
+        }
+
+        return { name: parseContactName(contact.name, `${field}.name`), phoneNumber, delayMinutes };
+    });
+}
+
+// The entry whose escalation a reminder belongs to (itself, unless it is a backup call)
+function escalationRoot(scheduled) {
+    return scheduled.escalationOf ? findReminderRecord(scheduled.escalationOf) : scheduled;
+}
+
+function backupContactFields(scheduled) {
+    return { name: scheduled.contactName, phoneNumber: scheduled.to, index: scheduled.escalationIndex };
+}
+
+/**
+ * The entry ended without anyone confirming it: queue a call to the next
+ * backup contact. Returns the new entry, or null when the reminder has no
+ * (more) contacts or its chain was already stopped.
+ */
+function escalateReminder(scheduled) {
+    const primary = escalationRoot(scheduled);
+    const contacts = (primary && primary.backupContacts) || [];
+    if (!contacts.length) return null;
+
+    // Only the backup call the chain is waiting on may hand over, and only once
+    const chain = primary.escalation;
+    const open = scheduled.escalationOf
+        ? chain && chain.status === 'calling-backup' && chain.scheduledId === scheduled.id
+        : !chain && primary.status !== 'acknowledged';
+    if (!open) return null;
+
+    const now = clock.now();
+    const index = scheduled.escalationOf ? scheduled.escalationIndex + 1 : 0;
+
+    if (index >= contacts.length) {
+        chain.status = 'exhausted';
+        chain.updatedAt = new Date(now).toISOString();
+        store.save();
+        escalationsTotal.inc({ result: 'exhausted' });
+        logger.warn('No backup contact confirmed reminder', { ...reminderFields(primary), contacts: contacts.length });
+        return null;
+    }
+
+    const contact = contacts[index];
+    const entry = {
+        id: `${primary.id}_backup${index + 1}`,
+        to: contact.phoneNumber,
+        owner: primary.to,
+        reminderTitle: primary.reminderTitle,
+        reminderDescription: primary.reminderDescription,
+        dueTime: primary.dueTime,
+        dueAt: primary.dueAt,
+        callAt: now + contact.delayMinutes * 60 * 1000,
+        timezone: primary.timezone,
+        locale: primary.locale,
+        voice: primary.voice,
+        scheduledAt: new Date(now).toISOString(),
+        called: false,
+        status: 'scheduled',
+        retryPolicy: ESCALATION_RETRY_POLICY,
+        channel: 'voice',
+        urgent: true,  // Quiet hours are the owner's, not the contact's
+        attempts: [],
+        escalationOf: primary.id,
+        escalationIndex: index,
+        contactName: contact.name,
+        userName: primary.userName
+    };
+
+    // A backup call left over from an earlier run of the same reminder id
+    if (scheduledCalls.has(entry.id)) {
+        history.archive(scheduledCalls.get(entry.id), 'replaced', clock.now());
+    }
+
+    scheduledCalls.set(entry.id, entry);
+    armReminder(entry);
+    primary.escalation = {
+        status: 'calling-backup',
+        contactIndex: index,
+        scheduledId: entry.id,
+        startedAt: chain ? chain.startedAt : new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString()
+    };
+    store.save();
+
+    escalationsTotal.inc({ result: 'scheduled' });
+    emitReminderEvent('escalated', primary, {
+        backupContact: backupContactFields(entry),
+        escalationId: entry.id,
+        nextCallAt: new Date(entry.callAt).toISOString()
+    });
+    logger.info('Escalating reminder to backup contact', {
+        ...reminderFields(primary),
+        escalationId: entry.id,
+        contact: index + 1,
+        delayMinutes: contact.delayMinutes
+    });
+    return entry;
+}
+
+// End a reminder's chain once someone acknowledges it or it is cancelled. A
+// backup call still waiting is dropped; one already ringing is left to finish.
+function stopEscalation(scheduled, status) {
+    const primary = escalationRoot(scheduled);
+    const chain = primary && primary.escalation;
+    if (!chain || chain.status !== 'calling-backup') return;
+
+    for (const entry of scheduledCalls.values()) {
+        if (entry.escalationOf === primary.id && !entry.called && entry !== scheduled) {
+            entry.status = 'cancelled';
+            entry.cancelledAt = new Date(clock.now()).toISOString();
+            removeScheduled(entry, 'cancelled');
+        }
+    }
+
+    chain.status = status;
+    chain.updatedAt = new Date(clock.now()).toISOString();
+    if (status === 'acknowledged') {
+        chain.acknowledgedBy = scheduled.to;
+        escalationsTotal.inc({ result: 'acknowledged' });
+    }
+    store.save();
+
+    logger.info('Escalation stopped', { ...reminderFields(primary), status, acknowledgedBy: chain.acknowledgedBy });
+}
+
+// ============================================
+// REMINDER EVENTS - Sent to webhooks and kept for GET /events
+// ============================================
+
+// The id the client scheduled: a series' id for its occurrences, the first
+// reminder's id for a chain of snoozes, and the missed reminder's for a backup call
+function clientReminderId(scheduled) {
+    if (scheduled.escalationOf) {
+        const primary = findReminderRecord(scheduled.escalationOf);
+        return primary ? clientReminderId(primary) : scheduled.escalationOf;
+    }
+    if (scheduled.seriesId) return scheduled.seriesId;
+
+    let root = scheduled;
+    const seen = new Set([root.id]);
+    while (root.snoozedFrom && !seen.has(root.snoozedFrom)) {
+        const previous = findReminderRecord(root.snoozedFrom);
+        if (!previous) break;
+        seen.add(previous.id);
+        root = previous;
+    }
+    return root.snoozedFrom || root.id;
+}
+
+function emitReminderEvent(type, scheduled, details = {}) {
+    const phoneNumber = normalizePhoneNumber(reminderOwner(scheduled));
+    const attempts = scheduled.attempts || [];
+    const event = webhooks.emit(phoneNumber, type, {
+        reminderId: clientReminderId(scheduled),
+        scheduledId: scheduled.id,
+        title: scheduled.reminderTitle,
+        status: scheduled.status,
+        callAt: new Date(scheduled.callAt).toISOString(),
+        attempt: attempts.length || undefined,
+        callSid: scheduled.callSid,
+        backupContact: scheduled.escalationOf ? backupContactFields(scheduled) : undefined,
+        ...details
+    });
+    eventStream.publish(phoneNumber, event);
+}
+
+// ============================================
+// REMINDER ACTIONS - Shared by calls (/gather), text replies (/sms) and the Remind Line (/voice)
+// ============================================
+function acknowledgeReminder(scheduled) {
+    scheduled.status = 'acknowledged';
+    scheduled.acknowledgedAt = new Date(clock.now()).toISOString();
+    scheduled.called = true;  // Stops any pending retry
+    armReminder(scheduled);
+    store.save();
+    emitReminderEvent('acknowledged', scheduled);
+    stopEscalation(scheduled, 'acknowledged');
+}
+
+// Fields that describe one run of a reminder; a snoozed copy starts without them
+const RUN_FIELDS = [
+    'calledAt', 'callSid', 'messageSid', 'error', 'lastOutcome', 'missedAt', 'gaveUpAt',
+    'smsFallbackSentAt', 'acknowledgedAt', 'snoozedAt', 'snoozedTo', 'cancelledAt', 'quietHoursEvents', 'lease',
+    'escalation'
+];
+
+// Mark the reminder snoozed and schedule a fresh copy. Returns the new entry.
+function snoozeReminder(original, minutes) {
+    const newId = `snooze_${clock.now()}`;
+    const snoozed = {
+        ...original,
+        id: newId,
+        callAt: clock.now() + minutes * 60 * 1000,
+        called: false,
+        status: 'scheduled',
+        scheduledAt: new Date(clock.now()).toISOString(),
+        snoozedFrom: original.id,
+        attempts: []
+    };
+    RUN_FIELDS.forEach(field => delete snoozed[field]);
+
+    original.status = 'snoozed';
+    original.snoozedAt = new Date(clock.now()).toISOString();
+    original.snoozedTo = newId;
+    original.called = true;  // Stops any pending retry
+    armReminder(original);
+
+    scheduledCalls.set(newId, snoozed);
+    armReminder(snoozed);
+    store.save();
+    emitReminderEvent('snoozed', original, { minutes, snoozedTo: newId, nextCallAt: new Date(snoozed.callAt).toISOString() });
+
+    logger.info('Snoozed reminder', { ...reminderFields(original), snoozedTo: newId, minutes });
+    return snoozed;
+}
+
+// Delete one reminder. If it was a series' pending occurrence, the next one is
+// queued; if it was waiting on a backup contact, the escalation ends.
+function cancelScheduledReminder(scheduled) {
+    scheduled.status = 'cancelled';
+    scheduled.cancelledAt = new Date(clock.now()).toISOString();
+    removeScheduled(scheduled, 'cancelled');
+    stopEscalation(scheduled, 'cancelled');
+
+    const series = scheduled.seriesId && recurringSeries.get(scheduled.seriesId);
+    if (series && series.status === 'active' && series.nextOccurrenceId === scheduled.id) {
+        series.lastOccurrenceAt = scheduled.callAt;
+        scheduleNextOccurrence(series, scheduled.callAt);
+    }
+    store.save();
+}
+
+// ============================================
+// SMS - Reminder texts through Twilio Messaging
+// ============================================
+const SMS_STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const SMS_START_KEYWORDS = ['START', 'UNSTOP'];
+const SMS_DONE_KEYWORDS = ['DONE', 'OK', 'CONFIRM', '1'];
+const SMS_SNOOZE_KEYWORDS = ['SNOOZE', '2'];
+const DEFAULT_SNOOZE_MINUTES = Number(process.env.SNOOZE_DEFAULT_MINUTES) || 5;
+const MAX_SNOOZE_MINUTES = 24 * 60;
+
+function normalizePhoneNumber(phoneNumber) {
+    return String(phoneNumber || '').replace(/[^\d+]/g, '');
+}
+
+// Whether a number is the one the request's device token was issued for
+function isOwnNumber(req, phoneNumber) {
+    return normalizePhoneNumber(phoneNumber) === normalizePhoneNumber(req.phoneNumber);
+}
+
+function isOptedOutOfSms(phoneNumber) {
+    return smsOptOuts.has(normalizePhoneNumber(phoneNumber));
+}
+
+// The reminder text, in the reminder's language
+function generateSmsBody(scheduled) {
+    const { messages } = getCallLanguage(scheduled.locale);
+    const lines = [messages.smsReminder(scheduled.reminderTitle)];
+    if (scheduled.reminderDescription) {
+        lines.push(scheduled.reminderDescription);
+    }
+    lines.push(messages.smsScheduledFor(spokenDueTime(scheduled) || messages.smsNow));
+    lines.push(messages.smsReplyHint);
+    return lines.join('\n');
+}
+
+// Send the reminder text and record it as an attempt. Resolves with the message SID.
+async function sendReminderSms(scheduled) {
+    const attempt = {
+        attempt: (scheduled.attempts || []).length + 1,
+        channel: 'sms',
+        startedAt: new Date(clock.now()).toISOString(),
+        status: 'sending'
+    };
+    scheduled.attempts = [...(scheduled.attempts || []), attempt];
+    store.save();
+
+    try {
+        const message = await provider.sendSms({
+            to: scheduled.to,
+            body: generateSmsBody(scheduled)
+        });
+
+        attempt.messageSid = message.sid;
+        attempt.status = 'sent';
+        scheduled.messageSid = message.sid;
+        store.save();
+        return message.sid;
+    } catch (error) {
+        attempt.status = 'failed';
+        attempt.outcome = 'failed';
+        attempt.error = error.message;
+        attempt.endedAt = new Date(clock.now()).toISOString();
+        store.save();
+        throw error;
+    }
+}
+
+// Scheduler path for channel 'sms'
+function sendScheduledSms(scheduled) {
+    logger.info('Texting reminder', reminderFields(scheduled));
+
+    scheduled.called = true;
+    scheduled.calledAt = new Date(clock.now()).toISOString();
+    advanceSeries(scheduled);
+
+    if (isOptedOutOfSms(scheduled.to)) {
+        scheduled.status = 'opted-out';
+        store.save();
+        logger.info('Number opted out of SMS, skipping reminder', { ...reminderFields(scheduled), phoneNumber: scheduled.to });
+        return;
+    }
+
+    scheduled.status = 'sending';
+    sendReminderSms(scheduled)
+        .then(messageSid => store.transaction(() => {
+            scheduled.status = 'sms-sent';
+            releaseLease(scheduled);
+            dialsTotal.inc({ channel: 'sms', trigger: 'scheduled', result: 'initiated' });
+            logger.info('SMS sent', { ...reminderFields(scheduled), messageSid });
+        }))
+        .catch(error => {
+            releaseLease(scheduled);
+            scheduled.error = error.message;
+            dialsTotal.inc({ channel: 'sms', trigger: 'scheduled', result: 'failed' });
+            logger.error('SMS failed', { ...reminderFields(scheduled), err: error });
+            handleUnansweredCall(scheduled, 'failed');
+        });
+}
+
+// voice-then-sms path: the calls went unanswered, so text the reminder once
+function sendFallbackSms(scheduled) {
+    if (isOptedOutOfSms(scheduled.to)) return;
+
+    scheduled.smsFallbackSentAt = new Date(clock.now()).toISOString();
+    sendReminderSms(scheduled)
+        .then(messageSid => {
+            scheduled.status = 'sms-sent';
+            store.save();
+            dialsTotal.inc({ channel: 'sms', trigger: 'fallback', result: 'initiated' });
+            logger.info('Fallback SMS sent', { ...reminderFields(scheduled), messageSid });
+        })
+        .catch(error => {
+            dialsTotal.inc({ channel: 'sms', trigger: 'fallback', result: 'failed' });
+            logger.error('Fallback SMS failed', { ...reminderFields(scheduled), err: error });
+        });
+}
+
+// The most recently delivered reminder for a number that is still waiting for an answer
+function findReminderAwaitingReply(phoneNumber) {
+    const number = normalizePhoneNumber(phoneNumber);
+    let latest = null;
+    let latestAt = 0;
+
+    for (const scheduled of scheduledCalls.values()) {
+        if (normalizePhoneNumber(scheduled.to) !== number) continue;
+        if (['acknowledged', 'snoozed', 'opted-out'].includes(scheduled.status)) continue;
+
+        // Skip reminders that were never delivered (nothing sent, or the send failed)
+        const attempts = scheduled.attempts || [];
+        if (!attempts.length || attempts[attempts.length - 1].status === 'failed') continue;
+
+        const sentAt = new Date(attempts[attempts.length - 1].startedAt).getTime();
+        if (sentAt > latestAt) {
+            latest = scheduled;
+            latestAt = sentAt;
+        }
+    }
+
+    return latest;
+}
+
+// Text replies and Remind Line calls answer the latest attempt, whether it was a call or a text
+function recordReplyOutcome(scheduled, outcome, via = 'sms') {
+    const attempts = scheduled.attempts || [];
+    responsesTotal.inc({ response: outcome, via });
+    if (attempts.length) {
+        attempts[attempts.length - 1].outcome = outcome;
+        attempts[attempts.length - 1].repliedVia = via;
+        attempts[attempts.length - 1].respondedAt = new Date(clock.now()).toISOString();
+    }
+}
+
+// "SNOOZE", "snooze 15", "2" -> minutes, or null if the text isn't a snooze
+function parseSnoozeReply(words, defaultMinutes = DEFAULT_SNOOZE_MINUTES) {
+    if (!SMS_SNOOZE_KEYWORDS.includes(words[0])) return null;
+    if (words.length === 1) return defaultMinutes;
+
+    const minutes = parseInt(words[1], 10);
+    if (!Number.isInteger(minutes) || minutes < 1) return null;
+    return Math.min(minutes, MAX_SNOOZE_MINUTES);
+}
+
+// Stop a due reminder we may no longer deliver: its number is now blocked by the
+// destination rules, or it is a call and the number used up its call cap.
+// Returns true when the reminder was stopped.
+function refuseDelivery(scheduled, now) {
+    let refusal = destinationRules.check(scheduled.to);
+
+    if (!refusal && scheduled.channel !== 'sms') {
+        try {
+            usageCaps.check('calls', normalizePhoneNumber(scheduled.to), now);
+        } catch (error) {
+            if (!(error instanceof LimitError)) throw error;
+            refusal = { code: error.code, error: error.message };
+        }
+    }
+    if (!refusal) return false;
+
+    scheduled.called = true;
+    scheduled.status = ['daily_cap', 'monthly_cap'].includes(refusal.code) ? 'capped' : 'blocked';
+    scheduled.lastOutcome = refusal.code;
+    scheduled.error = refusal.error;
+    store.save();
+    advanceSeries(scheduled);
+
+    logger.warn('Not delivering reminder', { ...reminderFields(scheduled), phoneNumber: scheduled.to, code: refusal.code, reason: refusal.error });
+
+    // A backup contact we may not call hands over to the next one
+    if (scheduled.escalationOf) escalateReminder(scheduled);
+    return true;
+}
+
+// ============================================
+// QUIET HOURS - Hold back reminders while the user doesn't want calls
+// ============================================
+// Checked by the scheduler for every due reminder not marked urgent. Retries
+// and snoozes go through the scheduler too, so they are held back as well.
+function holdForQuietHours(scheduled, now) {
+    const rules = quietHours.get(normalizePhoneNumber(scheduled.to));
+    const until = quietUntil(rules, now);
+    if (!until) return false;
+
+    const event = { at: new Date(now).toISOString(), until: new Date(until).toISOString() };
+    const record = action => {
+        scheduled.quietHoursEvents = [...(scheduled.quietHoursEvents || []), { ...event, action }];
+    };
+
+    // Texts are what the user asked for during quiet hours, so they go out as usual
+    if (rules.action === 'sms' && scheduled.channel === 'sms') return false;
+
+    if (rules.action === 'sms' && !isOptedOutOfSms(scheduled.to)) {
+        record('sent-as-sms');
+        logger.info('Quiet hours: texting instead of calling', reminderFields(scheduled));
+        sendScheduledSms(scheduled);
+        return true;
+    }
+
+    record('deferred');
+    scheduled.status = 'deferred';
+    scheduled.callAt = until;
+    armReminder(scheduled);
+    store.save();
+    logger.info('Quiet hours: deferred reminder', { ...reminderFields(scheduled), until: event.until });
+    return true;
+}
+
+// ============================================
+// REMIND LINE - Inbound calls to the Twilio number
+// ============================================
+// Callers are recognized by caller ID and hear their recently missed and
+// upcoming reminders one at a time, with the same choices a reminder call
+// offers plus cancel. Configure BASE_URL/voice as the number's voice webhook.
+const REMIND_LINE_WINDOW = 24 * 60 * 60 * 1000;
+const REMIND_LINE_MAX_REMINDERS = 5;
+const SETTLED_STATUSES = ['acknowledged', 'snoozed', 'opted-out', 'cancelled'];
+const IN_FLIGHT_STATUSES = ['calling', 'initiated', 'sending'];
+
+// When a reminder was last tried: its latest call or text, or when recovery marked it missed
+function lastTriedAt(scheduled) {
+    const attempts = scheduled.attempts || [];
+    if (attempts.length) return new Date(attempts[attempts.length - 1].startedAt).getTime();
+    return scheduled.missedAt ? new Date(scheduled.missedAt).getTime() : scheduled.callAt;
+}
+
+// Missed reminders (newest first) then upcoming ones (soonest first) for a caller
+function remindersForCaller(phoneNumber, now = clock.now()) {
+    const number = normalizePhoneNumber(phoneNumber);
+    // Backup calls are about someone else's reminder, so contacts don't hear them here
+    const own = Array.from(scheduledCalls.values()).filter(s => !s.escalationOf && normalizePhoneNumber(s.to) === number);
+
+    const missed = own
+        .filter(s => (s.attempts || []).length || s.status === 'missed')
+        .filter(s => !SETTLED_STATUSES.includes(s.status) && !IN_FLIGHT_STATUSES.includes(s.status))
+        .filter(s => now - lastTriedAt(s) <= REMIND_LINE_WINDOW)
+        .sort((a, b) => lastTriedAt(b) - lastTriedAt(a))
+        .slice(0, REMIND_LINE_MAX_REMINDERS);
+
+    const upcoming = own
+        .filter(s => !s.called && !(s.attempts || []).length && s.callAt > now && s.callAt - now <= REMIND_LINE_WINDOW)
+        .sort((a, b) => a.callAt - b.callAt)
+        .slice(0, REMIND_LINE_MAX_REMINDERS);
+
+    return [
+        ...missed.map(s => ({ id: s.id, missed: true })),
+        ...upcoming.map(s => ({ id: s.id, missed: false }))
+    ];
+}
+
+// The language of the caller's most recent reminder
+function callerLanguage(phoneNumber) {
+    const number = normalizePhoneNumber(phoneNumber);
+    let latest = null;
+    for (const scheduled of scheduledCalls.values()) {
+        if (normalizePhoneNumber(scheduled.to) !== number) continue;
+        if (!latest || new Date(scheduled.scheduledAt) > new Date(latest.scheduledAt)) {
+            latest = scheduled;
+        }
+    }
+    return latest ? { locale: latest.locale, voice: latest.voice } : {};
+}
+
+// TwiML that reads reminder `index` of an inbound call, or says goodbye after the last one
+function remindLineItemTwiml(callSid, index) {
+    const callInfo = activeCalls.get(callSid) || {};
+    const call = callLanguageFor(callSid);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const reminders = callInfo.reminders || [];
+
+    if (index >= reminders.length) {
+        return `
+            <Response>
+                <Say ${say}>${escapeXml(messages.lineEnd)}</Say>
+                <Hangup/>
+            </Response>
+        `;
+    }
+
+    // Skip reminders that were cancelled or handled since the list was read out
+    const item = reminders[index];
+    const scheduled = scheduledCalls.get(item.id);
+    if (!scheduled || SETTLED_STATUSES.includes(scheduled.status) || (!item.missed && scheduled.called)) {
+        return remindLineItemTwiml(callSid, index + 1);
+    }
+
+    const spoken = formatSpokenDueTime(item.missed ? (scheduled.dueAt || scheduled.callAt) : scheduled.callAt, {
+        locale: call.locale,
+        timezone: scheduled.timezone
+    });
+    const intro = item.missed
+        ? messages.lineMissed(scheduled.reminderTitle, spoken)
+        : messages.lineUpcoming(scheduled.reminderTitle, spoken);
+    const menu = item.missed
+        ? messages.lineMissedMenu(scheduled.snoozeMinutes || DEFAULT_SNOOZE_MINUTES)
+        : messages.lineUpcomingMenu;
+
+    return `
+        <Response>
+            <Say ${say}>${escapeXml(intro)}</Say>
+            ${item.missed && scheduled.reminderDescription ? `
+            <Say ${say}>${escapeXml(scheduled.reminderDescription)}</Say>
+            ` : ''}
+            <Gather numDigits="1" action="${baseUrl}/voice/action?index=${index}" method="POST" timeout="8" actionOnEmptyResult="true">
+                <Say ${say}>${escapeXml(menu)}</Say>
+            </Gather>
+        </Response>
+    `;
+}
+
+// ============================================
+// HELPER: Initiate a scheduled call
+// ============================================
+async function initiateScheduledCall(scheduled) {
+    const { to, reminderTitle, reminderDescription, timezone, locale, voice, snoozeMinutes, audioMode } = scheduled;
+
+    const twiml = scheduled.escalationOf
+        ? generateEscalationTwiML(scheduled)
+        : generateTwiML(reminderTitle, reminderDescription, spokenDueTime(scheduled), {
+            locale,
+            voice,
+            snoozeMinutes,
+            audioUrl: playableClipUrl(scheduled.audioClipId),
+            audioMode
+        });
+
+    const call = await provider.placeCall({
+        to: to,
+        twiml,
+        statusCallback: `${baseUrl}/status`,
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        ...machineDetectionOptions()
+    });
+
+    // Store call info with reference to scheduled call
+    activeCalls.set(call.sid, {
+        to,
+        reminderTitle,
+        scheduledId: scheduled.id,
+        timezone,
+        locale,
+        voice,
+        snoozeMinutes,
+        machineDetection: MACHINE_DETECTION_ENABLED,
+        status: call.status,
+        createdAt: new Date(clock.now()).toISOString()
+    });
+    store.save();
+
+    return call.sid;
+}
+
+// "tomorrow at 9:30 AM" in the reminder's own timezone and language, worked
+// out at dial time. Entries saved before dueAt existed only have the old string.
+function spokenDueTime(scheduled) {
+    if (!scheduled.dueAt) return scheduled.dueTime;
+    return formatSpokenDueTime(scheduled.dueAt, { locale: scheduled.locale, timezone: scheduled.timezone });
+}
+
+// Error message for an unusable locale / voice pair, or null
+function validateCallLanguage(locale, voice) {
+    if (locale && !isValidLocale(locale)) {
+        return 'Invalid locale. Use a BCP 47 tag like "de-DE".';
+    }
+    if (voice) {
+        const { voices } = getCallLanguage(locale).messages;
+        if (!voices.includes(voice)) {
+            return `voice must be one of: ${voices.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// Voice, language and prompts for a live call
+function callLanguageFor(callSid) {
+    const callInfo = activeCalls.get(callSid) || {};
+    return getCallLanguage(callInfo.locale, callInfo.voice);
+}
+
+// ============================================
+// HELPER: Format a due time for speech
+// ============================================
+// "9:30 PM", "21:30", ... in the reminder's timezone and language
+function formatDueTime(time, { timezone, locale } = {}) {
+    return new Date(time).toLocaleTimeString(getCallLanguage(locale).locale, {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: timezone
+    });
+}
+
+// ============================================
+// HELPER: Gather attributes for the reminder menu
+// ============================================
+// Listens for one key or a spoken answer ("done", "snooze ten minutes").
+// An empty result still posts to /gather so a silent call counts as no response.
+// Backup contacts can only confirm, so their calls leave out the snooze hints.
+function menuGatherAttributes(call, { snooze = true } = {}) {
+    const { keywords } = call.messages;
+    const hints = [...keywords.confirm, ...(snooze ? keywords.snooze : [])].join(', ');
+    return `input="dtmf speech" numDigits="1" action="${baseUrl}/gather" method="POST" timeout="10" ` +
+        `speechTimeout="auto" language="${call.language}" hints="${escapeXml(hints)}" actionOnEmptyResult="true"`;
+}
+
+// ============================================
+// HELPER: Generate TwiML for call
+// ============================================
+// With audioUrl the clip plays first, before the spoken reminder or, with
+// audioMode 'instead', in place of the intro, title and description.
+function generateTwiML(reminderTitle, reminderDescription, dueTime, { locale, voice, snoozeMinutes, audioUrl, audioMode } = {}) {
+    const call = getCallLanguage(locale, voice);
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const spoken = !audioUrl || audioMode !== 'instead';
+
+    return `
+        <Response>
+            ${audioUrl ? `
+            <Play>${escapeXml(audioUrl)}</Play>
+            ` : ''}
+            ${spoken ? `
+            <Say ${say}>
+                <prosody rate="95%">
+                    ${escapeXml(call.messages.intro)}
+                </prosody>
+            </Say>
+            <Pause length="0.5"/>
+            <Say ${say}>
+                <prosody rate="90%">
+                    ${escapeXml(reminderTitle)}.
+                </prosody>
+            </Say>
+            ` : ''}
+            ${spoken && reminderDescription ? `
+            <Pause length="0.3"/>
+            <Say ${say}>
+                ${escapeXml(reminderDescription)}
+            </Say>
+            ` : ''}
+            ${dueTime ? `
+            <Pause length="0.5"/>
+            <Say ${say}>
+                ${escapeXml(call.messages.scheduledFor(dueTime))}
+            </Say>
+            ` : ''}
+            <Pause length="1"/>
+            <Say ${say}>
+                ${escapeXml(call.messages.menu(snoozeMinutes || DEFAULT_SNOOZE_MINUTES))}
+            </Say>
+            <Gather ${menuGatherAttributes(call)}>
+                <Say ${say}>${escapeXml(call.messages.waiting)}</Say>
+            </Gather>
+        </Response>
+    `;
+}
+
+// TwiML for a backup contact: whose reminder went unconfirmed, and 1 to take it on
+function generateEscalationTwiML(scheduled) {
+    const call = getCallLanguage(scheduled.locale, scheduled.voice);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const dueTime = spokenDueTime(scheduled);
+
+    return `
+        <Response>
+            <Say ${say}>
+                <prosody rate="95%">
+                    ${escapeXml(messages.escalationIntro)}
+                </prosody>
+            </Say>
+            <Pause length="0.5"/>
+            <Say ${say}>
+                <prosody rate="90%">
+                    ${escapeXml(messages.escalationMissed(scheduled.userName, scheduled.reminderTitle))}
+                </prosody>
+            </Say>
+            ${scheduled.reminderDescription ? `
+            <Pause length="0.3"/>
+            <Say ${say}>
+                ${escapeXml(scheduled.reminderDescription)}
+            </Say>
+            ` : ''}
+            ${dueTime ? `
+            <Pause length="0.5"/>
+            <Say ${say}>
+                ${escapeXml(messages.scheduledFor(dueTime))}
+            </Say>
+            ` : ''}
+            <Pause length="1"/>
+            <Say ${say}>
+                ${escapeXml(messages.escalationMenu)}
+            </Say>
+            <Gather ${menuGatherAttributes(call, { snooze: false })}>
+                <Say ${say}>${escapeXml(messages.waiting)}</Say>
+            </Gather>
+        </Response>
+    `;
+}
+
+// ============================================
+// VOICEMAIL - Leave a message when a machine answers
+// ============================================
+// Outbound calls run Twilio's answering machine detection in the background
+// (asyncAmd) while the menu plays. When a machine's greeting ends, /amd swaps
+// the call's TwiML for a short voicemail and the attempt's outcome becomes
+// 'voicemail', which retries and escalation treat like no answer.
+
+const MACHINE_ANSWERS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+// Extra placeCall options that turn detection on
+function machineDetectionOptions() {
+    if (!MACHINE_DETECTION_ENABLED) return {};
+    return {
+        machineDetection: 'DetectMessageEnd',
+        machineDetectionTimeout: MACHINE_DETECTION_TIMEOUT_SECONDS,
+        asyncAmd: 'true',
+        asyncAmdStatusCallback: `${baseUrl}/amd`,
+        asyncAmdStatusCallbackMethod: 'POST'
+    };
+}
+
+// The voicemail for a live call: what the reminder is and when it was due.
+// Reminders can be confirmed by calling the Remind Line back; backup contacts
+// and immediate calls just hear the reminder.
+function generateVoicemailTwiML(callSid) {
+    const callInfo = activeCalls.get(callSid) || {};
+    const scheduled = findScheduledForCall(callSid);
+    const call = callLanguageFor(callSid);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const backup = Boolean(scheduled && scheduled.escalationOf);
+    const dueTime = scheduled ? spokenDueTime(scheduled) : callInfo.dueTime;
+
+    const summary = backup
+        ? messages.escalationMissed(scheduled.userName, scheduled.reminderTitle)
+        : `${callInfo.reminderTitle}.`;
+    const closing = scheduled && !backup ? messages.voicemailCallBack : messages.voicemailGoodbye;
+
+    return `
+        <Response>
+            <Say ${say}>${escapeXml(backup ? messages.escalationIntro : messages.voicemailIntro)}</Say>
+            <Say ${say}>${escapeXml(summary)}</Say>
+            ${dueTime ? `<Say ${say}>${escapeXml(messages.scheduledFor(dueTime))}</Say>` : ''}
+            <Say ${say}>${escapeXml(closing)}</Say>
+            <Hangup/>
+        </Response>
+    `;
+}
+
+// Goodbye after the menu went unanswered. While detection is still listening
+// the call stays open instead: a greeting that outlasted the menu is most
+// likely a machine, and /amd leaves the voicemail once it beeps.
+function noResponseTwiml(callSid) {
+    const callInfo = activeCalls.get(callSid) || {};
+    const call = callLanguageFor(callSid);
+    const say = `voice="${call.voice}" language="${call.language}"`;
+
+    if (callInfo.machineDetection && !callInfo.answeredBy) {
+        return `
+            <Response>
+                <Pause length="${MACHINE_DETECTION_TIMEOUT_SECONDS}"/>
+                <Hangup/>
+            </Response>
+        `;
+    }
+
+    return `
+        <Response>
+            <Say ${say}>${escapeXml(call.messages.noResponse)}</Say>
+            <Hangup/>
+        </Response>
+    `;
+}
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    ensureSchedulerRunning();
+    res.json({
+        status: 'ok',
+        timestamp: new Date(clock.now()).toISOString(),
+        instance: INSTANCE_ID,
+        scheduledCalls: scheduledCalls.size,
+        activeCalls: activeCalls.size,
+        uptime: Math.floor(process.uptime()) + 's'
+    });
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a bearer token.
+app.get('/metrics', (req, res) => {
+    const expected = process.env.METRICS_TOKEN;
+    if (expected) {
+        const given = Buffer.from(String(req.get('Authorization') || '').replace(/^Bearer /, ''));
+        const wanted = Buffer.from(expected);
+        if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+            return res.status(401).json({ error: 'Metrics token required' });
+        }
+    }
+
+    ensureSchedulerRunning();
+    res.type(metrics.contentType).send(metrics.render());
+});
+
+// App info endpoint - provides Twilio number for onboarding
+app.get('/info', (req, res) => {
+    res.json({
+        twilioNumber: twilioNumber,
+        appName: 'NoForget',
+        contactName: 'Remind Line'
+    });
+});
+
+// ============================================
+// PHONE VERIFICATION (Twilio Verify)
+// ============================================
+
+// Send verification code via SMS
+app.post('/verify/send', limitByIp, limitVerifySends, async (req, res) => {
+    try {
+        const { phoneNumber } = req.body;
+
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+
+        if (rejectDestination(res, phoneNumber)) return;
+        usageCaps.check('verifications', normalizePhoneNumber(phoneNumber), clock.now());
+
+        if (!provider.isVerificationConfigured()) {
+            return res.status(500).json({ error: 'Verification service not configured' });
+        }
+
+        const verification = await provider.sendVerification({
+            to: phoneNumber,
+            channel: 'sms'
+        });
+
+        usageCaps.record('verifications', normalizePhoneNumber(phoneNumber), clock.now());
+        store.save();
+        verificationsTotal.inc({ action: 'send', result: verification.status });
+        logger.info('Verification sent', { phoneNumber, status: verification.status });
+
+        res.json({
+            status: verification.status,
+            message: 'Verification code sent'
+        });
+
+    } catch (error) {
+        if (error instanceof LimitError) {
+            return sendLimitError(res, error);
+        }
+        verificationsTotal.inc({ action: 'send', result: 'error' });
+        logger.error('Error sending verification', { phoneNumber: req.body.phoneNumber, err: error });
+        res.status(500).json({
+            error: 'Failed to send verification',
+            message: error.message
+        });
+    }
+});
+
+// Check verification code
+app.post('/verify/check', limitByIp, limitVerifyChecks, async (req, res) => {
+    try {
+        const { phoneNumber, code } = req.body;
+
+        if (!phoneNumber || !code) {
+            return res.status(400).json({ error: 'Phone number and code are required' });
+        }
+
+        if (!provider.isVerificationConfigured()) {
+            return res.status(500).json({ error: 'Verification service not configured' });
+        }
+
+        const verificationCheck = await provider.checkVerification({
+            to: phoneNumber,
+            code: code
+        });
+
+        verificationsTotal.inc({ action: 'check', result: verificationCheck.status });
+        logger.info('Verification checked', { phoneNumber, status: verificationCheck.status });
+
+        const valid = verificationCheck.status === 'approved';
+        const issued = valid ? deviceTokens.issue(normalizePhoneNumber(phoneNumber)) : null;
+
+        res.json({
+            status: verificationCheck.status,
+            valid,
+            token: issued ? issued.token : undefined,
+            tokenExpiresAt: issued ? issued.expiresAt : undefined
+        });
+
+    } catch (error) {
+        verificationsTotal.inc({ action: 'check', result: 'error' });
+        logger.error('Error checking verification', { phoneNumber: req.body.phoneNumber, err: error });
+
+        // Handle specific Twilio errors
+        if (error.code === 20404) {
+            return res.status(400).json({
+                error: 'Invalid or expired code',
+                valid: false
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to check verification',
+            message: error.message,
+            valid: false
+        });
+    }
+});
+
+// The client's version of a reminder: an increasing `version` number, or the
+// time it was last modified (`modifiedAt`). Throws with a client-facing message.
+function parseClientVersion({ version, modifiedAt }) {
+    if (version !== undefined && version !== null) {
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error('version must be a non-negative whole number');
+        }
+        return version;
+    }
+    if (modifiedAt !== undefined && modifiedAt !== null) {
+        const time = new Date(modifiedAt).getTime();
+        if (isNaN(time)) {
+            throw new Error('Invalid modifiedAt date format. Use ISO 8601.');
+        }
+        return time;
+    }
+    return undefined;
+}
+
+// Whether the server already holds a newer version than the one being written
+function isStaleWrite(current, version) {
+    return Boolean(current) && version !== undefined &&
+        current.clientVersion !== undefined && version < current.clientVersion;
+}
+
+/**
+ * Validate a reminder as posted to /schedule (or listed in /schedule/sync).
+ * Returns { reminder } ready for saveReminder, or { status, error, code }.
+ */
+function parseReminderRequest(req, body) {
+    const { reminderTitle, reminderDescription, callAt, reminderId, recurrence, rrule, timezone, locale, voice, retryPolicy, snoozeMinutes, challenge, urgent, backupContacts, audioClipId, audioMode } = body;
+    const to = body.to || req.phoneNumber;
+    const channel = body.channel || 'voice';
+    const fail = (status, error, code) => ({ status, error, code });
+
+    if (!isOwnNumber(req, to)) {
+        return fail(403, 'You can only schedule reminders for your verified phone number');
+    }
+
+    const refusal = destinationRules.check(to);
+    if (refusal) {
+        return fail(403, refusal.error, refusal.code);
+    }
+
+    if (!reminderTitle) {
+        return fail(400, 'Reminder title is required');
+    }
+
+    if (!callAt) {
+        return fail(400, 'Call time (callAt) is required');
+    }
+
+    const callTime = new Date(callAt);
+    if (isNaN(callTime.getTime())) {
+        return fail(400, 'Invalid callAt date format. Use ISO 8601.');
+    }
+
+    if (!CHANNELS.includes(channel)) {
+        return fail(400, `channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+        return fail(400, 'Invalid timezone. Use an IANA name like "Europe/Berlin".');
+    }
+
+    const languageError = validateCallLanguage(locale, voice);
+    if (languageError) {
+        return fail(400, languageError);
+    }
+
+    // Optional recurrence: an RRULE string or { frequency, interval, byWeekday, until, count }
+    let rule = null;
+    if (recurrence || rrule) {
+        try {
+            rule = parseRecurrence(recurrence || rrule, { timezone: timezone || DEFAULT_TIMEZONE });
+        } catch (error) {
+            return fail(400, error.message);
+        }
+    }
+
+    // Check if call is too far in the past (more than 5 minutes ago).
+    // A series may have started in the past; only its future occurrences are scheduled.
+    if (!rule && callTime.getTime() < clock.now() - 5 * 60 * 1000) {
+        return fail(400, 'Cannot schedule calls in the past.');
+    }
+
+    let policy;
+    let clientVersion;
+    let contacts;
+    let userName;
+    try {
+        policy = parseRetryPolicy(retryPolicy, DEFAULT_RETRY_POLICY);
+        clientVersion = parseClientVersion(body);
+        // Who to call, in order, when the reminder ends unconfirmed, and the
+        // name they hear it under ("Alex did not confirm their reminder")
+        contacts = parseBackupContacts(backupContacts, to);
+        userName = parseContactName(body.userName, 'userName');
+    } catch (error) {
+        return fail(400, error.message);
+    }
+
+    if (contacts.length && channel === 'sms') {
+        return fail(400, 'backupContacts need a reminder that calls (channel voice or voice-then-sms)');
+    }
+
+    for (const contact of contacts) {
+        const contactRefusal = destinationRules.check(contact.phoneNumber);
+        if (contactRefusal) {
+            return fail(403, `Backup contact ${contact.phoneNumber}: ${contactRefusal.error}`, contactRefusal.code);
+        }
+    }
+
+    // How long "snooze" (key 2, or speech without a duration) waits for this reminder
+    if (snoozeMinutes !== undefined &&
+        !(Number.isInteger(snoozeMinutes) && snoozeMinutes >= 1 && snoozeMinutes <= MAX_SNOOZE_MINUTES)) {
+        return fail(400, `snoozeMinutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}`);
+    }
+
+    // Critical alarms can ask for a solved challenge instead of just a 1 (see WAKE-UP CHALLENGES)
+    if (challenge !== undefined && challenge !== null) {
+        if (!CHALLENGE_TYPES.includes(challenge)) {
+            return fail(400, `challenge must be one of: ${CHALLENGE_TYPES.join(', ')}`);
+        }
+        if (channel === 'sms') {
+            return fail(400, 'challenge needs a reminder that calls (channel voice or voice-then-sms)');
+        }
+    }
+
+    // A recorded message or alarm sound played on the call (see AUDIO CLIPS)
+    const audioError = validateClipReference(to, audioClipId, audioMode);
+    if (audioError) {
+        return fail(400, audioError);
+    }
+    if (audioClipId && channel === 'sms') {
+        return fail(400, 'audioClipId needs a reminder that calls (channel voice or voice-then-sms)');
+    }
+
+    // Urgent reminders ring even during the number's quiet hours
+    if (urgent !== undefined && typeof urgent !== 'boolean') {
+        return fail(400, 'urgent must be true or false');
+    }
+
+    const id = reminderId || `call_${clock.now()}`;
+
+    // Reminder ids are global, so never let one number overwrite another's reminder
+    const taken = scheduledCalls.get(id) || recurringSeries.get(id);
+    if (taken && !isOwnNumber(req, reminderOwner(taken))) {
+        return fail(409, 'Reminder id is already in use');
+    }
+
+    return {
+        reminder: {
+            id,
+            to,
+            reminderTitle,
+            reminderDescription: reminderDescription || '',
+            callAt: callTime.getTime(),
+            // Format the due time for speech
+            dueTime: formatDueTime(callTime.getTime(), { timezone, locale }),
+            rule,
+            timezone,
+            locale,
+            voice,
+            retryPolicy: policy,
+            channel,
+            snoozeMinutes,
+            challenge: challenge || undefined,
+            audioClipId: audioClipId || undefined,
+            audioMode: audioClipId ? audioMode || 'before' : undefined,
+            urgent: Boolean(urgent),
+            backupContacts: contacts,
+            userName,
+            clientVersion
+        }
+    };
+}
+
+/**
+ * Create or update a reminder from parseReminderRequest.
+ * Returns the response as { status, body }; status is left out on success.
+ */
+function saveReminder(reminder) {
+    const {
+        id, to, reminderTitle, reminderDescription, callAt, dueTime, rule, timezone, locale, voice,
+        retryPolicy, channel, snoozeMinutes, challenge, audioClipId, audioMode, urgent, backupContacts, userName, clientVersion
+    } = reminder;
+
+    // A write older than what we already have (another device got there first) is refused
+    if (isStaleWrite(recurringSeries.get(id) || findReminderRecord(id), clientVersion)) {
+        return {
+            status: 409,
+            body: { error: 'A newer version of this reminder is already saved', code: 'stale_write', reminder: reminderState(id) }
+        };
+    }
+
+    // Re-posting a reminder updates it, so it doesn't count against the number's limit
+    const pendingForNumber = Array.from(scheduledCalls.values()).filter(c =>
+        !c.called && c.id !== id && c.seriesId !== id && normalizePhoneNumber(reminderOwner(c)) === normalizePhoneNumber(to)
+    ).length;
+    if (MAX_PENDING_PER_NUMBER && pendingForNumber >= MAX_PENDING_PER_NUMBER) {
+        return {
+            status: 429,
+            body: {
+                error: `This number already has ${pendingForNumber} pending reminders. Cancel some before adding more.`,
+                code: 'too_many_pending'
+            }
+        };
+    }
+
+    if (rule) {
+        const existingSeries = recurringSeries.get(id);
+        const now = new Date(clock.now()).toISOString();
+
+        // Re-posting a series replaces its schedule; a pending one-off call with the same id is replaced too
+        if (existingSeries) {
+            removePendingOccurrences(id);
+        }
+        pendingRunsOf(id).forEach(cancelScheduledReminder);
+
+        const series = {
+            id,
+            to,
+            reminderTitle,
+            reminderDescription,
+            recurrence: rule,
+            timezone: timezone || DEFAULT_TIMEZONE,
+            locale,
+            voice,
+            retryPolicy,
+            channel,
+            snoozeMinutes,
+            challenge,
+            audioClipId,
+            audioMode,
+            urgent,
+            backupContacts,
+            userName,
+            clientVersion,
+            startAt: callAt,
+            status: 'active',
+            nextOccurrenceId: null,
+            lastOccurrenceAt: existingSeries ? existingSeries.lastOccurrenceAt : null,
+            createdAt: existingSeries ? existingSeries.createdAt : now,
+            updatedAt: now
+        };
+        recurringSeries.set(id, series);
+
+        // Never re-create an occurrence that was already dialed before this update
+        const after = Math.max(clock.now() - 5 * 60 * 1000, series.lastOccurrenceAt || 0);
+        const first = scheduleNextOccurrence(series, after);
+        if (!first) {
+            return { status: 400, body: { error: 'Recurrence has no future occurrences.' } };
+        }
+
+        const minutesUntilCall = Math.max(0, Math.round((first.callAt - clock.now()) / 60000));
+        logger.info('Scheduled recurring reminder', { reminderId: id, scheduledId: first.id, recurrence: describeRecurrence(rule), updated: Boolean(existingSeries) });
+        emitReminderEvent('scheduled', first, { recurrence: describeRecurrence(rule), updated: Boolean(existingSeries) });
+
+        enforceMaxSize();
+
+        return {
+            body: {
+                success: true,
+                id,
+                message: `Recurring call scheduled ${describeRecurrence(rule)}, next at ${first.dueTime}`,
+                minutesUntilCall,
+                nextCallAt: new Date(first.callAt).toISOString(),
+                occurrenceId: first.id,
+                updated: Boolean(existingSeries)
+            }
+        };
+    }
+
+    // A one-off call posted for a recurring reminder ends the series
+    if (recurringSeries.has(id) && recurringSeries.get(id).status === 'active') {
+        cancelSeries(recurringSeries.get(id));
+    }
+
+    // The new time replaces any snooze still waiting from the previous run
+    pendingRunsOf(id).filter(entry => entry.id !== id).forEach(cancelScheduledReminder);
+
+    // Check if this reminder already exists (update instead of duplicate)
+    if (scheduledCalls.has(id)) {
+        const existing = scheduledCalls.get(id);
+        // Only update if not already called
+        if (!existing.called) {
+            Object.assign(existing, {
+                callAt,
+                reminderTitle,
+                reminderDescription,
+                dueTime,
+                dueAt: callAt,
+                timezone,
+                locale,
+                voice,
+                retryPolicy,
+                channel,
+                snoozeMinutes,
+                challenge,
+                audioClipId,
+                audioMode,
+                urgent,
+                backupContacts,
+                userName,
+                clientVersion
+            });
+            armReminder(existing);
+            store.save();
+            logger.info('Updated scheduled call', { reminderId: id, callAt: new Date(callAt).toISOString() });
+            emitReminderEvent('scheduled', existing, { updated: true });
+
+            return {
+                body: {
+                    success: true,
+                    id,
+                    message: `Call updated for ${dueTime}`,
+                    minutesUntilCall: Math.max(0, Math.round((callAt - clock.now()) / 60000)),
+                    updated: true
+                }
+            };
+        }
+    }
+
+    const scheduled = {
+        id,
+        to,
+        reminderTitle,
+        reminderDescription,
+        dueTime,
+        dueAt: callAt,
+        callAt,
+        timezone,
+        locale,
+        voice,
+        scheduledAt: new Date(clock.now()).toISOString(),
+        called: false,
+        status: 'scheduled',
+        retryPolicy,
+        channel,
+        snoozeMinutes,
+        challenge,
+        audioClipId,
+        audioMode,
+        urgent,
+        backupContacts,
+        userName,
+        clientVersion,
+        attempts: []
+    };
+
+    // Re-using the id of a reminder that already ran starts a new run
+    if (scheduledCalls.has(id)) {
+        history.archive(scheduledCalls.get(id), 'replaced', clock.now());
+    }
+
+    scheduledCalls.set(id, scheduled);
+    armReminder(scheduled);
+    store.save();
+
+    const minutesUntilCall = Math.round((callAt - clock.now()) / 60000);
+
+    logger.info('Scheduled call', { reminderId: id, callAt: new Date(callAt).toISOString(), minutesUntilCall });
+    emitReminderEvent('scheduled', scheduled, { updated: false });
+
+    // Run cleanup if needed
+    enforceMaxSize();
+
+    return {
+        body: {
+            success: true,
+            id,
+            message: `Call scheduled for ${dueTime}`,
             minutesUntilCall: minutesUntilCall > 0 ? minutesUntilCall : 0
+        }
+    };
+}
+
+// Schedule a call for later. Send the reminder's `version` or `modifiedAt` to
+// have writes from an older copy of the reminder refused with 409 stale_write.
+app.post('/schedule', limitByIp, requireDeviceToken, limitSchedules, async (req, res) => {
+    try {
+        const parsed = parseReminderRequest(req, req.body);
+        if (parsed.error) {
+            return res.status(parsed.status).json({ error: parsed.error, code: parsed.code });
+        }
+
+        const { status = 200, body } = saveReminder(parsed.reminder);
+        res.status(status).json(body);
+
+    } catch (error) {
+        logger.error('Error scheduling call', { reminderId: req.body.reminderId, err: error });
+        res.status(500).json({
+            error: 'Failed to schedule call',
+            message: error.message
+        });
+    }
+});
+
+// Cancel a scheduled call.
+// For recurring reminders, ?scope=series cancels the whole series and
+// ?scope=occurrence skips a single occurrence. The default depends on the id:
+// a series id cancels the series, an occurrence id skips that occurrence.
+app.delete('/schedule/:id', requireDeviceToken, (req, res) => {
+    const { id } = req.params;
+    const { scope } = req.query;
+
+    if (scope && !['series', 'occurrence'].includes(scope)) {
+        return res.status(400).json({ error: 'scope must be "series" or "occurrence"' });
+    }
+
+    const occurrence = scheduledCalls.get(id);
+    const series = recurringSeries.get(id) || (occurrence && occurrence.seriesId && recurringSeries.get(occurrence.seriesId));
+
+    // Someone else's reminder looks exactly like one that doesn't exist
+    if ((occurrence && !isOwnNumber(req, reminderOwner(occurrence))) || (series && !isOwnNumber(req, series.to))) {
+        return res.json({ success: true, message: 'Call not found or already processed' });
+    }
+
+    if (series && series.status === 'active') {
+        const cancelWholeSeries = scope ? scope === 'series' : series.id === id;
+
+        if (cancelWholeSeries) {
+            cancelSeries(series);
+            return res.json({ success: true, message: 'Recurring series cancelled' });
+        }
+
+        // Skip one occurrence: the given one, or the next pending one for a series id
+        const skipped = occurrence || scheduledCalls.get(series.nextOccurrenceId);
+        if (!skipped || skipped.called) {
+            return res.json({ success: true, message: 'Occurrence not found or already processed' });
+        }
+
+        cancelScheduledReminder(skipped);
+
+        logger.info('Skipped occurrence', { reminderId: series.id, scheduledId: skipped.id });
+        return res.json({
+            success: true,
+            message: 'Occurrence cancelled',
+            nextOccurrenceId: series.nextOccurrenceId
+        });
+    }
+
+    if (scheduledCalls.has(id)) {
+        const scheduled = scheduledCalls.get(id);
+        cancelScheduledReminder(scheduled);
+        logger.info('Cancelled scheduled call', reminderFields(scheduled));
+        res.json({ success: true, message: 'Call cancelled' });
+    } else {
+        // Not an error - maybe already called or cleaned up
+        res.json({ success: true, message: 'Call not found or already processed' });
+    }
+});
+
+// Get the scheduled calls for the verified phone number
+app.get('/schedule', requireDeviceToken, (req, res) => {
+    const calls = Array.from(scheduledCalls.values()).filter(c => isOwnNumber(req, reminderOwner(c))).map(c => ({
+        id: c.id,
+        reminderTitle: c.reminderTitle,
+        to: c.to,
+        callAt: new Date(c.callAt).toISOString(),
+        status: c.status,
+        called: c.called,
+        channel: c.channel || 'voice',
+        attempts: c.attempts || [],
+        lastOutcome: c.lastOutcome,
+        seriesId: c.seriesId,
+        occurrence: c.occurrence,
+        escalationOf: c.escalationOf,
+        escalation: c.escalation
+    }));
+
+    const series = Array.from(recurringSeries.values()).filter(s => isOwnNumber(req, s.to)).map(s => ({
+        id: s.id,
+        reminderTitle: s.reminderTitle,
+        to: s.to,
+        recurrence: describeRecurrence(s.recurrence),
+        timezone: s.timezone,
+        status: s.status,
+        nextOccurrenceId: s.nextOccurrenceId
+    }));
+
+    res.json({
+        scheduledCalls: calls,
+        count: calls.length,
+        recurringSeries: series
+    });
+});
+
+// A reminder as it is now, or as it was when it left scheduledCalls
+function findReminderRecord(id) {
+    return scheduledCalls.get(id) || history.get(id);
+}
+
+// The reminders a snooze chain passed through, first to last
+function snoozeChain(entry) {
+    const chain = [entry];
+    const seen = new Set([entry.id]);
+
+    for (let prev = entry; prev.snoozedFrom && !seen.has(prev.snoozedFrom);) {
+        prev = findReminderRecord(prev.snoozedFrom);
+        if (!prev) break;
+        seen.add(prev.id);
+        chain.unshift(prev);
+    }
+    for (let next = entry; next.snoozedTo && !seen.has(next.snoozedTo);) {
+        next = findReminderRecord(next.snoozedTo);
+        if (!next) break;
+        seen.add(next.id);
+        chain.push(next);
+    }
+
+    return chain.map(link => ({
+        id: link.id,
+        status: link.status,
+        callAt: new Date(link.callAt).toISOString(),
+        snoozedAt: link.snoozedAt
+    }));
+}
+
+function reminderDetail(entry) {
+    return {
+        id: entry.id,
+        reminderTitle: entry.reminderTitle,
+        reminderDescription: entry.reminderDescription,
+        to: entry.to,
+        status: entry.status,
+        channel: entry.channel || 'voice',
+        urgent: Boolean(entry.urgent),
+        challenge: entry.challenge,
+        audioClipId: entry.audioClipId,
+        audioMode: entry.audioMode,
+        callAt: new Date(entry.callAt).toISOString(),
+        dueAt: entry.dueAt ? new Date(entry.dueAt).toISOString() : undefined,
+        timezone: entry.timezone,
+        locale: entry.locale,
+        scheduledAt: entry.scheduledAt,
+        seriesId: entry.seriesId,
+        occurrence: entry.occurrence,
+        snoozedFrom: entry.snoozedFrom,
+        snoozedTo: entry.snoozedTo,
+        backupContacts: entry.backupContacts,
+        escalation: entry.escalation,
+        escalationOf: entry.escalationOf,
+        backupContact: entry.escalationOf ? backupContactFields(entry) : undefined,
+        lastOutcome: entry.lastOutcome,
+        error: entry.error,
+        archivedAt: entry.archivedAt,
+        attempts: entry.attempts || [],
+        snoozeChain: snoozeChain(entry),
+        timeline: buildTimeline(entry)
+    };
+}
+
+// One reminder with its full history. A series id returns the series and its occurrences.
+app.get('/schedule/:id', requireDeviceToken, (req, res) => {
+    const { id } = req.params;
+    const series = recurringSeries.get(id);
+
+    if (series && isOwnNumber(req, series.to)) {
+        const occurrences = [...scheduledCalls.values(), ...history.all()]
+            .filter(entry => entry.seriesId === id)
+            .filter((entry, index, list) => list.findIndex(other => other.id === entry.id) === index)
+            .sort((a, b) => a.occurrence - b.occurrence);
+
+        return res.json({
+            id: series.id,
+            reminderTitle: series.reminderTitle,
+            to: series.to,
+            recurrence: describeRecurrence(series.recurrence),
+            timezone: series.timezone,
+            status: series.status,
+            nextOccurrenceId: series.nextOccurrenceId,
+            occurrences: occurrences.map(reminderDetail)
+        });
+    }
+
+    // Someone else's reminder looks exactly like one that doesn't exist
+    const entry = findReminderRecord(id);
+    if (!entry || !isOwnNumber(req, reminderOwner(entry))) {
+        return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    res.json(reminderDetail(entry));
+});
+
+// ============================================
+// DEVICE SYNC - Reconcile the server with the app's full list of reminders
+// ============================================
+
+const MAX_SYNC_REMINDERS = 500;
+
+// Entries for a client reminder id that have not gone out yet: the reminder
+// itself, its pending snoozes, and a series' upcoming occurrence
+function pendingRunsOf(clientId) {
+    return Array.from(scheduledCalls.values())
+        .filter(entry => !entry.called && clientReminderId(entry) === clientId);
+}
+
+// Client reminder ids the number still has something pending for
+function pendingClientIds(phoneNumber) {
+    const ids = new Set();
+    for (const entry of scheduledCalls.values()) {
+        if (!entry.called && normalizePhoneNumber(reminderOwner(entry)) === phoneNumber) ids.add(clientReminderId(entry));
+    }
+    for (const series of recurringSeries.values()) {
+        if (series.status === 'active' && normalizePhoneNumber(series.to) === phoneNumber) ids.add(series.id);
+    }
+    return ids;
+}
+
+// Stop everything still pending for a client reminder id. Returns whether anything was.
+function cancelClientReminder(clientId) {
+    const series = recurringSeries.get(clientId);
+    const activeSeries = series && series.status === 'active';
+    if (activeSeries) cancelSeries(series);
+
+    const pending = pendingRunsOf(clientId);
+    pending.forEach(cancelScheduledReminder);
+    return activeSeries || pending.length > 0;
+}
+
+/**
+ * The server's view of a client reminder id. A reminder whose latest run is a
+ * pending snooze reads as 'snoozed'; otherwise its latest run's status counts.
+ */
+function reminderState(clientId) {
+    const series = recurringSeries.get(clientId);
+    if (series) {
+        const next = series.nextOccurrenceId && scheduledCalls.get(series.nextOccurrenceId);
+        return {
+            reminderId: clientId,
+            status: series.status,
+            recurrence: describeRecurrence(series.recurrence),
+            nextCallAt: next ? new Date(next.callAt).toISOString() : null,
+            version: series.clientVersion
+        };
+    }
+
+    const first = findReminderRecord(clientId);
+    if (!first) {
+        return { reminderId: clientId, status: 'not-found' };
+    }
+
+    const chain = snoozeChain(first);
+    const last = findReminderRecord(chain[chain.length - 1].id) || first;
+    const pending = scheduledCalls.has(last.id) && !last.called;
+
+    return {
+        reminderId: clientId,
+        status: pending && last !== first ? 'snoozed' : last.status,
+        nextCallAt: pending ? new Date(last.callAt).toISOString() : null,
+        acknowledgedAt: last.acknowledgedAt,
+        lastOutcome: last.lastOutcome,
+        escalation: last.escalation,
+        snoozes: chain.length - 1,
+        version: first.clientVersion
+    };
+}
+
+// Apply one reminder from the device's list. Returns { reminderId, result, error?, code? }.
+function syncReminder(req, item) {
+    const clientId = item.reminderId;
+    const outcome = (result, extra = {}) => ({ reminderId: clientId, result, ...extra });
+
+    const taken = scheduledCalls.get(clientId) || recurringSeries.get(clientId);
+    if (taken && !isOwnNumber(req, reminderOwner(taken))) {
+        return outcome('invalid', { error: 'Reminder id is already in use' });
+    }
+
+    let version;
+    try {
+        version = parseClientVersion(item);
+    } catch (error) {
+        return outcome('invalid', { error: error.message });
+    }
+
+    const current = recurringSeries.get(clientId) || findReminderRecord(clientId);
+    if (isStaleWrite(current, version)) {
+        return outcome('stale', { code: 'stale_write' });
+    }
+
+    // Done or deleted on the device: nothing more should ring for it
+    if (item.completed || item.deleted) {
+        if (current && version !== undefined) {
+            current.clientVersion = version;
+            store.save();
+        }
+        return outcome(cancelClientReminder(clientId) ? 'cancelled' : 'unchanged');
+    }
+
+    if (current && version !== undefined && version === current.clientVersion) {
+        return outcome('unchanged');
+    }
+
+    // Already ran for this due time (and maybe was acknowledged): don't ring again
+    const callAt = new Date(item.callAt).getTime();
+    const recurring = item.recurrence || item.rrule;
+    if (current && !recurring && !recurringSeries.has(clientId) && current.dueAt === callAt && current.called) {
+        if (version !== undefined) {
+            current.clientVersion = version;
+            store.save();
+        }
+        return outcome('unchanged');
+    }
+
+    const parsed = parseReminderRequest(req, { ...item, to: undefined });
+    if (parsed.error) {
+        return outcome('invalid', { error: parsed.error, code: parsed.code });
+    }
+
+    const saved = saveReminder(parsed.reminder);
+    if (saved.status) {
+        return outcome(saved.body.code === 'stale_write' ? 'stale' : 'invalid', { error: saved.body.error, code: saved.body.code });
+    }
+    return outcome(current ? 'updated' : 'created');
+}
+
+// Reconcile with the device's complete list of phone-call reminders:
+//   { reminders: [{ reminderId, version | modifiedAt, completed, deleted, ...the /schedule fields }] }
+// Listed reminders are created, updated or cancelled (completed/deleted); anything
+// pending on the server that the list leaves out was deleted on the device and is
+// cancelled. Writes older than the server's version are skipped as 'stale'.
+// Safe to repeat: the same list twice changes nothing the second time.
+app.post('/schedule/sync', limitByIp, requireDeviceToken, limitSchedules, (req, res) => {
+    const { reminders } = req.body;
+
+    if (!Array.isArray(reminders)) {
+        return res.status(400).json({ error: 'reminders must be a list' });
+    }
+    if (reminders.length > MAX_SYNC_REMINDERS) {
+        return res.status(400).json({ error: `A sync can include at most ${MAX_SYNC_REMINDERS} reminders` });
+    }
+
+    const ids = reminders.map(item => item && item.reminderId);
+    if (ids.some(id => typeof id !== 'string' || !id)) {
+        return res.status(400).json({ error: 'Every reminder needs a reminderId' });
+    }
+    if (new Set(ids).size !== ids.length) {
+        return res.status(400).json({ error: 'reminderId values must be unique' });
+    }
+
+    try {
+        const results = reminders.map(item => syncReminder(req, item));
+
+        const listed = new Set(ids);
+        for (const clientId of pendingClientIds(normalizePhoneNumber(req.phoneNumber))) {
+            if (!listed.has(clientId) && cancelClientReminder(clientId)) {
+                results.push({ reminderId: clientId, result: 'cancelled' });
+            }
+        }
+        store.save();
+
+        const counts = {};
+        results.forEach(({ result }) => { counts[result] = (counts[result] || 0) + 1; });
+        logger.info('Synced device reminders', { phoneNumber: req.phoneNumber, reminders: reminders.length, counts });
+
+        res.json({
+            success: true,
+            counts,
+            reminders: results.map(result => ({ ...result, state: reminderState(result.reminderId) }))
+        });
+    } catch (error) {
+        logger.error('Error syncing reminders', { phoneNumber: req.phoneNumber, err: error });
+        res.status(500).json({
+            error: 'Failed to sync reminders',
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// CALENDAR - ICS import and a per-number calendar feed
+// ============================================
+// POST /schedule/import turns the VEVENTs of an .ics file into reminders: a
+// call per VALARM (or at the start when there is none), with RRULEs becoming
+// recurring series. Reminder ids are derived from the event's UID, so
+// importing an updated export again updates the same reminders, and
+// LAST-MODIFIED keeps an older export from overwriting a newer one.
+// GET /calendar/<token>.ics lists the number's upcoming phone-call reminders.
+// Calendar apps can't send a device token, so the URL carries its own secret;
+// POST /calendar/feed issues it, and posting again or DELETE revokes the old one.
+
+const MAX_IMPORT_EVENTS = 200;
+const MAX_IMPORT_SIZE = '1mb';
+const FEED_REFRESH_MINUTES = 15;
+
+// The number's reminder id for an event's UID (ids are global, so the number is mixed in)
+function importedReminderId(phoneNumber, uid, alarmIndex) {
+    const base = `ics_${crypto.createHash('sha256').update(`${phoneNumber}\n${uid}`).digest('hex').slice(0, 20)}`;
+    return alarmIndex ? `${base}_${alarmIndex + 1}` : base;
+}
+
+// Apply one VEVENT. Returns a result per call it produced, like syncReminder's.
+function importEvent(req, event, timezone) {
+    const uid = eventText(event, 'UID');
+    const result = (reminderId, outcome, extra = {}) => ({ uid, reminderId, result: outcome, ...extra });
+
+    if (!uid) {
+        return [result(undefined, 'invalid', { error: 'Event has no UID' })];
+    }
+    if (event.properties['RECURRENCE-ID']) {
+        return [result(undefined, 'skipped', { error: 'Changes to a single occurrence of a repeating event are not supported' })];
+    }
+
+    let times;
+    let modifiedAt;
+    try {
+        times = eventCallTimes(event, timezone);
+        const modified = eventDate(event, 'LAST-MODIFIED', timezone);
+        modifiedAt = modified === undefined ? undefined : new Date(modified).toISOString();
+    } catch (error) {
+        return [result(importedReminderId(req.phoneNumber, uid, 0), 'invalid', { error: error.message })];
+    }
+
+    const cancelled = (eventText(event, 'STATUS') || '').toUpperCase() === 'CANCELLED';
+    const results = times.callTimes.map((callAt, index) => {
+        const reminderId = importedReminderId(req.phoneNumber, uid, index);
+
+        if (!times.rrule && !cancelled && callAt < clock.now() && !findReminderRecord(reminderId)) {
+            return result(reminderId, 'skipped', { error: 'Already in the past' });
+        }
+
+        const synced = syncReminder(req, {
+            reminderId,
+            reminderTitle: eventText(event, 'SUMMARY'),
+            reminderDescription: eventText(event, 'DESCRIPTION'),
+            callAt: new Date(callAt).toISOString(),
+            rrule: times.rrule,
+            timezone: times.timezone,
+            modifiedAt,
+            deleted: cancelled
+        });
+        const { reminderId: id, result: outcome, ...extra } = synced;
+        return result(id, outcome, extra);
+    });
+
+    // Exceptions to the repeat rule can't be represented in a series
+    if (event.exdates.length && times.rrule) {
+        results.forEach(entry => { entry.warning = 'EXDATE is not supported; excluded dates will still be called'; });
+    }
+
+    // Alarms the event no longer has
+    const ids = new Set(results.map(entry => entry.reminderId));
+    const base = importedReminderId(req.phoneNumber, uid, 0);
+    for (const clientId of pendingClientIds(normalizePhoneNumber(req.phoneNumber))) {
+        if (clientId.startsWith(`${base}_`) && !ids.has(clientId) && cancelClientReminder(clientId)) {
+            results.push(result(clientId, 'cancelled'));
+        }
+    }
+
+    return results;
+}
+
+const parseCalendarBody = express.text({ type: ['text/calendar', 'text/plain'], limit: MAX_IMPORT_SIZE });
+
+// Import reminders from iCalendar data: a text/calendar body, or JSON { ics }.
+// Floating times and all-day events are read in ?timezone= (or the calendar's
+// X-WR-TIMEZONE, or the server default). Safe to repeat with the same file.
+app.post('/schedule/import', limitByIp, requireDeviceToken, parseCalendarBody, limitSchedules, (req, res) => {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Send the calendar as a text/calendar body or as JSON { "ics": "..." }' });
+    }
+
+    let calendar;
+    try {
+        calendar = parseCalendar(text);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const timezone = req.query.timezone || (req.body && req.body.timezone) || calendar.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Invalid timezone. Use an IANA name like "Europe/Berlin".' });
+    }
+    if (!calendar.events.length) {
+        return res.status(400).json({ error: 'The calendar has no events' });
+    }
+    if (calendar.events.length > MAX_IMPORT_EVENTS) {
+        return res.status(400).json({ error: `An import can include at most ${MAX_IMPORT_EVENTS} events` });
+    }
+
+    try {
+        const results = calendar.events.flatMap(event => importEvent(req, event, timezone));
+        store.save();
+
+        const counts = {};
+        results.forEach(({ result }) => { counts[result] = (counts[result] || 0) + 1; });
+        logger.info('Imported calendar', { phoneNumber: req.phoneNumber, events: calendar.events.length, counts });
+
+        res.json({
+            success: true,
+            calendar: calendar.name,
+            timezone,
+            counts,
+            reminders: results.map(result => (result.reminderId ? { ...result, state: reminderState(result.reminderId) } : result))
+        });
+    } catch (error) {
+        logger.error('Error importing calendar', { phoneNumber: req.phoneNumber, err: error });
+        res.status(500).json({
+            error: 'Failed to import calendar',
+            message: error.message
+        });
+    }
+});
+
+// Feed tokens are kept hashed, so a copy of the store doesn't reveal feed URLs
+function feedTokenKey(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Drop the number's feed URL. Returns whether there was one.
+function revokeCalendarFeed(phoneNumber) {
+    let revoked = false;
+    for (const [key, feed] of calendarFeeds.entries()) {
+        if (feed.phoneNumber === phoneNumber) {
+            calendarFeeds.delete(key);
+            revoked = true;
+        }
+    }
+    store.save();
+    return revoked;
+}
+
+// Upcoming phone-call reminders of a number as calendar events. Series are
+// one repeating event; their pending occurrences are left out, snoozes aren't.
+function calendarFeedEvents(phoneNumber) {
+    const events = [];
+
+    for (const series of recurringSeries.values()) {
+        if (series.status !== 'active' || series.channel === 'sms' || normalizePhoneNumber(series.to) !== phoneNumber) continue;
+        events.push({
+            uid: `${series.id}@noforget`,
+            start: series.startAt,
+            timezone: series.timezone,
+            rrule: formatRecurrence(series.recurrence),
+            summary: series.reminderTitle,
+            description: series.reminderDescription
+        });
+    }
+
+    for (const entry of scheduledCalls.values()) {
+        if (entry.called || entry.escalationOf || entry.channel === 'sms' || normalizePhoneNumber(entry.to) !== phoneNumber) continue;
+        if (entry.seriesId && !entry.snoozedFrom && recurringSeries.has(entry.seriesId)) continue;
+        events.push({
+            uid: `${entry.id}@noforget`,
+            start: entry.callAt,
+            summary: entry.reminderTitle,
+            description: entry.reminderDescription
+        });
+    }
+
+    return events.sort((a, b) => a.start - b.start);
+}
+
+// Create the number's calendar feed URL, replacing (and revoking) any earlier one.
+// The URL is only shown here; subscribe to it in a calendar app.
+app.post('/calendar/feed', limitByIp, requireDeviceToken, (req, res) => {
+    const phoneNumber = normalizePhoneNumber(req.phoneNumber);
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    revokeCalendarFeed(phoneNumber);
+    calendarFeeds.set(feedTokenKey(token), { phoneNumber, createdAt: new Date(clock.now()).toISOString() });
+    store.save();
+
+    const url = `${baseUrl}/calendar/${token}.ics`;
+    logger.info('Created calendar feed', { phoneNumber });
+    res.status(201).json({ success: true, url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+});
+
+app.delete('/calendar/feed', requireDeviceToken, (req, res) => {
+    const revoked = revokeCalendarFeed(normalizePhoneNumber(req.phoneNumber));
+    res.json({ success: true, revoked });
+});
+
+// The feed itself, fetched by calendar apps
+app.get('/calendar/:token.ics', limitByIp, (req, res) => {
+    const feed = calendarFeeds.get(feedTokenKey(req.params.token));
+    if (!feed) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.type('text/calendar; charset=utf-8').send(serializeCalendar({
+        name: 'NoForget reminders',
+        events: calendarFeedEvents(feed.phoneNumber),
+        refreshMinutes: FEED_REFRESH_MINUTES
+    }));
+});
+
+// ============================================
+// AUDIO CLIPS - Recorded messages and alarm sounds for reminder calls
+// ============================================
+// Each number can keep a few clips: MP3 or WAV files uploaded to POST /clips,
+// or a message recorded by phone (POST /clips/record calls the number and
+// keeps what is said after the beep). Reminders and /call pick one with
+// audioClipId; audioMode 'before' (the default) plays it ahead of the spoken
+// reminder, 'instead' plays it in place of the spoken intro and title. A clip
+// that was deleted, or isn't ready, is skipped and the reminder is spoken as usual.
+//   clip: { id, owner, name, source: 'upload' | 'recording', status: 'recording' | 'ready' | 'failed',
+//           contentType, fileName, size, durationSeconds, callSid, recordingSid, error, createdAt, updatedAt }
+
+const MAX_CLIP_MB = Number(process.env.AUDIO_MAX_CLIP_MB) || 5;
+const MAX_CLIP_BYTES = MAX_CLIP_MB * 1024 * 1024;
+const MAX_CLIPS_PER_NUMBER = parseInt(process.env.AUDIO_MAX_CLIPS_PER_NUMBER, 10) || 10;
+const MAX_AUDIO_BYTES_PER_NUMBER = (Number(process.env.AUDIO_MAX_MB_PER_NUMBER) || 25) * 1024 * 1024;
+const MAX_RECORDING_SECONDS = 120;
+const MAX_CLIP_NAME_LENGTH = 60;
+const AUDIO_MODES = ['before', 'instead'];
+
+// Clip ids end up in public file names, so they must be unguessable
+function newClipId() {
+    return `clip_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function clipsOf(phoneNumber) {
+    const owner = normalizePhoneNumber(phoneNumber);
+    return Array.from(audioClips.values()).filter(clip => clip.owner === owner);
+}
+
+// What a number stores and may store. Failed clips take no space and don't count.
+function clipUsage(phoneNumber, { except } = {}) {
+    const clips = clipsOf(phoneNumber).filter(clip => clip.status !== 'failed' && clip.id !== except);
+    return {
+        clips: clips.length,
+        bytes: clips.reduce((total, clip) => total + (clip.size || 0), 0),
+        maxClips: MAX_CLIPS_PER_NUMBER,
+        maxBytes: MAX_AUDIO_BYTES_PER_NUMBER
+    };
+}
+
+// { status, error, code } when the number can't keep another `size` bytes
+// (`except`: the clip being filled, already counted), or null
+function clipQuotaError(phoneNumber, size, { except } = {}) {
+    const usage = clipUsage(phoneNumber, { except });
+    if (usage.clips >= usage.maxClips) {
+        return {
+            status: 429,
+            error: `This number already has ${usage.clips} audio clips. Delete some before adding more.`,
+            code: 'too_many_clips'
+        };
+    }
+    if (usage.bytes + size > usage.maxBytes) {
+        return {
+            status: 429,
+            error: `Not enough audio storage left for this number (${Math.round(usage.maxBytes / 1048576)} MB in total).`,
+            code: 'audio_storage_full'
+        };
+    }
+    return null;
+}
+
+function parseClipName(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_CLIP_NAME_LENGTH) {
+        throw new Error(`name must be text of at most ${MAX_CLIP_NAME_LENGTH} characters`);
+    }
+    return value.trim();
+}
+
+function clipUrl(clip) {
+    return `${baseUrl}/${AUDIO_DIRECTORY}/clips/${clip.fileName}`;
+}
+
+// URL for <Play>, or undefined when the clip is gone or not ready
+function playableClipUrl(clipId) {
+    const clip = clipId && audioClips.get(clipId);
+    return clip && clip.status === 'ready' && clipFiles.exists(clip.fileName) ? clipUrl(clip) : undefined;
+}
+
+// Error message for a reminder's audioClipId / audioMode, or null
+function validateClipReference(phoneNumber, clipId, mode) {
+    if (mode !== undefined && !AUDIO_MODES.includes(mode)) {
+        return `audioMode must be one of: ${AUDIO_MODES.join(', ')}`;
+    }
+    if (clipId === undefined || clipId === null) return null;
+
+    const clip = typeof clipId === 'string' && audioClips.get(clipId);
+    if (!clip || clip.owner !== normalizePhoneNumber(phoneNumber)) {
+        return 'Unknown audioClipId';
+    }
+    if (clip.status !== 'ready') {
+        return `Audio clip ${clipId} is not ready (${clip.status})`;
+    }
+    return null;
+}
+
+function clipFields(clip) {
+    return {
+        id: clip.id,
+        name: clip.name,
+        source: clip.source,
+        status: clip.status,
+        contentType: clip.contentType,
+        size: clip.size,
+        durationSeconds: clip.durationSeconds,
+        url: clip.status === 'ready' ? clipUrl(clip) : undefined,
+        error: clip.error,
+        createdAt: clip.createdAt,
+        updatedAt: clip.updatedAt
+    };
+}
+
+// Check an audio file and keep it as the clip's file. Returns { status, error, code } when refused.
+function saveClipAudio(clip, buffer) {
+    if (buffer.length > MAX_CLIP_BYTES) {
+        return { status: 413, error: `Audio clips can be at most ${MAX_CLIP_MB} MB`, code: 'clip_too_large' };
+    }
+
+    const format = detectAudioFormat(buffer);
+    if (!format) {
+        return { status: 415, error: 'Audio clips must be MP3 or WAV files', code: 'unsupported_audio' };
+    }
+
+    const quota = clipQuotaError(clip.owner, buffer.length, { except: clip.id });
+    if (quota) return quota;
+
+    const fileName = `${clip.id}.${format.extension}`;
+    clipFiles.write(fileName, buffer);
+    Object.assign(clip, {
+        status: 'ready',
+        contentType: format.contentType,
+        fileName,
+        size: buffer.length,
+        updatedAt: new Date(clock.now()).toISOString()
+    });
+    return null;
+}
+
+function failClip(clip, error) {
+    clip.status = 'failed';
+    clip.error = error;
+    clip.updatedAt = new Date(clock.now()).toISOString();
+    store.save();
+    logger.warn('Audio clip failed', { clipId: clip.id, phoneNumber: clip.owner, error });
+}
+
+const readAudioBody = express.raw({ type: ['audio/*', 'application/octet-stream'], limit: MAX_CLIP_BYTES });
+
+// express.raw answers an oversized body with an HTML page; send our JSON error instead
+function parseAudioBody(req, res, next) {
+    readAudioBody(req, res, error => {
+        if (!error) return next();
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Audio clips can be at most ${MAX_CLIP_MB} MB`, code: 'clip_too_large' });
+        }
+        res.status(400).json({ error: 'Could not read the audio upload' });
+    });
+}
+
+// The number's clips and how much of its storage they use
+app.get('/clips', requireDeviceToken, (req, res) => {
+    const clips = clipsOf(req.phoneNumber).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ clips: clips.map(clipFields), usage: clipUsage(req.phoneNumber) });
+});
+
+// Upload a clip: the MP3 or WAV file as the body (Content-Type audio/mpeg or
+// audio/wav), ?name= to label it
+app.post('/clips', limitByIp, requireDeviceToken, parseAudioBody, (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Send the audio file as the request body with Content-Type audio/mpeg or audio/wav' });
+    }
+
+    let name;
+    try {
+        name = parseClipName(req.query.name, 'Clip');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const now = new Date(clock.now()).toISOString();
+    const clip = {
+        id: newClipId(),
+        owner: normalizePhoneNumber(req.phoneNumber),
+        name,
+        source: 'upload',
+        status: 'uploading',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const refusal = saveClipAudio(clip, req.body);
+    if (refusal) {
+        return res.status(refusal.status).json({ error: refusal.error, code: refusal.code });
+    }
+
+    audioClips.set(clip.id, clip);
+    store.save();
+    logger.info('Audio clip uploaded', { phoneNumber: req.phoneNumber, clipId: clip.id, size: clip.size });
+    res.status(201).json({ success: true, clip: clipFields(clip), usage: clipUsage(req.phoneNumber) });
+});
+
+app.get('/clips/:id', requireDeviceToken, (req, res) => {
+    const clip = audioClips.get(req.params.id);
+    if (!clip || clip.owner !== normalizePhoneNumber(req.phoneNumber)) {
+        return res.status(404).json({ error: 'Audio clip not found' });
+    }
+    res.json(clipFields(clip));
+});
+
+// Delete a clip. Reminders that used it are spoken without it from now on.
+app.delete('/clips/:id', requireDeviceToken, (req, res) => {
+    const clip = audioClips.get(req.params.id);
+    if (!clip || clip.owner !== normalizePhoneNumber(req.phoneNumber)) {
+        return res.status(404).json({ error: 'Audio clip not found' });
+    }
+
+    if (clip.fileName) clipFiles.remove(clip.fileName);
+    audioClips.delete(clip.id);
+    store.save();
+
+    const reminders = [...scheduledCalls.values(), ...recurringSeries.values()]
+        .filter(entry => entry.audioClipId === clip.id && !entry.called).length;
+    logger.info('Audio clip deleted', { phoneNumber: req.phoneNumber, clipId: clip.id, reminders });
+    res.json({ success: true, id: clip.id, remindersUsingClip: reminders });
+});
+
+// TwiML for a recording call: a prompt, the beep, then up to MAX_RECORDING_SECONDS
+// of message. Without any audio Twilio skips the action and says recordEmpty.
+function recordingTwiml(clip, { locale, voice }) {
+    const call = getCallLanguage(locale, voice);
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const query = `clipId=${encodeURIComponent(clip.id)}`;
+
+    return `
+        <Response>
+            <Say ${say}>${escapeXml(call.messages.recordIntro)}</Say>
+            <Record maxLength="${MAX_RECORDING_SECONDS}" finishOnKey="#" playBeep="true" trim="trim-silence" method="POST"
+                action="${baseUrl}/clips/record/done?${query}"
+                recordingStatusCallback="${baseUrl}/clips/record/status?${query}" recordingStatusCallbackMethod="POST"/>
+            <Say ${say}>${escapeXml(call.messages.recordEmpty)}</Say>
+            <Hangup/>
+        </Response>
+    `;
+}
+
+// Record a clip by phone: the device's number is called, and what it says
+// after the beep becomes the clip once Twilio has the recording ready
+app.post('/clips/record', limitByIp, requireDeviceToken, limitCalls, async (req, res) => {
+    const { locale, voice } = req.body;
+    const to = req.phoneNumber;
+
+    try {
+        if (rejectDestination(res, to)) return;
+        usageCaps.check('calls', normalizePhoneNumber(to), clock.now());
+
+        let name;
+        try {
+            name = parseClipName(req.body.name, 'Recording');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const languageError = validateCallLanguage(locale, voice);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+
+        const quota = clipQuotaError(to, 0);
+        if (quota) {
+            return res.status(quota.status).json({ error: quota.error, code: quota.code });
+        }
+
+        const now = new Date(clock.now()).toISOString();
+        const clip = {
+            id: newClipId(),
+            owner: normalizePhoneNumber(to),
+            name,
+            source: 'recording',
+            status: 'recording',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const call = await provider.placeCall({
+            to,
+            twiml: recordingTwiml(clip, { locale, voice }),
+            statusCallback: `${baseUrl}/status`,
+            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+        });
+
+        usageCaps.record('calls', normalizePhoneNumber(to), clock.now());
+        dialsTotal.inc({ channel: 'voice', trigger: 'recording', result: 'initiated' });
+
+        clip.callSid = call.sid;
+        audioClips.set(clip.id, clip);
+        activeCalls.set(call.sid, {
+            to,
+            clipId: clip.id,
+            locale,
+            voice,
+            status: call.status,
+            createdAt: now
+        });
+        store.save();
+
+        logger.info('Recording call initiated', { callSid: call.sid, phoneNumber: to, clipId: clip.id });
+        res.status(202).json({ success: true, clip: clipFields(clip), callSid: call.sid });
+    } catch (error) {
+        if (error instanceof LimitError) {
+            return sendLimitError(res, error);
+        }
+        logger.error('Error initiating recording call', { phoneNumber: to, err: error });
+        res.status(500).json({
+            error: 'Failed to initiate recording call',
+            message: error.message
+        });
+    }
+});
+
+// <Record> action: the caller finished speaking (the file follows on /clips/record/status)
+app.post('/clips/record/done', validateTwilioRequest, (req, res) => {
+    const { CallSid: callSid, RecordingSid: recordingSid, RecordingDuration: duration } = req.body;
+    const clip = audioClips.get(req.query.clipId);
+    const { messages, voice, language } = callLanguageFor(callSid);
+
+    if (clip && clip.callSid === callSid && recordingSid) {
+        clip.recordingSid = recordingSid;
+        clip.durationSeconds = duration ? Number(duration) : undefined;
+        clip.updatedAt = new Date(clock.now()).toISOString();
+        store.save();
+    }
+
+    res.type('text/xml').send(`
+        <Response>
+            <Say voice="${voice}" language="${language}">${escapeXml(recordingSid ? messages.recordSaved : messages.recordEmpty)}</Say>
+            <Hangup/>
+        </Response>
+    `);
+});
+
+// Recording status callback: download the finished recording into the clip,
+// then delete Twilio's copy
+app.post('/clips/record/status', validateTwilioRequest, async (req, res) => {
+    const { CallSid: callSid, RecordingSid: recordingSid, RecordingUrl: recordingUrl, RecordingStatus: status } = req.body;
+    const clip = audioClips.get(req.query.clipId);
+    res.sendStatus(200);
+
+    if (clip && clip.callSid === callSid && clip.status === 'recording') {
+        if (status !== 'completed') {
+            failClip(clip, `Recording ${status || 'failed'}`);
+        } else {
+            try {
+                const { buffer } = await provider.fetchRecording({ url: recordingUrl });
+                const refusal = saveClipAudio(clip, buffer);
+                if (refusal) {
+                    failClip(clip, refusal.error);
+                } else {
+                    clip.recordingSid = recordingSid;
+                    store.save();
+                    logger.info('Audio clip recorded', { phoneNumber: clip.owner, clipId: clip.id, size: clip.size });
+                }
+            } catch (error) {
+                failClip(clip, 'Could not download the recording');
+                logger.error('Error downloading recording', { clipId: clip.id, callSid, err: error });
+            }
+        }
+    }
+
+    // The clip keeps its own copy; don't leave voice messages lying around at the provider
+    if (recordingSid && status === 'completed') {
+        provider.deleteRecording({ sid: recordingSid }).catch(error => {
+            logger.warn('Could not delete recording', { recordingSid, err: error });
         });
+    }
+});
+
+// A recording call that ended without a recording (unanswered, or nothing said)
+function endRecordingCall(callInfo, callStatus) {
+    const clip = audioClips.get(callInfo.clipId);
+    if (clip && clip.status === 'recording' && !clip.recordingSid) {
+        failClip(clip, callStatus === 'completed' ? 'Nothing was recorded' : `Recording call ${callStatus}`);
+    }
+}
+
+// ============================================
+// QUIET HOURS ENDPOINTS
+// ============================================
+
+function quietHoursResponse(phoneNumber) {
+    const rules = quietHours.get(normalizePhoneNumber(phoneNumber)) || null;
+    const until = quietUntil(rules, clock.now());
+    return {
+        quietHours: rules,
+        quietNow: Boolean(until),
+        quietUntil: until ? new Date(until).toISOString() : null
+    };
+}
+
+// Quiet hours for the verified phone number (null when none are set)
+app.get('/quiet-hours', requireDeviceToken, (req, res) => {
+    res.json(quietHoursResponse(req.phoneNumber));
+});
+
+// Replace the quiet hours: { timezone, action: 'defer' | 'sms', windows: [{ start, end, days }] }
+app.put('/quiet-hours', requireDeviceToken, (req, res) => {
+    let rules;
+    try {
+        rules = parseQuietHours(req.body, { defaultTimezone: DEFAULT_TIMEZONE });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    quietHours.set(normalizePhoneNumber(req.phoneNumber), { ...rules, updatedAt: new Date(clock.now()).toISOString() });
+    store.save();
+    logger.info('Quiet hours updated', { phoneNumber: req.phoneNumber, windows: rules.windows.map(w => `${w.start}-${w.end}`), action: rules.action });
 
+    res.json({ success: true, ...quietHoursResponse(req.phoneNumber) });
+});
+
+app.delete('/quiet-hours', requireDeviceToken, (req, res) => {
+    quietHours.delete(normalizePhoneNumber(req.phoneNumber));
+    store.save();
+    res.json({ success: true, quietHours: null });
+});
+
+// ============================================
+// WEBHOOKS AND EVENTS - Reminder outcomes for the app and integrations
+// ============================================
+
+// A subscription as shown after creation (the secret is only returned once)
+function webhookResponse(subscription) {
+    const { secret, phoneNumber, ...shown } = subscription;
+    return shown;
+}
+
+function ownWebhook(req) {
+    return webhooks.list(normalizePhoneNumber(req.phoneNumber)).find(subscription => subscription.id === req.params.id);
+}
+
+// Register a webhook: { url, events: ['acknowledged', ...] } (all events when omitted)
+app.post('/webhooks', limitByIp, requireDeviceToken, (req, res) => {
+    let subscription;
+    try {
+        subscription = webhooks.subscribe(normalizePhoneNumber(req.phoneNumber), req.body || {});
     } catch (error) {
-        console.error('Error scheduling call:', error);
-        res.status(500).json({
-            error: 'Failed to schedule call',
-            message: error.message
-        });
+        return res.status(400).json({ error: error.message });
     }
+
+    logger.info('Webhook registered', { phoneNumber: req.phoneNumber, webhookId: subscription.id, url: subscription.url });
+    res.json({ success: true, ...webhookResponse(subscription), secret: subscription.secret });
 });
 
-// Cancel a scheduled call
-app.delete('/schedule/:id', (req, res) => {
-    const { id } = req.params;
+app.get('/webhooks', requireDeviceToken, (req, res) => {
+    const phoneNumber = normalizePhoneNumber(req.phoneNumber);
+    res.json({
+        webhooks: webhooks.list(phoneNumber).map(webhookResponse),
+        deadLetters: webhooks.deadLettersFor(phoneNumber).length
+    });
+});
 
-    if (scheduledCalls.has(id)) {
-        const scheduled = scheduledCalls.get(id);
-        scheduledCalls.delete(id);
-        console.log(`🗑️ Cancelled scheduled call: ${id} (${scheduled.reminderTitle})`);
-        res.json({ success: true, message: 'Call cancelled' });
-    } else {
-        // Not an error - maybe already called or cleaned up
-        res.json({ success: true, message: 'Call not found or already processed' });
+app.delete('/webhooks/:id', requireDeviceToken, (req, res) => {
+    if (!ownWebhook(req)) {
+        return res.status(404).json({ error: 'Webhook not found' });
     }
+    webhooks.unsubscribe(req.params.id);
+    res.json({ success: true });
 });
 
-// Get all scheduled calls (for debugging)
-app.get('/schedule', (req, res) => {
-    const calls = Array.from(scheduledCalls.values()).map(c => ({
-        id: c.id,
-        reminderTitle: c.reminderTitle,
-        to: c.to,
-        callAt: new Date(c.callAt).toISOString(),
-        status: c.status,
-        called: c.called
-    }));
+// Deliveries that failed every attempt
+app.get('/webhooks/dead-letters', requireDeviceToken, (req, res) => {
+    const deadLetters = webhooks.deadLettersFor(normalizePhoneNumber(req.phoneNumber));
+    res.json({ deadLetters, count: deadLetters.length });
+});
+
+app.post('/webhooks/dead-letters/:id/retry', requireDeviceToken, (req, res) => {
+    const owned = webhooks.deadLettersFor(normalizePhoneNumber(req.phoneNumber)).some(dead => dead.id === req.params.id);
+    const delivery = owned ? webhooks.requeue(req.params.id) : null;
+    if (!delivery) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ success: true, id: delivery.id });
+});
 
+// The number's reminder events, oldest first. Pass the last id seen as ?after=
+// to get only newer ones; the app uses this since it can't receive webhooks.
+app.get('/events', requireDeviceToken, (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const events = webhooks.eventsFor(normalizePhoneNumber(req.phoneNumber), { after: req.query.after, limit });
     res.json({
-        scheduledCalls: calls,
-        count: calls.length
+        events,
+        cursor: events.length ? events[events.length - 1].id : (req.query.after || null)
+    });
+});
+
+// Live events over Server-Sent Events, for the whole number or one reminder
+// (?reminderId=). Reconnecting with Last-Event-ID (or ?lastEventId=) first
+// replays what was missed.
+app.get('/events/stream', requireDeviceToken, (req, res) => {
+    const phoneNumber = normalizePhoneNumber(req.phoneNumber);
+    if (!eventStream.hasRoom(phoneNumber)) {
+        return sendLimitError(res, new LimitError('Too many open event streams for this number', {
+            code: 'too_many_streams',
+            retryAfterMs: 30000
+        }));
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    eventStream.open(req, res, {
+        phoneNumber,
+        reminderId: req.query.reminderId,
+        backlog: lastEventId ? webhooks.eventsFor(phoneNumber, { after: lastEventId, limit: 500 }) : []
     });
 });
 
+// Events emitted by other instances reach this one's streams through the store
+store.onChange((name, id, event) => {
+    if (name !== 'events' || !event) return;
+    const { phoneNumber, ...shown } = event;
+    eventStream.publish(phoneNumber, shown);
+});
+
 // Initiate outbound call immediately
-app.post('/call', async (req, res) => {
+app.post('/call', limitByIp, requireDeviceToken, limitCalls, async (req, res) => {
     try {
-        const { to, reminderTitle, reminderDescription, dueTime } = req.body;
+        const { reminderTitle, reminderDescription, dueTime, dueAt, timezone, locale, voice, audioClipId, audioMode } = req.body;
+        const to = req.body.to || req.phoneNumber;
 
-        if (!to) {
-            return res.status(400).json({ error: 'Phone number (to) is required' });
+        if (!isOwnNumber(req, to)) {
+            return res.status(403).json({ error: 'You can only call your verified phone number' });
         }
 
+        if (rejectDestination(res, to)) return;
+        usageCaps.check('calls', normalizePhoneNumber(to), clock.now());
+
         if (!reminderTitle) {
             return res.status(400).json({ error: 'Reminder title is required' });
         }
 
+        if (timezone && !isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone. Use an IANA name like "Europe/Berlin".' });
+        }
+
+        const languageError = validateCallLanguage(locale, voice);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+
+        const audioError = validateClipReference(to, audioClipId, audioMode);
+        if (audioError) {
+            return res.status(400).json({ error: audioError });
+        }
+
+        // Prefer an ISO dueAt, spoken in the user's timezone and language, over the app's preformatted dueTime
+        const dueDate = dueAt ? new Date(dueAt) : null;
+        if (dueDate && isNaN(dueDate.getTime())) {
+            return res.status(400).json({ error: 'Invalid dueAt date format. Use ISO 8601.' });
+        }
+        const spokenDue = dueDate ? formatSpokenDueTime(dueDate.getTime(), { locale, timezone }) : dueTime;
+
         // Create the call with inline TwiML
-        const call = await client.calls.create({
+        const call = await provider.placeCall({
             to: to,
-            from: twilioNumber,
-            twiml: generateTwiML(reminderTitle, reminderDescription, dueTime),
+            twiml: generateTwiML(reminderTitle, reminderDescription, spokenDue, {
+                locale,
+                voice,
+                audioUrl: playableClipUrl(audioClipId),
+                audioMode
+            }),
             statusCallback: `${baseUrl}/status`,
             statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-            statusCallbackMethod: 'POST'
+            ...machineDetectionOptions()
         });
 
+        usageCaps.record('calls', normalizePhoneNumber(to), clock.now());
+        dialsTotal.inc({ channel: 'voice', trigger: 'immediate', result: 'initiated' });
+
         // Store call info
         activeCalls.set(call.sid, {
             to,
             reminderTitle,
+            dueTime: spokenDue,
+            timezone,
+            locale,
+            voice,
+            machineDetection: MACHINE_DETECTION_ENABLED,
             status: call.status,
-            createdAt: new Date().toISOString()
+            createdAt: new Date(clock.now()).toISOString()
         });
+        store.save();
 
-        console.log(`📞 Call initiated: ${call.sid} to ${to}`);
+        logger.info('Immediate call initiated', { callSid: call.sid, phoneNumber: to });
         res.json({
             callSid: call.sid,
             status: call.status,
@@ -512,7 +3445,10 @@ app.post('/call', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error initiating call:', error);
+        if (error instanceof LimitError) {
+            return sendLimitError(res, error);
+        }
+        logger.error('Error initiating call', { phoneNumber: req.body.to || req.phoneNumber, err: error });
         res.status(500).json({
             error: 'Failed to initiate call',
             message: error.message
@@ -520,129 +3456,742 @@ app.post('/call', async (req, res) => {
     }
 });
 
-// Handle gather (keypress) responses
-app.post('/gather', (req, res) => {
-    const digits = req.body.Digits;
-    const callSid = req.body.CallSid;
+// Handle gather responses: a keypress or a spoken answer.
+// ?minutes=1 marks the answer to the "enter the number of minutes" prompt.
+app.post('/gather', validateTwilioRequest, (req, res) => {
+    const { Digits: digits, SpeechResult: speech, CallSid: callSid } = req.body;
+    const callInfo = activeCalls.get(callSid) || {};
+    const call = callLanguageFor(callSid);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const minutesEntry = req.query.minutes === '1';
 
     res.type('text/xml');
 
-    if (digits === '1') {
-        // Confirmation
-        console.log(`✅ Call ${callSid}: Reminder acknowledged`);
+    if (speech) {
+        logger.debug('Heard speech on call', { callSid, speech });
+    }
+
+    if (req.query.challenge === '1') {
+        return res.send(challengeAnswerTwiml(callSid, { digits, speech }));
+    }
+
+    const response = parseCallResponse({
+        digits,
+        speech,
+        locale: call.locale,
+        defaultSnoozeMinutes: callInfo.snoozeMinutes || DEFAULT_SNOOZE_MINUTES,
+        minutesEntry
+    });
+
+    const escalation = findScheduledForCall(callSid);
+    if (escalation && escalation.escalationOf) {
+        return res.send(escalationGatherTwiml(escalation, callSid, response, { digits, speech }));
+    }
 
+    if (response && response.action === 'acknowledge') {
         // Mark the scheduled call as completed (for cleanup)
-        const callInfo = activeCalls.get(callSid);
-        if (callInfo && callInfo.scheduledId) {
-            const scheduled = scheduledCalls.get(callInfo.scheduledId);
-            if (scheduled) {
-                scheduled.status = 'acknowledged';
-                scheduled.acknowledgedAt = new Date().toISOString();
-            }
+        const scheduled = findScheduledForCall(callSid);
+        // On any of the reminder's calls: an earlier attempt can still be connected after a retry dialed
+        if (scheduled && scheduled.challenge) {
+            return res.send(startChallenge(scheduled, callSid));
+        }
+        logger.info('Reminder acknowledged on call', scheduled ? { ...reminderFields(scheduled), callSid } : { callSid });
+        if (scheduled) {
+            recordOutcome(scheduled, callSid, 'acknowledged', { keypress: digits, speech });
+            acknowledgeReminder(scheduled);
         }
 
         res.send(`
             <Response>
-                <Say voice="Polly.Joanna">
-                    Thank you! Your reminder has been acknowledged. Have a great day!
+                <Say ${say}>
+                    ${escapeXml(messages.acknowledged)}
                 </Say>
                 <Hangup/>
             </Response>
         `);
-    } else if (digits === '2') {
-        // Snooze - schedule another call in 5 minutes
-        console.log(`⏰ Call ${callSid}: Reminder snoozed for 5 minutes`);
+    } else if (response && response.action === 'snooze') {
+        // Snooze - schedule another call after the chosen number of minutes
+        const { minutes } = response;
 
         // Find the original call info and reschedule
-        const callInfo = activeCalls.get(callSid);
-        if (callInfo && callInfo.scheduledId) {
-            const original = scheduledCalls.get(callInfo.scheduledId);
-            if (original) {
-                // Mark original as snoozed
-                original.status = 'snoozed';
-                original.snoozedAt = new Date().toISOString();
-
-                // Schedule new call in 5 minutes
-                const newId = `snooze_${Date.now()}`;
-                const newCallTime = Date.now() + (5 * 60 * 1000);
-
-                scheduledCalls.set(newId, {
-                    ...original,
-                    id: newId,
-                    callAt: newCallTime,
-                    called: false,
-                    status: 'scheduled',
-                    scheduledAt: new Date().toISOString(),
-                    snoozedFrom: callInfo.scheduledId
-                });
-
-                console.log(`📅 Rescheduled call for 5 minutes: ${newId}`);
-            }
+        const original = findScheduledForCall(callSid);
+        logger.info('Reminder snoozed on call', { ...(original ? reminderFields(original) : {}), callSid, minutes });
+        let nextCallAt = clock.now() + minutes * 60 * 1000;
+        if (original) {
+            recordOutcome(original, callSid, 'snoozed', { keypress: digits, speech });
+            nextCallAt = snoozeReminder(original, minutes).callAt;
         }
 
+        const when = formatSpokenDueTime(nextCallAt, { locale: call.locale, timezone: callInfo.timezone });
         res.send(`
             <Response>
-                <Say voice="Polly.Joanna">
-                    Got it! I will call you again in 5 minutes.
+                <Say ${say}>
+                    ${escapeXml(messages.snoozed(messages.duration(minutes), when))}
                 </Say>
                 <Hangup/>
             </Response>
         `);
+    } else if (response && response.action === 'enter-minutes') {
+        res.send(`
+            <Response>
+                <Gather input="dtmf" finishOnKey="#" action="${baseUrl}/gather?minutes=1" method="POST" timeout="10">
+                    <Say ${say}>${escapeXml(messages.enterMinutes)}</Say>
+                </Gather>
+                <Gather ${menuGatherAttributes(call)}>
+                    <Say ${say}>${escapeXml(messages.notUnderstood)}</Say>
+                </Gather>
+            </Response>
+        `);
+    } else if (!digits && !speech && !minutesEntry) {
+        // Gather timed out - the reminder was not confirmed
+        const scheduled = findScheduledForCall(callSid);
+        logger.info('No response on call', { ...(scheduled ? reminderFields(scheduled) : {}), callSid });
+        if (scheduled && scheduled.callSid === callSid) {
+            recordOutcome(scheduled, callSid, 'no-response');
+            handleUnansweredCall(scheduled, 'no-response');
+        }
+
+        res.send(noResponseTwiml(callSid));
     } else {
         res.send(`
             <Response>
-                <Say voice="Polly.Joanna">
-                    Sorry, I didn't understand that. Press 1 to confirm, or 2 to snooze.
-                </Say>
-                <Gather numDigits="1" action="${baseUrl}/gather" method="POST" timeout="10"/>
+                <Gather ${menuGatherAttributes(call)}>
+                    <Say ${say}>${escapeXml(messages.notUnderstood)}</Say>
+                </Gather>
+            </Response>
+        `);
+    }
+});
+
+// A backup contact's answer: 1 (or "done") takes the reminder on and ends the
+// escalation, silence hands over to the next contact, anything else asks again
+function escalationGatherTwiml(scheduled, callSid, response, { digits, speech }) {
+    const call = callLanguageFor(callSid);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+
+    if (response && response.action === 'acknowledge') {
+        logger.info('Reminder acknowledged by backup contact', { ...reminderFields(scheduled), callSid });
+        recordOutcome(scheduled, callSid, 'acknowledged', { keypress: digits, speech });
+        acknowledgeReminder(scheduled);
+        return `
+            <Response>
+                <Say ${say}>${escapeXml(messages.escalationAcknowledged)}</Say>
+                <Hangup/>
+            </Response>
+        `;
+    }
+
+    if (!digits && !speech) {
+        logger.info('No response from backup contact', { ...reminderFields(scheduled), callSid });
+        if (scheduled.callSid === callSid) {
+            recordOutcome(scheduled, callSid, 'no-response');
+            handleUnansweredCall(scheduled, 'no-response');
+        }
+        return noResponseTwiml(callSid);
+    }
+
+    return `
+        <Response>
+            <Gather ${menuGatherAttributes(call, { snooze: false })}>
+                <Say ${say}>${escapeXml(messages.escalationNotUnderstood)}</Say>
+            </Gather>
+        </Response>
+    `;
+}
+
+// ============================================
+// WAKE-UP CHALLENGES - A 1 only counts once a problem is solved (see lib/challenge.js)
+// ============================================
+// Reminders posted with a challenge answer "done" with a question instead.
+// The question and its answer live on the call (activeCalls) while it is
+// answered; the attempt keeps the result:
+//   challenge: { type, status: 'pending' | 'solved' | 'failed' | 'abandoned', wrongAnswers, startedAt, endedAt }
+// A wrong answer or silence asks again. Too many wrong answers, or hanging up
+// before solving it, calls back after the reminder's snooze time whatever the
+// retry policy says; after MAX_CHALLENGE_FOLLOW_UPS of those the retry policy
+// decides, and escalation follows as for any unconfirmed reminder.
+
+const MAX_CHALLENGE_WRONG_ANSWERS = 3;
+const MAX_CHALLENGE_FOLLOW_UPS = 5;
+
+// The question, optionally led by a sentence ("That's not right...")
+function challengeGatherTwiml(callSid, lead) {
+    const { challenge } = activeCalls.get(callSid);
+    const call = callLanguageFor(callSid);
+    const say = `voice="${call.voice}" language="${call.language}"`;
+
+    return `
+        <Response>
+            ${lead ? `<Say ${say}>${escapeXml(lead)}</Say>` : ''}
+            <Gather input="dtmf speech" finishOnKey="#" action="${baseUrl}/gather?challenge=1" method="POST" timeout="10" speechTimeout="auto" language="${call.language}" actionOnEmptyResult="true">
+                <Say ${say}>${escapeXml(challengePrompt(challenge, call.messages))}</Say>
+            </Gather>
+        </Response>
+    `;
+}
+
+// The user pressed 1 or said done: ask the question instead of acknowledging
+function startChallenge(scheduled, callSid) {
+    const callInfo = activeCalls.get(callSid);
+    callInfo.challenge = { ...createChallenge(scheduled.challenge), status: 'pending', wrongAnswers: 0 };
+
+    const attempt = findAttempt(scheduled, callSid);
+    if (attempt) {
+        attempt.challenge = { type: scheduled.challenge, status: 'pending', wrongAnswers: 0, startedAt: new Date(clock.now()).toISOString() };
+    }
+    store.save();
+
+    logger.info('Wake-up challenge started', { ...reminderFields(scheduled), callSid, challenge: scheduled.challenge });
+    return challengeGatherTwiml(callSid, callLanguageFor(callSid).messages.challengeIntro);
+}
+
+// Close the challenge of a call as 'solved', 'failed' or 'abandoned'
+function endChallenge(scheduled, callSid, status) {
+    const callInfo = activeCalls.get(callSid) || {};
+    if (callInfo.challenge) callInfo.challenge.status = status;
+
+    const attempt = findAttempt(scheduled, callSid);
+    if (attempt && attempt.challenge) {
+        attempt.challenge.status = status;
+        attempt.challenge.wrongAnswers = callInfo.challenge ? callInfo.challenge.wrongAnswers : attempt.challenge.wrongAnswers;
+        attempt.challenge.endedAt = new Date(clock.now()).toISOString();
+    }
+}
+
+// Call again after an unsolved challenge. Returns the minutes until the call,
+// or null once follow-ups ran out and the retry policy took over.
+function followUpChallenge(scheduled, outcome) {
+    const followUps = (scheduled.attempts || [])
+        .filter(attempt => attempt.challenge && ['failed', 'abandoned'].includes(attempt.challenge.status)).length;
+    if (followUps > MAX_CHALLENGE_FOLLOW_UPS) {
+        handleUnansweredCall(scheduled, outcome);
+        return null;
+    }
+
+    const minutes = scheduled.snoozeMinutes || DEFAULT_SNOOZE_MINUTES;
+    scheduled.lastOutcome = outcome;
+    scheduled.called = false;
+    scheduled.status = 'retry-scheduled';
+    scheduled.callAt = clock.now() + minutes * 60 * 1000;
+    armReminder(scheduled);
+    store.save();
+
+    emitReminderEvent('failed', scheduled, { outcome, retryAt: new Date(scheduled.callAt).toISOString() });
+    logger.info('Calling back after unsolved challenge', { ...reminderFields(scheduled), outcome, retryInSeconds: minutes * 60 });
+    return minutes;
+}
+
+// An answer to the challenge (?challenge=1): right acknowledges the reminder,
+// wrong or silent asks again until MAX_CHALLENGE_WRONG_ANSWERS
+function challengeAnswerTwiml(callSid, { digits, speech }) {
+    const callInfo = activeCalls.get(callSid) || {};
+    const scheduled = findScheduledForCall(callSid);
+    const call = callLanguageFor(callSid);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+    const { challenge } = callInfo;
+
+    if (!scheduled || !challenge || challenge.status !== 'pending') {
+        return noResponseTwiml(callSid);
+    }
+
+    if (checkChallengeAnswer(challenge, { digits, speech })) {
+        endChallenge(scheduled, callSid, 'solved');
+        recordOutcome(scheduled, callSid, 'acknowledged', { keypress: digits, speech });
+        acknowledgeReminder(scheduled);
+        logger.info('Reminder acknowledged after wake-up challenge', { ...reminderFields(scheduled), callSid, wrongAnswers: challenge.wrongAnswers });
+        return `
+            <Response>
+                <Say ${say}>${escapeXml(messages.acknowledged)}</Say>
+                <Hangup/>
+            </Response>
+        `;
+    }
+
+    challenge.wrongAnswers++;
+    const attempt = findAttempt(scheduled, callSid);
+    if (attempt && attempt.challenge) attempt.challenge.wrongAnswers = challenge.wrongAnswers;
+    logger.info('Wrong challenge answer', { ...reminderFields(scheduled), callSid, wrongAnswers: challenge.wrongAnswers });
+
+    if (challenge.wrongAnswers < MAX_CHALLENGE_WRONG_ANSWERS) {
+        store.save();
+        return challengeGatherTwiml(callSid, messages.challengeWrong);
+    }
+
+    endChallenge(scheduled, callSid, 'failed');
+    recordOutcome(scheduled, callSid, 'challenge-failed', { keypress: digits, speech });
+    // An earlier attempt failing must not re-queue a reminder its retry is handling
+    let minutes = null;
+    if (scheduled.callSid === callSid && scheduled.called) {
+        minutes = followUpChallenge(scheduled, 'challenge-failed');
+    } else {
+        store.save();
+    }
+    return `
+        <Response>
+            <Say ${say}>${escapeXml(minutes ? messages.challengeFailed(messages.duration(minutes)) : messages.noResponse)}</Say>
+            <Hangup/>
+        </Response>
+    `;
+}
+
+// Inbound text replies: DONE, SNOOZE [minutes], STOP / START
+// (configure this URL as the Twilio number's "A message comes in" webhook)
+app.post('/sms', validateTwilioRequest, (req, res) => {
+    const from = req.body.From;
+    const text = String(req.body.Body || '').trim().toUpperCase();
+    const words = text.split(/\s+/);
+
+    res.type('text/xml');
+    const reply = message => res.send(`
+            <Response>
+                ${message ? `<Message>${escapeXml(message)}</Message>` : ''}
+            </Response>
+        `);
+
+    logger.info('SMS received', { phoneNumber: from, text });
+
+    if (SMS_STOP_KEYWORDS.includes(words[0])) {
+        // Twilio sends the carrier opt-out confirmation itself
+        smsOptOuts.set(normalizePhoneNumber(from), { optedOutAt: new Date(clock.now()).toISOString() });
+        store.save();
+        return reply(null);
+    }
+
+    if (SMS_START_KEYWORDS.includes(words[0])) {
+        smsOptOuts.delete(normalizePhoneNumber(from));
+        store.save();
+        return reply(null);
+    }
+
+    const scheduled = findReminderAwaitingReply(from);
+    const snoozeMinutes = parseSnoozeReply(words, scheduled && scheduled.snoozeMinutes);
+    // Replies speak the reminder's language, or that of the number's latest one
+    const { messages } = getCallLanguage((scheduled || callerLanguage(from)).locale);
+
+    if (SMS_DONE_KEYWORDS.includes(words[0])) {
+        if (!scheduled) {
+            return reply(messages.smsNothingPending);
+        }
+        recordReplyOutcome(scheduled, 'acknowledged');
+        acknowledgeReminder(scheduled);
+        logger.info('Reminder acknowledged by SMS', reminderFields(scheduled));
+        return reply(messages.smsAcknowledged(scheduled.reminderTitle));
+    }
+
+    if (snoozeMinutes) {
+        if (!scheduled) {
+            return reply(messages.smsNothingPending);
+        }
+        recordReplyOutcome(scheduled, 'snoozed');
+        snoozeReminder(scheduled, snoozeMinutes);
+        logger.info('Reminder snoozed by SMS', { ...reminderFields(scheduled), minutes: snoozeMinutes });
+        return reply(messages.smsSnoozed(messages.duration(snoozeMinutes)));
+    }
+
+    reply(messages.smsHelp);
+});
+
+// Inbound calls to the Remind Line
+// (configure this URL as the Twilio number's "A call comes in" webhook)
+app.post('/voice', validateTwilioRequest, (req, res) => {
+    const { CallSid: callSid, From: from } = req.body;
+    const reminders = remindersForCaller(from);
+    const missed = reminders.filter(item => item.missed).length;
+
+    activeCalls.set(callSid, {
+        to: from,
+        direction: 'inbound',
+        ...callerLanguage(from),
+        reminders,
+        status: 'in-progress',
+        createdAt: new Date(clock.now()).toISOString()
+    });
+    store.save();
+
+    logger.info('Remind Line call', { callSid, phoneNumber: from, missed, upcoming: reminders.length - missed });
+
+    const { messages, voice, language } = callLanguageFor(callSid);
+    const say = `voice="${voice}" language="${language}"`;
+
+    res.type('text/xml');
+    if (!reminders.length) {
+        return res.send(`
+            <Response>
+                <Say ${say}>${escapeXml(messages.lineGreeting)}</Say>
+                <Say ${say}>${escapeXml(messages.lineNoReminders)}</Say>
+                <Hangup/>
+            </Response>
+        `);
+    }
+
+    res.send(`
+        <Response>
+            <Say ${say}>${escapeXml(messages.lineGreeting)}</Say>
+            <Say ${say}>${escapeXml(messages.lineSummary(missed, reminders.length - missed))}</Say>
+            <Redirect method="POST">${baseUrl}/voice/reminder?index=0</Redirect>
+        </Response>
+    `);
+});
+
+// Read out one reminder of a Remind Line call
+app.post('/voice/reminder', validateTwilioRequest, (req, res) => {
+    const index = parseInt(req.query.index, 10) || 0;
+    res.type('text/xml').send(remindLineItemTwiml(req.body.CallSid, index));
+});
+
+// Keypress for the reminder just read: 1 = acknowledge, 2 = snooze (missed only),
+// 3 = cancel, 9 or silence = next
+app.post('/voice/action', validateTwilioRequest, (req, res) => {
+    const { CallSid: callSid, Digits: digits } = req.body;
+    const index = parseInt(req.query.index, 10) || 0;
+    const callInfo = activeCalls.get(callSid) || {};
+    const item = (callInfo.reminders || [])[index];
+    const scheduled = item && scheduledCalls.get(item.id);
+    const call = callLanguageFor(callSid);
+    const { messages } = call;
+    const say = `voice="${call.voice}" language="${call.language}"`;
+
+    // The caller's own number is re-checked in case the reminder changed hands
+    const usable = scheduled && normalizePhoneNumber(scheduled.to) === normalizePhoneNumber(callInfo.to);
+    const next = `<Redirect method="POST">${baseUrl}/voice/reminder?index=${index + 1}</Redirect>`;
+    let reply;
+
+    res.type('text/xml');
+
+    if (usable && digits === '1') {
+        recordReplyOutcome(scheduled, 'acknowledged', 'remind-line');
+        acknowledgeReminder(scheduled);
+        // Acknowledged before it was dialed: the series still needs its next occurrence
+        advanceSeries(scheduled);
+        logger.info('Reminder acknowledged on Remind Line', { ...reminderFields(scheduled), callSid });
+        reply = messages.lineDone;
+    } else if (usable && digits === '2' && item.missed) {
+        const minutes = scheduled.snoozeMinutes || DEFAULT_SNOOZE_MINUTES;
+        recordReplyOutcome(scheduled, 'snoozed', 'remind-line');
+        const snoozed = snoozeReminder(scheduled, minutes);
+        logger.info('Reminder snoozed on Remind Line', { ...reminderFields(scheduled), callSid, minutes });
+        reply = messages.snoozed(
+            messages.duration(minutes),
+            formatSpokenDueTime(snoozed.callAt, { locale: call.locale, timezone: scheduled.timezone })
+        );
+    } else if (usable && digits === '3') {
+        cancelScheduledReminder(scheduled);
+        logger.info('Reminder cancelled on Remind Line', { ...reminderFields(scheduled), callSid });
+        reply = messages.lineCancelled;
+    } else if (usable && digits && digits !== '9') {
+        return res.send(`
+            <Response>
+                <Say ${say}>${escapeXml(messages.lineNotUnderstood)}</Say>
+                <Redirect method="POST">${baseUrl}/voice/reminder?index=${index}</Redirect>
             </Response>
         `);
     }
+
+    res.send(`
+        <Response>
+            ${reply ? `<Say ${say}>${escapeXml(reply)}</Say>` : ''}
+            ${next}
+        </Response>
+    `);
 });
 
 // Status callback from Twilio
-app.post('/status', (req, res) => {
+app.post('/status', validateTwilioRequest, (req, res) => {
     const { CallSid, CallStatus } = req.body;
 
     if (activeCalls.has(CallSid)) {
         const callInfo = activeCalls.get(CallSid);
         callInfo.status = CallStatus;
-        callInfo.updatedAt = new Date().toISOString();
-
-        console.log(`📊 Call ${CallSid} status: ${CallStatus}`);
+        callInfo.updatedAt = new Date(clock.now()).toISOString();
 
         // Update the scheduled call status too
-        if (callInfo.scheduledId && scheduledCalls.has(callInfo.scheduledId)) {
-            const scheduled = scheduledCalls.get(callInfo.scheduledId);
-            if (CallStatus === 'completed' && scheduled.status !== 'acknowledged') {
-                scheduled.status = 'completed';
-            } else if (['failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
+        const scheduled = findScheduledForCall(CallSid);
+        logger.info('Call status', { ...(scheduled ? reminderFields(scheduled) : {}), callSid: CallSid, status: CallStatus });
+
+        if (TERMINAL_CALL_STATUSES.includes(CallStatus) && !callInfo.endedAt) {
+            callInfo.endedAt = callInfo.updatedAt;
+            callsTotal.inc({ status: CallStatus });
+        }
+        if (scheduled) {
+            const attempt = findAttempt(scheduled, CallSid);
+            if (attempt) {
+                attempt.status = CallStatus;
+                if (CallStatus === 'ringing' && !attempt.ringingAt) {
+                    attempt.ringingAt = new Date(clock.now()).toISOString();
+                    emitReminderEvent('ringing', scheduled);
+                }
+                if (CallStatus === 'in-progress' && !attempt.answeredAt) {
+                    attempt.answeredAt = new Date(clock.now()).toISOString();
+                    emitReminderEvent('answered', scheduled);
+                }
+                if (TERMINAL_CALL_STATUSES.includes(CallStatus)) {
+                    attempt.endedAt = new Date(clock.now()).toISOString();
+                    attempt.duration = req.body.CallDuration ? Number(req.body.CallDuration) : undefined;
+                }
+            }
+
+            // Callbacks for an earlier attempt must not touch a re-queued reminder
+            const isCurrentCall = scheduled.callSid === CallSid && scheduled.called;
+
+            if (isCurrentCall && CallStatus === 'completed' && ['calling', 'initiated'].includes(scheduled.status)) {
+                if (callInfo.challenge && callInfo.challenge.status === 'pending') {
+                    // Hung up before solving the challenge: call again
+                    endChallenge(scheduled, CallSid, 'abandoned');
+                    if (attempt) attempt.outcome = 'challenge-abandoned';
+                    followUpChallenge(scheduled, 'challenge-abandoned');
+                } else {
+                    scheduled.status = 'completed';
+                    // Hung up without pressing 1: backup contacts still hear about it
+                    escalateReminder(scheduled);
+                }
+            } else if (isCurrentCall && UNANSWERED_OUTCOMES.includes(CallStatus)) {
+                if (attempt) attempt.outcome = CallStatus;
+                handleUnansweredCall(scheduled, CallStatus);
+            } else if (isCurrentCall && CallStatus === 'canceled') {
                 scheduled.status = CallStatus;
             }
         }
 
+        if (callInfo.clipId && TERMINAL_CALL_STATUSES.includes(CallStatus)) {
+            endRecordingCall(callInfo, CallStatus);
+        }
+
+        store.save();
+
         // Remove from activeCalls after terminal states (with delay for final updates)
-        if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
-            setTimeout(() => activeCalls.delete(CallSid), 60000);  // 1 minute delay
+        if (TERMINAL_CALL_STATUSES.includes(CallStatus)) {
+            setTimeout(() => {
+                activeCalls.delete(CallSid);
+                store.save();
+            }, 60000);  // 1 minute delay
         }
     }
 
     res.sendStatus(200);
 });
 
-// Get call status
-app.get('/call/status/:callSid', (req, res) => {
+// Answering machine detection result (asyncAmdStatusCallback of outbound calls).
+// A machine gets the voicemail and the attempt counts as unanswered; if the
+// menu already timed out on the greeting, that outcome is corrected to voicemail.
+app.post('/amd', validateTwilioRequest, async (req, res) => {
+    const { CallSid: callSid, AnsweredBy: answeredBy } = req.body;
+    const callInfo = activeCalls.get(callSid);
+    res.sendStatus(200);
+
+    if (!callInfo || callInfo.answeredBy) return;
+    callInfo.answeredBy = answeredBy;
+
+    const scheduled = findScheduledForCall(callSid);
+    logger.info('Answering machine detection', { ...(scheduled ? reminderFields(scheduled) : {}), callSid, answeredBy });
+
+    if (!MACHINE_ANSWERS.includes(answeredBy)) {
+        store.save();
+        return;
+    }
+
+    if (scheduled) {
+        const attempt = findAttempt(scheduled, callSid);
+        if (attempt) attempt.answeredBy = answeredBy;
+
+        if (attempt && attempt.outcome === 'no-response') {
+            attempt.outcome = 'voicemail';
+            if (scheduled.callSid === callSid) scheduled.lastOutcome = 'voicemail';
+        } else if (scheduled.callSid === callSid && scheduled.called && ['calling', 'initiated'].includes(scheduled.status)) {
+            recordOutcome(scheduled, callSid, 'voicemail');
+            handleUnansweredCall(scheduled, 'voicemail');
+        }
+    }
+    store.save();
+
+    try {
+        await provider.updateCall({ sid: callSid, twiml: generateVoicemailTwiML(callSid) });
+        logger.info('Left voicemail', { ...(scheduled ? reminderFields(scheduled) : {}), callSid });
+    } catch (error) {
+        // The call may have ended before the beep
+        logger.warn('Could not leave voicemail', { ...(scheduled ? reminderFields(scheduled) : {}), callSid, err: error });
+    }
+});
+
+// Get call status (only for calls to the device's own number)
+app.get('/call/status/:callSid', requireDeviceToken, (req, res) => {
     const { callSid } = req.params;
 
-    if (activeCalls.has(callSid)) {
+    if (activeCalls.has(callSid) && isOwnNumber(req, activeCalls.get(callSid).to)) {
         res.json(activeCalls.get(callSid));
     } else {
         res.status(404).json({ error: 'Call not found' });
     }
 });
 
+// ============================================
+// ADMIN DASHBOARD - Operator view of every number's reminders
+// ============================================
+// GET /admin serves the dashboard page; it works against the JSON routes
+// under /admin/api. Everything under /admin needs the admin password
+// (see lib/adminAuth.js).
+app.use('/admin', requireAdmin);
+
+const ADMIN_SEARCH_LIMIT = 200;
+
+function adminSummary(entry, archived = false) {
+    return {
+        id: entry.id,
+        reminderId: clientReminderId(entry),
+        to: entry.to,
+        reminderTitle: entry.reminderTitle,
+        status: entry.status,
+        channel: entry.channel || 'voice',
+        callAt: new Date(entry.callAt).toISOString(),
+        called: entry.called,
+        attempts: (entry.attempts || []).length,
+        lastOutcome: entry.lastOutcome,
+        seriesId: entry.seriesId,
+        lease: entry.lease,
+        archived
+    };
+}
+
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin', 'dashboard.html'));
+});
+
+// Search reminders: ?q= matches a number, id or title; ?status= filters by
+// status; ?history=1 includes reminders that already left scheduledCalls
+app.get('/admin/api/calls', (req, res) => {
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const digits = query.replace(/[^\d]/g, '');
+    const { status } = req.query;
+
+    const matches = entry => {
+        if (status && entry.status !== status) return false;
+        if (!query) return true;
+        return (digits.length >= 3 && normalizePhoneNumber(entry.to).includes(digits)) ||
+            String(entry.id).toLowerCase().includes(query) ||
+            String(entry.reminderTitle || '').toLowerCase().includes(query);
+    };
+
+    const live = Array.from(scheduledCalls.values()).filter(matches).map(entry => adminSummary(entry));
+    const archived = req.query.history === '1'
+        ? history.all().filter(entry => !scheduledCalls.has(entry.id) && matches(entry)).map(entry => adminSummary(entry, true))
+        : [];
+
+    const calls = [...live, ...archived].sort((a, b) => b.callAt.localeCompare(a.callAt));
+    res.json({
+        calls: calls.slice(0, ADMIN_SEARCH_LIMIT),
+        total: calls.length,
+        truncated: calls.length > ADMIN_SEARCH_LIMIT
+    });
+});
+
+// One reminder with its attempts and timeline
+app.get('/admin/api/calls/:id', (req, res) => {
+    const entry = findReminderRecord(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    const series = entry.seriesId && recurringSeries.get(entry.seriesId);
+    res.json({
+        ...reminderDetail(entry),
+        reminderId: clientReminderId(entry),
+        called: entry.called,
+        lease: entry.lease,
+        retryPolicy: entry.retryPolicy,
+        series: series ? { id: series.id, status: series.status, recurrence: describeRecurrence(series.recurrence) } : undefined,
+        live: scheduledCalls.get(entry.id) === entry
+    });
+});
+
+// A live entry an operator may act on, or an error response
+function adminActionTarget(req, res) {
+    const scheduled = scheduledCalls.get(req.params.id);
+    if (!scheduled) {
+        res.status(404).json({ error: 'Reminder not found or no longer scheduled' });
+        return null;
+    }
+    if (IN_FLIGHT_STATUSES.includes(scheduled.status) || leaseHeld(scheduled)) {
+        res.status(409).json({ error: 'Reminder is being dialed right now', code: 'in_flight' });
+        return null;
+    }
+    return scheduled;
+}
+
+app.post('/admin/api/calls/:id/cancel', (req, res) => {
+    const scheduled = adminActionTarget(req, res);
+    if (!scheduled) return;
+    if (scheduled.called) {
+        return res.status(409).json({ error: 'Reminder already ran; there is nothing left to cancel', code: 'already_called' });
+    }
+
+    cancelScheduledReminder(scheduled);
+    logger.info('Admin cancelled reminder', { ...reminderFields(scheduled), admin: req.admin });
+    res.json({ success: true, reminder: reminderDetail(scheduled) });
+});
+
+// Dial (or text) a reminder now, ahead of its time or once more after it ran.
+// Quiet hours are skipped; destination rules and usage caps still apply.
+app.post('/admin/api/calls/:id/dial', (req, res) => {
+    const scheduled = adminActionTarget(req, res);
+    if (!scheduled) return;
+
+    const now = clock.now();
+    store.transaction(() => {
+        scheduled.called = false;
+        scheduled.status = 'scheduled';
+        scheduled.callAt = now;
+    });
+    logger.info('Admin force-dialed reminder', { ...reminderFields(scheduled), admin: req.admin });
+
+    const dialed = dispatchReminder(scheduled.id, now, { force: true });
+    if (!dialed) {
+        return res.status(409).json({ error: 'Another instance is dialing this reminder', code: 'in_flight' });
+    }
+    armReminder(dialed);  // Drop the timer left at its old time
+    res.json({ success: true, reminder: reminderDetail(dialed) });
+});
+
+// What the scheduler is doing: armed timers, what is due next, what is in flight
+app.get('/admin/api/scheduler', (req, res) => {
+    ensureSchedulerRunning();
+    const now = clock.now();
+    const entries = Array.from(scheduledCalls.values());
+    const pending = entries.filter(entry => !entry.called).sort((a, b) => a.callAt - b.callAt);
+    const next = reminderTimers.peek();
+    const memory = process.memoryUsage();
+
+    res.json({
+        instance: INSTANCE_ID,
+        shared: store.shared,
+        now: new Date(now).toISOString(),
+        uptimeSeconds: Math.floor(process.uptime()),
+        armed: reminderTimers.size,
+        next: next ? { id: next.id, at: new Date(next.at).toISOString() } : null,
+        pending: pending.length,
+        overdue: pending.filter(entry => entry.callAt < now - 60 * 1000).length,
+        upcoming: pending.slice(0, 25).map(entry => adminSummary(entry)),
+        inFlight: entries
+            .filter(entry => IN_FLIGHT_STATUSES.includes(entry.status) || entry.lease)
+            .map(entry => adminSummary(entry)),
+        activeCalls: Array.from(activeCalls.entries()).map(([callSid, call]) => ({
+            callSid,
+            to: call.to,
+            direction: call.direction || 'outbound',
+            status: call.status,
+            scheduledId: call.scheduledId,
+            createdAt: call.createdAt
+        })),
+        store: Object.fromEntries(store.names().map(name => [name, store.collection(name).size])),
+        webhookDeliveriesQueued: store.collection('webhookDeliveries').size,
+        eventStreamClients: eventStream.size,
+        memory: { rss: memory.rss, heapUsed: memory.heapUsed, heapTotal: memory.heapTotal }
+    });
+});
+
 // Debug endpoint - get memory stats
-app.get('/debug/stats', (req, res) => {
+app.get('/debug/stats', requireAdmin, (req, res) => {
     const memUsage = process.memoryUsage();
     res.json({
         memory: {
@@ -656,8 +4205,13 @@ app.get('/debug/stats', (req, res) => {
     });
 });
 
-// Serve static audio files
-app.use('/audio', express.static('audio'));
+// Local-only routes that play Twilio's side of calls and texts
+if (useFakeProvider) {
+    app.use(provider.createRouter());
+}
+
+// Serve static audio files (Twilio fetches clips for <Play> from here)
+app.use('/audio', express.static(AUDIO_DIRECTORY));
 
 // Helper function to escape XML special characters
 function escapeXml(text) {
@@ -672,23 +4226,32 @@ function escapeXml(text) {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('🛑 SIGTERM received. Shutting down gracefully...');
-    clearInterval(schedulerInterval);
+    logger.info('SIGTERM received, shutting down');
+    reminderTimers.stop();
+    store.flush();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
-    console.log('🛑 SIGINT received. Shutting down gracefully...');
-    clearInterval(schedulerInterval);
+    logger.info('SIGINT received, shutting down');
+    reminderTimers.stop();
+    store.flush();
     process.exit(0);
 });
 
 // Start server
-const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-    console.log(`🚀 NoForget Twilio backend running on port ${PORT}`);
-    console.log(`📞 Twilio number: ${twilioNumber}`);
-    console.log(`🌐 Base URL: ${baseUrl}`);
-    console.log(`📅 Scheduler active - checking for due calls every 30 seconds`);
-    console.log(`🧹 Cleanup runs every 5 minutes`);
+    const next = reminderTimers.peek();
+    logger.info('NoForget backend running', {
+        port: Number(PORT),
+        provider: provider.name,
+        twilioNumber,
+        baseUrl,
+        instance: INSTANCE_ID,
+        nextReminderAt: next ? new Date(next.at).toISOString() : null,
+        cleanupIntervalSeconds: CLEANUP_INTERVAL / 1000
+    });
+    if (!signatureValidationEnabled) {
+        logger.warn('Twilio webhook signature validation is OFF');
+    }
 });
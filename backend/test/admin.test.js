@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdminAuth, parseBasicAuth, CSRF_HEADER } = require('../lib/adminAuth');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550120';
+const PASSWORD = 'correct horse';
+
+const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+test('Basic credentials are parsed, and repeated wrong ones lock the address out', () => {
+    assert.deepEqual(parseBasicAuth(basic('admin', 'a:b')), { username: 'admin', password: 'a:b' });
+    assert.equal(parseBasicAuth('Bearer abc'), null);
+
+    const { requireAdmin } = createAdminAuth({ password: PASSWORD, maxFailures: 2 });
+    const attempt = password => {
+        const answer = { headers: {} };
+        const req = { ip: '10.0.0.1', method: 'GET', originalUrl: '/admin', get: () => basic('admin', password) };
+        const res = {
+            set: (name, value) => { answer.headers[name] = value; },
+            status: code => ({ json: body => Object.assign(answer, { code, body }) })
+        };
+        requireAdmin(req, res, () => Object.assign(answer, { code: 'next', admin: req.admin }));
+        return answer;
+    };
+
+    assert.deepEqual(attempt(PASSWORD), { headers: {}, code: 'next', admin: 'admin' });
+    assert.equal(attempt('guess 1').code, 401);
+    assert.equal(attempt('guess 2').code, 401);
+    const locked = attempt(PASSWORD);
+    assert.equal(locked.code, 429);
+    assert.equal(locked.body.code, 'admin_locked');
+});
+
+test('the admin routes are off without ADMIN_PASSWORD', async () => {
+    const server = await startServer();
+    try {
+        assert.equal((await server.request('GET', '/admin/api/calls')).status, 404);
+        assert.equal((await server.request('GET', '/debug/stats')).status, 404);
+    } finally {
+        await server.close();
+    }
+});
+
+test('operators sign in, and changes need the CSRF header', async () => {
+    const server = await startServer({ env: { ADMIN_PASSWORD: PASSWORD } });
+    try {
+        const signedIn = { Authorization: basic('admin', PASSWORD) };
+        const missing = await server.request('GET', '/admin/api/calls');
+        assert.equal(missing.status, 401);
+        assert.match(missing.headers.get('www-authenticate'), /^Basic realm="NoForget admin"/);
+        assert.equal((await server.request('GET', '/admin/api/calls', { headers: { Authorization: basic('admin', 'nope') } })).status, 401);
+
+        const token = await server.token(PHONE);
+        for (const reminderId of ['cancel-me', 'dial-me']) {
+            await server.request('POST', '/schedule', {
+                token,
+                body: { reminderId, reminderTitle: reminderId, callAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+            });
+        }
+
+        const { body: search } = await server.request('GET', '/admin/api/calls?q=cancel', { headers: signedIn });
+        assert.deepEqual(search.calls.map(call => call.id), ['cancel-me']);
+
+        // A cross-site form post carries the credentials but can't add the header
+        const forged = await server.request('POST', '/admin/api/calls/cancel-me/cancel', { headers: signedIn });
+        assert.equal(forged.status, 403);
+        assert.equal((await server.reminder('cancel-me', token)).status, 'scheduled');
+
+        const withHeader = { ...signedIn, [CSRF_HEADER]: '1' };
+        const cancelled = await server.request('POST', '/admin/api/calls/cancel-me/cancel', { headers: withHeader });
+        assert.equal(cancelled.status, 200);
+        assert.equal((await server.reminder('cancel-me', token)).status, 'cancelled');
+
+        assert.equal((await server.request('POST', '/admin/api/calls/dial-me/dial', { headers: withHeader })).status, 200);
+        const call = await server.call(PHONE);
+        assert.match(call.twiml, /dial-me/);
+    } finally {
+        await server.close();
+    }
+});
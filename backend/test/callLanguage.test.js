@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatSpokenDueTime } = require('../lib/messages');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550107';
+const DAY = 24 * 60 * 60 * 1000;
+
+test('calls speak the due time in the reminder\'s timezone and language', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const dueAt = new Date(Date.now() + 3 * DAY).toISOString();
+        const posted = await server.request('POST', '/call', {
+            token,
+            body: { reminderTitle: 'Zahnarzt', dueAt, timezone: 'Asia/Tokyo', locale: 'de-DE' }
+        });
+        assert.equal(posted.status, 200);
+
+        const { twiml } = await server.call(PHONE);
+        const spoken = formatSpokenDueTime(Date.parse(dueAt), { locale: 'de-DE', timezone: 'Asia/Tokyo' });
+        assert.match(spoken, /^[A-Z][a-z]+, \d+\. [A-Z][a-zä]+ um \d+:\d{2}$/);
+        assert.ok(twiml.includes(spoken), twiml);
+        assert.match(twiml, /language="de-DE"/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects unknown timezones, locales and voices', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const post = body => server.request('POST', '/schedule', {
+            token,
+            body: { reminderTitle: 'Walk', callAt: new Date(Date.now() + DAY).toISOString(), ...body }
+        });
+
+        assert.match((await post({ timezone: 'Mars/Olympus' })).body.error, /Invalid timezone/);
+        assert.match((await post({ locale: 'not a locale' })).body.error, /Invalid locale/);
+        assert.match((await post({ locale: 'de-DE', voice: 'Polly.Joanna' })).body.error, /voice must be one of/);
+        assert.equal((await post({ locale: 'fr-FR', timezone: 'Europe/Paris' })).status, 200);
+    } finally {
+        await server.close();
+    }
+});
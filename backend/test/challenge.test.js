@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChallenge, checkChallengeAnswer } = require('../lib/challenge');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550124';
+
+test('challenges are answered by their digits, typed or spoken', () => {
+    const math = createChallenge('math');
+    const [a, b] = math.operands;
+    assert.equal(checkChallengeAnswer(math, { digits: `${a + b}#` }), true);
+    assert.equal(checkChallengeAnswer(math, { speech: `${a + b}.` }), true);
+    assert.equal(checkChallengeAnswer(math, { digits: '' }), false);
+
+    const code = createChallenge('code');
+    assert.match(code.code, /^\d{4}$/);
+    assert.equal(checkChallengeAnswer(code, { digits: code.code }), true);
+});
+
+// A code challenge reminder whose first call went unanswered and was retried,
+// with the first call still connected. Returns both calls.
+async function retriedWhileConnected(server) {
+    const token = await server.token(PHONE);
+    await server.request('POST', '/schedule', {
+        token,
+        body: { reminderId: 'alarm', reminderTitle: 'Wake up', callAt: new Date().toISOString(), challenge: 'code', retryPolicy: { maxAttempts: 2 } }
+    });
+
+    const first = await server.call(PHONE);
+    await server.request('POST', `/fake/calls/${first.sid}/status`, { body: { status: 'in-progress' } });
+    await server.request('POST', `/fake/calls/${first.sid}/gather`, { body: { digits: '' } });
+    const second = await server.call(PHONE, 2);
+    return { token, first, second };
+}
+
+const codeIn = twiml => twiml.match(/(\d), (\d), (\d), (\d)/).slice(1).join('');
+
+test('pressing 1 on an earlier call still connected asks the challenge too', async () => {
+    const server = await startServer();
+    try {
+        const { token, first } = await retriedWhileConnected(server);
+
+        const pressed = await server.request('POST', `/fake/calls/${first.sid}/gather`, { body: { digits: '1' } });
+        assert.match(pressed.body.body, /gather\?challenge=1/);
+        assert.notEqual((await server.reminder('alarm', token)).status, 'acknowledged');
+
+        await server.request('POST', `/fake/calls/${first.sid}/gather`, { body: { digits: `${codeIn(pressed.body.body)}#` } });
+        const alarm = await server.reminder('alarm', token);
+        assert.equal(alarm.status, 'acknowledged');
+        assert.equal(alarm.attempts[0].challenge.status, 'solved');
+    } finally {
+        await server.close();
+    }
+});
+
+test('failing the challenge on an earlier call leaves the retry in charge', async () => {
+    const server = await startServer();
+    try {
+        const { token, first, second } = await retriedWhileConnected(server);
+
+        await server.request('POST', `/fake/calls/${first.sid}/gather`, { body: { digits: '1' } });
+        let answer;
+        for (let i = 0; i < 3; i++) {
+            answer = await server.request('POST', `/fake/calls/${first.sid}/gather`, { body: { digits: '0#' } });
+        }
+        assert.match(answer.body.body, /<Hangup\/>/);
+
+        const alarm = await server.reminder('alarm', token);
+        assert.equal(alarm.attempts[0].challenge.status, 'failed');
+        assert.equal(alarm.attempts[1].callSid, second.sid);
+        assert.equal(alarm.status, 'initiated');
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAudioFormat } = require('../lib/audio');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550125';
+
+// A tenth of a second of 8 kHz mono silence
+function wav() {
+    const samples = Buffer.alloc(800 * 2);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + samples.length, 4);
+    header.write('WAVEfmt ', 8, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(8000, 24);
+    header.writeUInt32LE(16000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(samples.length, 40);
+    return Buffer.concat([header, samples]);
+}
+
+async function upload(server, token, body, name = 'Alarm') {
+    return server.request('POST', `/clips?name=${encodeURIComponent(name)}`, {
+        token,
+        body,
+        headers: { 'Content-Type': 'audio/wav' }
+    });
+}
+
+test('audio files are recognised by their content', () => {
+    assert.deepEqual(detectAudioFormat(wav()), { extension: 'wav', contentType: 'audio/wav' });
+    assert.deepEqual(detectAudioFormat(Buffer.concat([Buffer.from('ID3'), Buffer.alloc(20)])), { extension: 'mp3', contentType: 'audio/mpeg' });
+    assert.equal(detectAudioFormat(Buffer.from('<html>not audio</html>')), null);
+    assert.equal(detectAudioFormat(Buffer.from('RIFF')), null);
+});
+
+test('an uploaded clip is served publicly and played on the reminder\'s call', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const audio = wav();
+        const uploaded = await upload(server, token, audio);
+        assert.equal(uploaded.status, 201);
+        const { clip } = uploaded.body;
+        assert.deepEqual([clip.name, clip.source, clip.status, clip.size], ['Alarm', 'upload', 'ready', audio.length]);
+
+        const served = await fetch(clip.url);
+        assert.equal(served.status, 200);
+        assert.deepEqual(Buffer.from(await served.arrayBuffer()), audio);
+
+        assert.equal((await upload(server, token, Buffer.from('<html>not audio</html>'))).status, 415);
+        const unknown = await server.request('POST', '/schedule', {
+            token,
+            body: { reminderTitle: 'Gym', callAt: new Date().toISOString(), audioClipId: 'clip_nope' }
+        });
+        assert.equal(unknown.status, 400);
+
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'gym', reminderTitle: 'Gym', callAt: new Date().toISOString(), audioClipId: clip.id, audioMode: 'instead' }
+        });
+        const call = await server.call(PHONE);
+        assert.match(call.twiml, new RegExp(`<Play>${clip.url}</Play>`));
+        assert.doesNotMatch(call.twiml, /Gym\./);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a clip can be recorded by phone', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const started = await server.request('POST', '/clips/record', { token, body: { name: 'My voice' } });
+        assert.equal(started.status, 202);
+        assert.equal(started.body.clip.status, 'recording');
+
+        const call = await server.call(PHONE);
+        assert.match(call.twiml, /<Record /);
+        const { body: recorded } = await server.request('POST', `/fake/calls/${call.sid}/record`, { body: { duration: 2 } });
+        assert.match(recorded.action.body, /message has been saved/);
+
+        const clip = await waitFor(async () => {
+            const { body } = await server.request('GET', `/clips/${started.body.clip.id}`, { token });
+            return body.status === 'ready' && body;
+        }, { message: 'the recording' });
+        assert.deepEqual([clip.name, clip.source, clip.contentType, clip.durationSeconds], ['My voice', 'recording', 'audio/wav', 2]);
+
+        await server.request('DELETE', `/clips/${clip.id}`, { token });
+        assert.equal((await fetch(clip.url)).status, 404);
+        assert.deepEqual((await server.request('GET', '/clips', { token })).body.clips, []);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeviceTokens } = require('../lib/deviceToken');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550106';
+const OTHER_PHONE = '+15555550196';
+
+test('issued tokens verify to their number; forged and expired ones do not', () => {
+    const tokens = createDeviceTokens({ secret: 'secret', ttlDays: 1 });
+    const { token } = tokens.issue(PHONE);
+    assert.equal(tokens.verify(token).phoneNumber, PHONE);
+
+    // Same payload under another secret, or another payload under this signature
+    const [payload, signature] = token.split('.');
+    assert.equal(createDeviceTokens({ secret: 'other' }).verify(token), null);
+    const forged = Buffer.from(JSON.stringify({ phoneNumber: OTHER_PHONE, exp: 9999999999 })).toString('base64url');
+    assert.equal(tokens.verify(`${forged}.${signature}`), null);
+    assert.equal(tokens.verify(payload), null);
+    assert.equal(tokens.verify(undefined), null);
+
+    const expired = createDeviceTokens({ secret: 'secret', ttlDays: -1 }).issue(PHONE).token;
+    assert.equal(tokens.verify(expired), null);
+
+    assert.throws(() => createDeviceTokens({}), /secret is required/);
+});
+
+test('scheduling routes need a token and only act on its number', async () => {
+    const server = await startServer();
+    try {
+        const callAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const reminder = { reminderId: 'mine', reminderTitle: 'Mine', callAt };
+
+        assert.equal((await server.request('POST', '/schedule', { body: reminder })).status, 401);
+        assert.equal((await server.request('GET', '/schedule', { token: 'not-a-token' })).status, 401);
+
+        // A wrong code gets no token
+        await server.request('POST', '/verify/send', { body: { phoneNumber: PHONE } });
+        const rejected = await server.request('POST', '/verify/check', { body: { phoneNumber: PHONE, code: '000000' } });
+        assert.equal(rejected.body.valid, false);
+        assert.equal(rejected.body.token, undefined);
+
+        const token = await server.token(PHONE);
+        const otherToken = await server.token(OTHER_PHONE);
+        assert.equal((await server.request('POST', '/schedule', { token, body: reminder })).status, 200);
+
+        const forOther = await server.request('POST', '/schedule', { token, body: { ...reminder, reminderId: 'x', to: OTHER_PHONE } });
+        assert.equal(forOther.status, 403);
+        assert.equal((await server.request('POST', '/call', { token, body: { reminderTitle: 'x', to: OTHER_PHONE } })).status, 403);
+
+        // Another number neither sees, replaces nor cancels the reminder
+        assert.equal((await server.request('GET', '/schedule/mine', { token: otherToken })).status, 404);
+        assert.equal((await server.request('GET', '/schedule', { token: otherToken })).body.count, 0);
+        const taken = await server.request('POST', '/schedule', { token: otherToken, body: reminder });
+        assert.equal(taken.status, 409);
+        await server.request('DELETE', '/schedule/mine', { token: otherToken });
+        assert.equal((await server.reminder('mine', token)).status, 'scheduled');
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550121';
+const SAM = '+15555550131';
+const KIM = '+15555550132';
+
+async function scheduleWithBackups(server, token) {
+    return server.request('POST', '/schedule', {
+        token,
+        body: {
+            reminderId: 'meds',
+            reminderTitle: 'Take your meds',
+            callAt: new Date().toISOString(),
+            retryPolicy: { maxAttempts: 1 },
+            backupContacts: [
+                { name: 'Sam', phoneNumber: SAM, delayMinutes: 0 },
+                { name: 'Kim', phoneNumber: KIM, delayMinutes: 0 }
+            ]
+        }
+    });
+}
+
+test('an unanswered reminder calls each backup contact in turn until one confirms', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        assert.equal((await scheduleWithBackups(server, token)).status, 200);
+
+        const own = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${own.sid}/status`, { body: { status: 'no-answer' } });
+
+        const sam = await server.call(SAM);
+        assert.match(sam.twiml, /Take your meds/);
+        await server.request('POST', `/fake/calls/${sam.sid}/status`, { body: { status: 'no-answer' } });
+
+        const kim = await server.call(KIM);
+        await server.request('POST', `/fake/calls/${kim.sid}/answer`, { body: { digits: '1' } });
+
+        const meds = await waitFor(async () => {
+            const reminder = await server.reminder('meds', token);
+            return reminder.escalation.status === 'acknowledged' && reminder;
+        }, { message: 'the escalation to be acknowledged' });
+        assert.equal(meds.escalation.acknowledgedBy, KIM);
+        assert.equal(meds.escalation.contactIndex, 1);
+        assert.equal((await server.calls(SAM)).length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the chain stops at the first contact who confirms', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await scheduleWithBackups(server, token);
+
+        const own = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${own.sid}/status`, { body: { status: 'no-answer' } });
+        const sam = await server.call(SAM);
+        await server.request('POST', `/fake/calls/${sam.sid}/answer`, { body: { digits: '1' } });
+
+        const meds = await server.reminder('meds', token);
+        assert.equal(meds.escalation.status, 'acknowledged');
+        assert.equal(meds.escalation.acknowledgedBy, SAM);
+
+        // Give a wrongly queued call to Kim the chance to go out
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.deepEqual(await server.calls(KIM), []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('backup contacts are validated', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const schedule = backupContacts => server.request('POST', '/schedule', {
+            token,
+            body: { reminderTitle: 'Meds', callAt: new Date().toISOString(), backupContacts }
+        });
+
+        assert.match((await schedule([{ phoneNumber: PHONE }])).body.error, /must not be the reminder's own number/);
+        assert.match((await schedule([{ phoneNumber: SAM, delayMinutes: -1 }])).body.error, /delayMinutes must be a whole number/);
+        assert.equal((await schedule([{ phoneNumber: '+19005550123' }])).status, 403);
+    } finally {
+        await server.close();
+    }
+});
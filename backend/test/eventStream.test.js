@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../lib/eventStream');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550117';
+
+// Listen on GET /events/stream; `events` fills up as they arrive
+async function openStream(server, token, { lastEventId, reminderId } = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/events/stream${reminderId ? `?reminderId=${reminderId}` : ''}`, {
+        headers: { Authorization: `Bearer ${token}`, ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}) },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffered = '';
+    const reading = (async () => {
+        for await (const chunk of response.body) {
+            buffered += decoder.decode(chunk, { stream: true });
+            const blocks = buffered.split('\n\n');
+            buffered = blocks.pop();
+            for (const block of blocks) {
+                const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':'))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                if (fields.data) events.push({ id: fields.id, type: fields.event, ...JSON.parse(fields.data) });
+            }
+        }
+    })().catch(() => {});
+
+    async function close() {
+        controller.abort();
+        await reading;
+    }
+    return { events, close };
+}
+
+const typesOf = (events, reminderId) => events.filter(event => event.data.reminderId === reminderId).map(event => event.type);
+
+test('streams a reminder\'s events and replays missed ones after Last-Event-ID', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const stream = await openStream(server, token);
+        const onlyLater = await openStream(server, token, { reminderId: 'later' });
+
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'later', reminderTitle: 'Later', callAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+        });
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'tea', reminderTitle: 'Tea', callAt: new Date().toISOString() }
+        });
+        const call = await server.call(PHONE);
+        await waitFor(() => typesOf(stream.events, 'tea').includes('calling'), { message: 'the calling event' });
+        await stream.close();
+
+        const lastEventId = stream.events[stream.events.length - 1].id;
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '1' } });
+
+        const resumed = await openStream(server, token, { lastEventId });
+        await waitFor(() => typesOf(resumed.events, 'tea').includes('acknowledged'), { message: 'the replayed events' });
+        assert.deepEqual(typesOf([...stream.events, ...resumed.events], 'tea'),
+            ['scheduled', 'calling', 'ringing', 'answered', 'acknowledged']);
+        await resumed.close();
+
+        assert.deepEqual(onlyLater.events.map(event => [event.type, event.data.reminderId]), [['scheduled', 'later']]);
+        await onlyLater.close();
+    } finally {
+        await server.close();
+    }
+});
+
+test('each number may only hold a few streams open', () => {
+    const stream = createEventStream({ heartbeatMs: 60000, maxClientsPerNumber: 1 });
+    const written = [];
+    const req = new EventEmitter();
+    const res = { writeHead() {}, write: chunk => written.push(chunk) };
+
+    stream.open(req, res, { phoneNumber: PHONE, backlog: [{ id: 'evt_1', type: 'scheduled', data: { reminderId: 'a' } }] });
+    assert.equal(stream.hasRoom(PHONE), false);
+    assert.equal(stream.hasRoom('+15555550999'), true);
+
+    stream.publish('+15555550999', { id: 'evt_2', type: 'scheduled', data: { reminderId: 'b' } });
+    assert.deepEqual(written.filter(chunk => chunk.startsWith('id:')).map(chunk => chunk.split('\n')[0]), ['id: evt_1']);
+
+    req.emit('close');
+    assert.equal(stream.size, 0);
+    assert.equal(stream.hasRoom(PHONE), true);
+});
@@ -0,0 +1,174 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// ============================================
+// TEST SERVER - server.js in a child process on the fake provider
+// ============================================
+// Each server gets its own port and working directory (store file, audio
+// clips), and a clean environment, so no .env or Twilio credentials leak in.
+// Calls and texts are driven through the fake provider's /fake routes.
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT_MS = 10000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Poll `fn` until it returns something truthy (or resolves to it)
+async function waitFor(fn, { timeout = 5000, interval = 25, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await fn();
+        if (result) return result;
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+/**
+ * Start server.js. `env` is added to the defaults below; `directory` re-uses
+ * the working directory (and so the store) of an earlier server.
+ * Returns { url, request, token, call, stop, restart, logs, ... }.
+ */
+async function startServer({ env = {}, directory } = {}) {
+    const cwd = directory || fs.mkdtempSync(path.join(os.tmpdir(), 'noforget-server-'));
+    const port = await freePort();
+    const url = `http://localhost:${port}`;
+    const logs = [];
+
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd,
+        env: {
+            PATH: process.env.PATH,
+            NODE_ENV: 'test',
+            TELEPHONY_PROVIDER: 'fake',
+            PORT: String(port),
+            BASE_URL: url,
+            DEVICE_TOKEN_SECRET: 'test-device-secret',
+            DEFAULT_TIMEZONE: 'UTC',
+            RATE_LIMIT_PER_IP_PER_MINUTE: '0',
+            RETRY_BACKOFF_MINUTES: '0.01',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let buffered = '';
+    child.stdout.on('data', chunk => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            try {
+                logs.push(JSON.parse(line));
+            } catch (error) {
+                logs.push({ msg: line });
+            }
+        }
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+        stderr += chunk;
+    });
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    try {
+        await Promise.race([
+            waitFor(() => logs.some(line => line.msg === 'NoForget backend running'), {
+                timeout: START_TIMEOUT_MS,
+                message: 'the server to start'
+            }),
+            exited.then(code => {
+                throw new Error(`Server exited with ${code} before it started: ${stderr}`);
+            })
+        ]);
+    } catch (error) {
+        if (child.exitCode === null) child.kill('SIGTERM');
+        await exited;
+        if (!directory) fs.rmSync(cwd, { recursive: true, force: true });
+        throw error;
+    }
+
+    // JSON (or text) response of a request; `token` is sent as a bearer token
+    async function request(method, pathname, { body, token, headers = {} } = {}) {
+        const response = await fetch(`${url}${pathname}`, {
+            method,
+            headers: {
+                ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            json = undefined;
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    }
+
+    // A device token for a number, through /verify/send and /verify/check
+    async function token(phoneNumber) {
+        await request('POST', '/verify/send', { body: { phoneNumber } });
+        const { body } = await request('POST', '/verify/check', { body: { phoneNumber, code: '123456' } });
+        return body.token;
+    }
+
+    // The fake provider's recorded calls, optionally only those to one number
+    async function calls(to) {
+        const { body } = await request('GET', '/fake/calls');
+        return body.calls.filter(call => !to || call.to === to);
+    }
+
+    // Wait until `count` calls went out to a number; resolves with call number `count`
+    async function call(to, count = 1) {
+        const placed = await waitFor(async () => {
+            const list = await calls(to);
+            return list.length >= count && list;
+        }, { message: `call ${count} to ${to}` });
+        return placed[count - 1];
+    }
+
+    async function reminder(id, deviceToken) {
+        return (await request('GET', `/schedule/${id}`, { token: deviceToken })).body;
+    }
+
+    async function stop() {
+        if (child.exitCode === null) child.kill('SIGTERM');
+        await exited;
+    }
+
+    // Stop, then start another server on the same working directory
+    async function restart(options = {}) {
+        await stop();
+        return startServer({ env: { ...env, ...options.env }, directory: cwd });
+    }
+
+    // Stop and delete the working directory
+    async function close() {
+        await stop();
+        fs.rmSync(cwd, { recursive: true, force: true });
+    }
+
+    return { url, cwd, logs, request, token, calls, call, reminder, stop, restart, close };
+}
+
+module.exports = { startServer, waitFor };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createHistory, buildTimeline } = require('../lib/history');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550111';
+const DAY = 24 * 60 * 60 * 1000;
+
+test('archived records are copies, pruned after the retention period or beyond the cap', () => {
+    const collection = createStore({ driver: 'memory' }).collection('reminderHistory');
+    const history = createHistory({ collection, retentionDays: 1, maxEntries: 2 });
+    const start = Date.parse('2026-10-19T12:00:00Z');
+
+    const entry = { id: 'a', attempts: [{ outcome: 'no-answer' }] };
+    history.archive(entry, 'cancelled', start);
+    entry.attempts[0].outcome = 'acknowledged';
+    assert.equal(history.get('a').attempts[0].outcome, 'no-answer');
+    assert.equal(history.get('a').archiveReason, 'cancelled');
+
+    history.archive({ id: 'b' }, 'expired', start + DAY);
+    history.archive({ id: 'c' }, 'expired', start + DAY + 1);
+    assert.equal(history.prune(start + DAY + 2), 1);
+    assert.deepEqual(history.all().map(record => record.id), ['b', 'c']);
+
+    history.archive({ id: 'd' }, 'expired', start + DAY + 3);
+    assert.equal(history.prune(start + DAY + 4), 1);
+    assert.deepEqual(history.all().map(record => record.id).sort(), ['c', 'd']);
+});
+
+test('the timeline lists what happened in order', () => {
+    const timeline = buildTimeline({
+        scheduledAt: '2026-10-19T08:00:00Z',
+        callAt: Date.parse('2026-10-19T09:00:00Z'),
+        attempts: [{
+            attempt: 1,
+            channel: 'voice',
+            callSid: 'CA1',
+            startedAt: '2026-10-19T09:00:00Z',
+            ringingAt: '2026-10-19T09:00:02Z',
+            answeredAt: '2026-10-19T09:00:05Z',
+            respondedAt: '2026-10-19T09:00:20Z',
+            endedAt: '2026-10-19T09:00:21Z',
+            outcome: 'acknowledged',
+            keypress: '1',
+            status: 'completed'
+        }],
+        acknowledgedAt: '2026-10-19T09:00:20Z'
+    });
+
+    assert.deepEqual(timeline.map(event => event.event),
+        ['scheduled', 'dialing', 'ringing', 'answered', 'response', 'acknowledged', 'completed']);
+    assert.equal(timeline[4].keypress, '1');
+});
+
+test('GET /schedule/:id shows the attempts, and keeps them after the reminder is gone', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'gym', reminderTitle: 'Gym', callAt: new Date().toISOString() }
+        });
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '2', duration: 12 } });
+
+        const gym = await server.reminder('gym', token);
+        assert.equal(gym.status, 'snoozed');
+        assert.deepEqual(gym.attempts.map(({ callSid, outcome, keypress, duration }) => ({ callSid, outcome, keypress, duration })),
+            [{ callSid: call.sid, outcome: 'snoozed', keypress: '2', duration: 12 }]);
+        assert.deepEqual(gym.snoozeChain.map(link => link.id), ['gym', gym.snoozedTo]);
+        assert.ok(gym.timeline.some(event => event.event === 'response' && event.outcome === 'snoozed'));
+
+        // Cancelling the snooze moves it to the history, where it can still be read
+        await server.request('DELETE', `/schedule/${gym.snoozedTo}`, { token });
+        const cancelled = await server.reminder(gym.snoozedTo, token);
+        assert.equal(cancelled.status, 'cancelled');
+        assert.ok(cancelled.archivedAt);
+
+        assert.equal((await server.request('GET', '/schedule/nope', { token })).status, 404);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendar, serializeCalendar } = require('../lib/ical');
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+
+// The lines of one component, e.g. the VTIMEZONE for a TZID
+function component(text, name, first) {
+    const lines = text.split('\r\n');
+    const start = lines.findIndex((line, index) => line === `BEGIN:${name}` && lines[index + 1] === first);
+    return start === -1 ? null : lines.slice(start, lines.indexOf(`END:${name}`, start) + 1);
+}
+
+test('writes a VTIMEZONE with yearly rules for every TZID used', () => {
+    const text = serializeCalendar({
+        name: 'Reminders',
+        now,
+        events: [
+            { uid: 'a', start: Date.parse('2026-03-02T08:00:00Z'), timezone: 'Europe/Berlin', rrule: 'FREQ=DAILY', summary: 'A' },
+            { uid: 'b', start: Date.parse('2026-05-01T08:00:00Z'), timezone: 'Europe/Berlin', rrule: 'FREQ=WEEKLY', summary: 'B' },
+            { uid: 'c', start: Date.parse('2026-03-02T08:00:00Z'), summary: 'Once' }
+        ]
+    });
+
+    assert.equal(text.split('BEGIN:VTIMEZONE').length, 2);
+    assert.deepEqual(component(text, 'VTIMEZONE', 'TZID:Europe/Berlin'), [
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Berlin',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20250330T020000',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'DTSTART:20251026T030000',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ]);
+    assert.match(text, /DTSTART;TZID=Europe\/Berlin:20260302T090000/);
+    assert.equal(parseCalendar(text).events.length, 3);
+});
+
+test('a zone without DST gets a single fixed observance', () => {
+    const text = serializeCalendar({
+        name: 'Reminders',
+        now,
+        events: [{ uid: 'a', start: now, timezone: 'Asia/Kolkata', rrule: 'FREQ=DAILY', summary: 'A' }]
+    });
+
+    assert.deepEqual(component(text, 'STANDARD', 'DTSTART:19700101T000000'), [
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0530',
+        'TZOFFSETTO:+0530',
+        'END:STANDARD'
+    ]);
+});
+
+test('writes no VTIMEZONE when every event is in UTC', () => {
+    const text = serializeCalendar({ name: 'Reminders', now, events: [{ uid: 'a', start: now, summary: 'Once' }] });
+    assert.doesNotMatch(text, /VTIMEZONE/);
+});
+
+test('writes the VTIMEZONEs of a long-running, many-zone feed quickly', () => {
+    const zones = ['Europe/Berlin', 'America/New_York', 'Australia/Sydney', 'America/Santiago', 'Asia/Tehran'];
+    const events = zones.map((timezone, index) => ({
+        uid: String(index),
+        start: Date.parse('2001-03-02T08:00:00Z'),
+        timezone,
+        rrule: 'FREQ=DAILY',
+        summary: 'Old series'
+    }));
+
+    const began = process.hrtime.bigint();
+    const text = serializeCalendar({ name: 'Reminders', now: Date.parse('2031-10-19T12:00:00Z'), events });
+    const elapsedMs = Number(process.hrtime.bigint() - began) / 1e6;
+
+    assert.equal(text.split('BEGIN:VTIMEZONE').length, zones.length + 1);
+    assert.ok(elapsedMs < 500, `took ${elapsedMs} ms`);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { LimitError, createRateLimiter, createUsageCaps } = require('../lib/rateLimit');
+const { createDestinationRules } = require('../lib/destinations');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550113';
+
+test('the rate limiter allows max hits per sliding window', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 2 });
+    assert.equal(limiter.hit('a', 0).allowed, true);
+    assert.equal(limiter.hit('a', 400).allowed, true);
+    assert.deepEqual(limiter.hit('a', 500), { allowed: false, retryAfterMs: 500 });
+    assert.equal(limiter.hit('b', 500).allowed, true);
+    // Rejected hits don't count, so the first hit leaving the window frees a slot
+    assert.equal(limiter.check('a', 1000).allowed, true);
+    assert.equal(limiter.hit('a', 1000).allowed, true);
+    assert.equal(limiter.hit('a', 1100).allowed, false);
+
+    assert.equal(createRateLimiter({ windowMs: 1000, max: 0 }).hit('a').allowed, true);
+});
+
+test('usage caps count per UTC day and month', () => {
+    const caps = createUsageCaps({
+        collection: createStore({ driver: 'memory' }).collection('usage'),
+        caps: { calls: { daily: 2, monthly: 3 } }
+    });
+    const day = Date.parse('2026-10-19T12:00:00Z');
+    const nextDay = Date.parse('2026-10-20T00:00:00Z');
+
+    caps.record('calls', PHONE, day);
+    caps.record('calls', PHONE, day);
+    assert.throws(() => caps.check('calls', PHONE, day), error => {
+        assert.ok(error instanceof LimitError);
+        assert.equal(error.code, 'daily_cap');
+        assert.equal(error.retryAfter, 12 * 60 * 60);
+        return true;
+    });
+
+    caps.check('calls', PHONE, nextDay);
+    caps.record('calls', PHONE, nextDay);
+    assert.throws(() => caps.check('calls', PHONE, nextDay), { code: 'monthly_cap' });
+    assert.deepEqual(caps.usage(PHONE, nextDay), { calls: { daily: 1, monthly: 3 } });
+    caps.check('calls', PHONE, Date.parse('2026-11-01T00:00:00Z'));
+});
+
+test('destination rules block premium numbers and countries outside the lists', () => {
+    const rules = createDestinationRules({ allowedCountryCodes: '1, +49', deniedCountryCodes: '1876' });
+    assert.equal(rules.check('+1 (415) 555-0123'), null);
+    assert.equal(rules.check('+4930123456'), null);
+    assert.equal(rules.check('+19005550123').code, 'premium_rate');
+    assert.equal(rules.check('+18765550123').code, 'country_not_allowed');
+    assert.equal(rules.check('+447700900123').code, 'country_not_allowed');
+    assert.equal(rules.check('0415555').code, 'invalid_number');
+
+    assert.equal(createDestinationRules({ deniedPrefixes: '' }).check('+19005550123'), null);
+});
+
+test('too many requests from one address get 429 with Retry-After', async () => {
+    const server = await startServer({ env: { RATE_LIMIT_PER_IP_PER_MINUTE: '2' } });
+    try {
+        const send = () => server.request('POST', '/verify/send', { body: { phoneNumber: PHONE } });
+        assert.equal((await send()).status, 200);
+        assert.equal((await send()).status, 200);
+
+        const limited = await send();
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'rate_limited');
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('numbers in denied countries get 403', async () => {
+    const server = await startServer({ env: { DENIED_COUNTRY_CODES: '44' } });
+    try {
+        const denied = await server.request('POST', '/verify/send', { body: { phoneNumber: '+447700900123' } });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.code, 'country_not_allowed');
+
+        const premium = await server.request('POST', '/verify/send', { body: { phoneNumber: '+19005550123' } });
+        assert.equal(premium.status, 403);
+        assert.equal(premium.body.code, 'premium_rate');
+    } finally {
+        await server.close();
+    }
+});
+
+test('calls stop at the daily cap, immediate and scheduled alike', async () => {
+    const server = await startServer({ env: { CALLS_DAILY_CAP: '1' } });
+    try {
+        const token = await server.token(PHONE);
+        assert.equal((await server.request('POST', '/call', { token, body: { reminderTitle: 'One' } })).status, 200);
+
+        const capped = await server.request('POST', '/call', { token, body: { reminderTitle: 'Two' } });
+        assert.equal(capped.status, 429);
+        assert.equal(capped.body.code, 'daily_cap');
+
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'three', reminderTitle: 'Three', callAt: new Date().toISOString() }
+        });
+        const three = await waitFor(async () => {
+            const reminder = await server.reminder('three', token);
+            return reminder.status === 'capped' && reminder;
+        }, { message: 'the reminder to be capped' });
+        assert.equal(three.lastOutcome, 'daily_cap');
+        assert.equal((await server.calls(PHONE)).length, 1);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SUPPORTED_LOCALES, getCallLanguage, formatSpokenDueTime } = require('../lib/messages');
+
+test('every catalog has the same prompts as the English one', () => {
+    const english = getCallLanguage('en-US').messages;
+    for (const locale of SUPPORTED_LOCALES) {
+        const { messages } = getCallLanguage(locale);
+        for (const [key, value] of Object.entries(english)) {
+            assert.equal(typeof messages[key], typeof value, `${locale} ${key}`);
+        }
+    }
+});
+
+test('SMS replies follow the locale', () => {
+    const { messages } = getCallLanguage('de-DE');
+    assert.equal(messages.smsSnoozed(messages.duration(75)), 'Alles klar! Ich erinnere dich in 1 Stunde und 15 Minuten noch einmal.');
+    assert.equal(getCallLanguage('fr-CA').messages.smsNow, 'maintenant');
+});
+
+test('due times are worded and formatted in the reminder language', () => {
+    const now = Date.UTC(2026, 2, 2, 8, 0);
+    const due = Date.UTC(2026, 2, 2, 9, 30);
+    const options = { timezone: 'UTC', now };
+
+    assert.equal(formatSpokenDueTime(due, { ...options, locale: 'en-US' }), 'today at 9:30 AM');
+    assert.equal(formatSpokenDueTime(due, { ...options, locale: 'de-DE' }), 'heute um 9:30');
+    assert.equal(formatSpokenDueTime(due + 24 * 60 * 60 * 1000, { ...options, locale: 'es-ES' }), 'mañana a las 9:30');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../lib/metrics');
+const { createLogger } = require('../lib/logger');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550119';
+
+test('the registry renders counters, gauges and histograms', () => {
+    const registry = createRegistry();
+    const dials = registry.counter('test_dials_total', 'Dials', ['channel']);
+    const delay = registry.histogram('test_delay_seconds', 'Delay', [], [1, 5]);
+    registry.gauge('test_open', 'Open "things"\nnow', ['kind'], () => [{ labels: { kind: 'a"b' }, value: 2 }]);
+
+    dials.inc({ channel: 'voice', ignored: 'x' });
+    dials.inc({ channel: 'voice' }, 2);
+    delay.observe({}, 0.5);
+    delay.observe({}, 3);
+
+    assert.equal(registry.render(), [
+        '# HELP test_dials_total Dials',
+        '# TYPE test_dials_total counter',
+        'test_dials_total{channel="voice"} 3',
+        '# HELP test_delay_seconds Delay',
+        '# TYPE test_delay_seconds histogram',
+        'test_delay_seconds_bucket{le="1"} 1',
+        'test_delay_seconds_bucket{le="5"} 2',
+        'test_delay_seconds_bucket{le="+Inf"} 2',
+        'test_delay_seconds_sum 3.5',
+        'test_delay_seconds_count 2',
+        '# HELP test_open Open "things"\\nnow',
+        '# TYPE test_open gauge',
+        'test_open{kind="a\\"b"} 2',
+        ''
+    ].join('\n'));
+
+    assert.throws(() => registry.counter('test_dials_total', 'Again'), /already registered/);
+    assert.throws(() => dials.inc({}, -1), /can only go up/);
+});
+
+test('the logger writes JSON lines at its level and above, with correlation fields', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+
+    logger.debug('Hidden');
+    logger.child({ reminderId: 'tea' }).warn('Call failed', { callSid: 'CA1', skipped: undefined, err: Object.assign(new Error('Busy'), { code: 21 }) });
+
+    assert.equal(lines.length, 1);
+    const [{ time, err, ...line }] = lines;
+    assert.ok(!isNaN(Date.parse(time)));
+    assert.deepEqual(line, { level: 'warn', msg: 'Call failed', reminderId: 'tea', callSid: 'CA1' });
+    assert.equal(err.message, 'Busy');
+    assert.equal(err.code, 21);
+    assert.match(err.stack, /Error: Busy/);
+
+    assert.throws(() => createLogger({ level: 'loud' }), /Unknown log level/);
+});
+
+test('GET /metrics needs METRICS_TOKEN and counts dials and responses', async () => {
+    const server = await startServer({ env: { METRICS_TOKEN: 'scrape-me' } });
+    try {
+        assert.equal((await server.request('GET', '/metrics')).status, 401);
+        assert.equal((await server.request('GET', '/metrics', { token: 'wrong' })).status, 401);
+
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'tea', reminderTitle: 'Tea', callAt: new Date().toISOString() }
+        });
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '1' } });
+
+        const scraped = await server.request('GET', '/metrics', { token: 'scrape-me' });
+        assert.equal(scraped.status, 200);
+        assert.match(scraped.headers.get('content-type'), /version=0\.0\.4/);
+        assert.match(scraped.text, /^noforget_dials_total\{channel="voice",trigger="scheduled",result="initiated"\} 1$/m);
+        assert.match(scraped.text, /^noforget_reminder_responses_total\{response="acknowledged",via="call"\} 1$/m);
+        assert.match(scraped.text, /^noforget_calls_total\{status="completed"\} 1$/m);
+
+        // The dial's log line can be found by the reminder and call it belongs to
+        assert.ok(server.logs.some(line => line.msg === 'Call initiated' && line.reminderId === 'tea' && line.callSid === call.sid));
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550101';
+const MINUTE = 60 * 1000;
+
+// Change scheduled entries in the store file of a stopped server
+function editStore(server, fn) {
+    const filePath = path.join(server.cwd, 'data', 'noforget.json');
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    snapshot.scheduledCalls = snapshot.scheduledCalls.map(([id, entry]) => [id, fn(entry) || entry]);
+    fs.writeFileSync(filePath, JSON.stringify(snapshot));
+}
+
+test('scheduled reminders survive a restart', async () => {
+    let server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const callAt = new Date(Date.now() + 60 * MINUTE).toISOString();
+        const posted = await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'pills', reminderTitle: 'Pills', callAt }
+        });
+        assert.equal(posted.status, 200);
+
+        server = await server.restart();
+        const { body } = await server.request('GET', '/schedule', { token });
+        assert.deepEqual(body.scheduledCalls.map(call => [call.id, call.callAt, call.status]), [['pills', callAt, 'scheduled']]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('on startup, late reminders are dialed and long-overdue ones marked missed', async () => {
+    let server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        for (const reminderId of ['late', 'overdue']) {
+            await server.request('POST', '/schedule', {
+                token,
+                body: { reminderId, reminderTitle: reminderId, callAt: new Date(Date.now() + 60 * MINUTE).toISOString() }
+            });
+        }
+
+        // The server was down while both came due
+        await server.stop();
+        editStore(server, entry => ({
+            ...entry,
+            callAt: Date.now() - (entry.id === 'late' ? 2 * MINUTE : 60 * MINUTE)
+        }));
+        server = await server.restart();
+
+        const call = await server.call(PHONE);
+        assert.match(call.twiml, /late\./);
+        assert.equal((await server.calls(PHONE)).length, 1);
+
+        const overdue = await server.reminder('overdue', token);
+        assert.equal(overdue.status, 'missed');
+        const recovered = server.logs.find(line => line.msg === 'Recovered scheduled calls');
+        assert.deepEqual([recovered.pending, recovered.late, recovered.missed], [0, 1, 1]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a dial cut off by a restart is placed again', async () => {
+    let server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'walk', reminderTitle: 'Walk', callAt: new Date(Date.now() + 60 * MINUTE).toISOString() }
+        });
+
+        // The process died after marking the reminder as calling, before the provider answered
+        await server.stop();
+        editStore(server, entry => ({
+            ...entry,
+            callAt: Date.now() - MINUTE,
+            called: true,
+            status: 'calling',
+            attempts: [{ attempt: 1, channel: 'voice', startedAt: new Date().toISOString(), status: 'calling' }]
+        }));
+        server = await server.restart();
+
+        await server.call(PHONE);
+        const walk = await server.reminder('walk', token);
+        assert.equal(walk.attempts.length, 1);
+        assert.ok(walk.attempts[0].callSid);
+    } finally {
+        await server.close();
+    }
+});
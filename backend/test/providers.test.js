@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/providers');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550108';
+
+test('only known providers can be created', () => {
+    assert.throws(() => createProvider('carrier-pigeon', {}), /Unknown telephony provider: carrier-pigeon/);
+    const fake = createProvider('fake', { phoneNumber: '+15005550006', authToken: 't', baseUrl: 'http://localhost' });
+    assert.equal(fake.name, 'fake');
+    assert.equal(fake.isVerificationConfigured(), true);
+});
+
+test('the fake provider records calls and plays Twilio\'s side through signed webhooks', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const { body: { verifications } } = await server.request('GET', '/fake/verifications');
+        assert.deepEqual(verifications.map(({ to, code }) => [to, code]), [[PHONE, '123456']]);
+
+        const posted = await server.request('POST', '/call', { token, body: { reminderTitle: 'Stretch' } });
+        const call = await server.call(PHONE);
+        assert.equal(call.sid, posted.body.callSid);
+        assert.equal(call.statusCallback, `${server.url}/status`);
+        assert.match(call.twiml, /Stretch\./);
+
+        const { body: answered } = await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '1' } });
+        // Every webhook passed signature validation
+        assert.deepEqual(answered.call.events.filter(event => event.type === 'status').map(event => [event.status, event.response]),
+            [['ringing', 200], ['in-progress', 200], ['completed', 200]]);
+        assert.match(answered.gather.body, /<Hangup\/>/);
+
+        const status = await server.request('GET', `/call/status/${call.sid}`, { token });
+        assert.equal(status.body.status, 'completed');
+
+        await server.request('DELETE', '/fake');
+        assert.deepEqual(await server.calls(), []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the fake provider refuses to run in production', async () => {
+    await assert.rejects(startServer({ env: { NODE_ENV: 'production' } }), /exited with 1/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuietHours, quietUntil } = require('../lib/quietHours');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550112';
+const HOUR = 60 * 60 * 1000;
+
+const at = iso => Date.parse(iso);
+const until = (rules, iso) => {
+    const end = quietUntil(parseQuietHours(rules), at(iso));
+    return end === null ? null : new Date(end).toISOString();
+};
+
+test('windows run past midnight, start on their days and follow on from each other', () => {
+    const night = { timezone: 'Europe/Berlin', start: '22:00', end: '07:00' };
+    // 23:30 and 03:00 in Berlin (summer time)
+    assert.equal(until(night, '2026-10-19T21:30:00Z'), '2026-10-20T05:00:00.000Z');
+    assert.equal(until(night, '2026-10-19T01:00:00Z'), '2026-10-19T05:00:00.000Z');
+    assert.equal(until(night, '2026-10-19T12:00:00Z'), null);
+
+    // Saturday nights only: early Sunday is quiet, early Monday isn't
+    const saturdays = { ...night, days: ['SA'] };
+    assert.equal(until(saturdays, '2026-10-18T01:00:00Z'), '2026-10-18T05:00:00.000Z');
+    assert.equal(until(saturdays, '2026-10-19T01:00:00Z'), null);
+
+    const chained = { timezone: 'Europe/Berlin', windows: [{ start: '22:00', end: '07:00' }, { start: '07:00', end: '08:00' }] };
+    assert.equal(until(chained, '2026-10-19T21:30:00Z'), '2026-10-20T06:00:00.000Z');
+
+    assert.equal(until({ ...night, enabled: false }, '2026-10-19T21:30:00Z'), null);
+});
+
+test('rules are validated', () => {
+    assert.throws(() => parseQuietHours({ timezone: 'Mars/Base', start: '22:00', end: '07:00' }), /Invalid timezone/);
+    assert.throws(() => parseQuietHours({ timezone: 'UTC', start: '25:00', end: '07:00' }), /start must be a time/);
+    assert.throws(() => parseQuietHours({ timezone: 'UTC', start: '07:00', end: '07:00' }), /must differ/);
+    assert.throws(() => parseQuietHours({ timezone: 'UTC', start: '22:00', end: '07:00', action: 'ignore' }), /action must be one of/);
+    assert.deepEqual(parseQuietHours({ start: '7:05', end: '08:00', days: 'tu,MO' }, { defaultTimezone: 'UTC' }), {
+        enabled: true,
+        timezone: 'UTC',
+        action: 'defer',
+        windows: [{ start: '07:05', end: '08:00', days: ['MO', 'TU'] }]
+    });
+});
+
+// Quiet from a minute ago until two hours from now (the test servers run in UTC)
+function quietNow(action) {
+    const clock = time => new Date(time).toISOString().slice(11, 16);
+    return { timezone: 'UTC', action, start: clock(Date.now() - 60 * 1000), end: clock(Date.now() + 2 * HOUR) };
+}
+
+test('during quiet hours reminders are deferred, unless urgent', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const put = await server.request('PUT', '/quiet-hours', { token, body: quietNow('defer') });
+        assert.equal(put.status, 200);
+        assert.equal(put.body.quietNow, true);
+        assert.equal((await server.request('PUT', '/quiet-hours', { token, body: { start: 'late' } })).status, 400);
+
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'late', reminderTitle: 'Bins', callAt: new Date().toISOString() }
+        });
+        const late = await waitFor(async () => {
+            const reminder = await server.reminder('late', token);
+            return reminder.status === 'deferred' && reminder;
+        }, { message: 'the reminder to be deferred' });
+        assert.equal(late.callAt, put.body.quietUntil);
+        assert.deepEqual(late.timeline.filter(event => event.event.startsWith('quiet-hours')).map(event => [event.event, event.until]),
+            [['quiet-hours-deferred', put.body.quietUntil]]);
+
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'urgent', reminderTitle: 'Pills', callAt: new Date().toISOString(), urgent: true }
+        });
+        const call = await server.call(PHONE);
+        assert.match(call.twiml, /Pills/);
+        assert.equal((await server.calls(PHONE)).length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('with the sms action, reminders are texted instead of called', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('PUT', '/quiet-hours', { token, body: quietNow('sms') });
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'late', reminderTitle: 'Bins', callAt: new Date().toISOString() }
+        });
+
+        const text = await waitFor(async () => {
+            const { body } = await server.request('GET', '/fake/messages');
+            return body.messages.find(message => message.to === PHONE);
+        }, { message: 'the text' });
+        assert.match(text.body, /Bins/);
+        assert.deepEqual(await server.calls(PHONE), []);
+
+        const late = await server.reminder('late', token);
+        assert.ok(late.timeline.some(event => event.event === 'quiet-hours-sent-as-sms'));
+
+        await server.request('DELETE', '/quiet-hours', { token });
+        assert.equal((await server.request('GET', '/quiet-hours', { token })).body.quietHours, null);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRecurrence, nextOccurrence } = require('../lib/recurrence');
+
+const iso = time => new Date(time).toISOString();
+
+test('a date-only UNTIL ends with that day in the series timezone', () => {
+    assert.equal(iso(parseRecurrence('FREQ=DAILY;UNTIL=20250131', { timezone: 'America/New_York' }).until), '2025-02-01T04:59:59.000Z');
+    assert.equal(iso(parseRecurrence('FREQ=DAILY;UNTIL=20250131', { timezone: 'Asia/Tokyo' }).until), '2025-01-31T14:59:59.000Z');
+    assert.equal(iso(parseRecurrence({ frequency: 'daily', until: '2025-07-31' }, { timezone: 'Europe/Berlin' }).until), '2025-07-31T21:59:59.000Z');
+});
+
+test('UNTIL with a time is UTC when it ends in Z and local otherwise', () => {
+    assert.equal(iso(parseRecurrence('FREQ=DAILY;UNTIL=20250131T090000Z', { timezone: 'Europe/Berlin' }).until), '2025-01-31T09:00:00.000Z');
+    assert.equal(iso(parseRecurrence('FREQ=DAILY;UNTIL=20250131T090000', { timezone: 'Europe/Berlin' }).until), '2025-01-31T08:00:00.000Z');
+});
+
+test('the evening occurrence on the UNTIL day still happens', () => {
+    const timezone = 'America/Los_Angeles';
+    const rule = parseRecurrence('FREQ=DAILY;UNTIL=20250131', { timezone });
+    // 8 PM in Los Angeles on January 31st is already February 1st in UTC
+    const start = Date.parse('2025-01-30T04:00:00Z');
+    const next = nextOccurrence(rule, start, timezone, Date.parse('2025-01-31T12:00:00Z'));
+    assert.equal(next && iso(next.at), '2025-02-01T04:00:00.000Z');
+});
+
+test('an old series finds its next occurrence quickly and with the right index', () => {
+    const timezone = 'Europe/Berlin';
+    const rule = parseRecurrence('FREQ=DAILY');
+    // 9:00 in Berlin every day for 20 years
+    const start = Date.parse('2006-10-19T07:00:00Z');
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    const began = process.hrtime.bigint();
+    for (let i = 0; i < 20; i++) nextOccurrence(rule, start, timezone, now);
+    const elapsedMs = Number(process.hrtime.bigint() - began) / 1e6;
+
+    const next = nextOccurrence(rule, start, timezone, now);
+    assert.equal(iso(next.at), '2026-10-20T07:00:00.000Z');
+    assert.equal(next.index, 7307);
+    assert.ok(elapsedMs < 200, `20 lookups took ${elapsedMs} ms`);
+});
+
+test('monthly on the 31st skips the months without one', () => {
+    const rule = parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=31');
+    const start = Date.parse('2026-01-31T09:00:00Z');
+    const next = nextOccurrence(rule, start, 'UTC', start);
+    assert.equal(iso(next.at), '2026-03-31T09:00:00.000Z');
+    assert.equal(next.index, 2);
+});
+
+test('a negative BYMONTHDAY counts back from the end of the month', () => {
+    const rule = parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1');
+    const start = Date.parse('2026-01-31T09:00:00Z');
+    assert.equal(iso(nextOccurrence(rule, start, 'UTC', start).at), '2026-02-28T09:00:00.000Z');
+    assert.equal(iso(nextOccurrence(rule, start, 'UTC', Date.parse('2028-02-01T00:00:00Z')).at), '2028-02-29T09:00:00.000Z');
+});
+
+test('a monthly rule that never falls on a real date ends instead of looping', () => {
+    // Only ever visits Aprils, or Februaries, which have no 31st or 30th
+    const aprils = parseRecurrence('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=31');
+    const start = Date.parse('2026-04-10T09:00:00Z');
+    assert.equal(nextOccurrence(aprils, start, 'UTC', start), null);
+
+    const februaries = parseRecurrence('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=30');
+    const february = Date.parse('2026-02-10T09:00:00Z');
+    assert.equal(nextOccurrence(februaries, february, 'UTC', february), null);
+});
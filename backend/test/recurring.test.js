@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550102';
+const DAY = 24 * 60 * 60 * 1000;
+
+test('dialing an occurrence queues the next one, and skipping one moves on', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const callAt = Math.floor(Date.now() / 1000) * 1000 - 60 * 1000;
+        const posted = await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'vitamins', reminderTitle: 'Vitamins', callAt: new Date(callAt).toISOString(), rrule: 'FREQ=DAILY;COUNT=3' }
+        });
+        assert.equal(posted.status, 200);
+        assert.equal(posted.body.occurrenceId, 'vitamins_1');
+
+        await server.call(PHONE);
+        const series = await waitFor(async () => {
+            const detail = await server.reminder('vitamins', token);
+            return detail.nextOccurrenceId === 'vitamins_2' && detail;
+        }, { message: 'the second occurrence' });
+        assert.equal(series.status, 'active');
+        assert.equal(series.occurrences[1].callAt, new Date(callAt + DAY).toISOString());
+
+        const skipped = await server.request('DELETE', '/schedule/vitamins_2', { token });
+        assert.equal(skipped.body.nextOccurrenceId, 'vitamins_3');
+
+        // COUNT=3 ends the series after the third
+        const last = await server.request('DELETE', '/schedule/vitamins_3', { token });
+        assert.equal(last.body.nextOccurrenceId, null);
+        assert.equal((await server.reminder('vitamins', token)).status, 'finished');
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects invalid rules and series without future occurrences', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const post = body => server.request('POST', '/schedule', { token, body: { reminderTitle: 'Walk', ...body } });
+
+        const invalid = await post({ callAt: new Date().toISOString(), rrule: 'FREQ=HOURLY' });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.error, /frequency/);
+
+        const ended = await post({ callAt: '2020-01-01T09:00:00Z', rrule: 'FREQ=DAILY;UNTIL=20200105' });
+        assert.equal(ended.status, 400);
+        assert.equal(ended.body.error, 'Recurrence has no future occurrences.');
+    } finally {
+        await server.close();
+    }
+});
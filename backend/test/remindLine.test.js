@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550110';
+const STRANGER = '+15555550190';
+
+test('callers hear their missed then upcoming reminders and can act on each', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'missed', reminderTitle: 'Feed the cat', callAt: new Date().toISOString(), retryPolicy: { maxAttempts: 1 } }
+        });
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/status`, { body: { status: 'no-answer' } });
+        await waitFor(async () => (await server.reminder('missed', token)).status === 'given-up', { message: 'the missed reminder' });
+
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'upcoming', reminderTitle: 'Dentist', callAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+        });
+
+        const inbound = await server.request('POST', '/fake/inbound', { body: { from: PHONE } });
+        assert.match(inbound.body.body, /Feed the cat/);
+        assert.doesNotMatch(inbound.body.body, /Dentist/);
+
+        const confirmed = await server.request('POST', `/fake/calls/${inbound.body.sid}/gather`, { body: { digits: '1' } });
+        assert.match(confirmed.body.body, /Dentist/);
+        const missed = await server.reminder('missed', token);
+        assert.equal(missed.status, 'acknowledged');
+        assert.equal(missed.attempts[0].repliedVia, 'remind-line');
+
+        await server.request('POST', `/fake/calls/${inbound.body.sid}/gather`, { body: { digits: '3' } });
+        assert.equal((await server.reminder('upcoming', token)).status, 'cancelled');
+    } finally {
+        await server.close();
+    }
+});
+
+test('callers without reminders are told so', async () => {
+    const server = await startServer();
+    try {
+        const inbound = await server.request('POST', '/fake/inbound', { body: { from: STRANGER } });
+        assert.match(inbound.body.body, /<Hangup\/>/);
+        assert.doesNotMatch(inbound.body.body, /<Gather/);
+    } finally {
+        await server.close();
+    }
+});
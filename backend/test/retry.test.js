@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRetryPolicy, getRetryDelay } = require('../lib/retry');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550103';
+const DEFAULTS = { maxAttempts: 3, backoffMinutes: 2, backoffMultiplier: 2, giveUpStatus: 'given-up' };
+
+test('the wait doubles after each retry', () => {
+    const policy = parseRetryPolicy({ backoffMinutes: 1 }, DEFAULTS);
+    assert.deepEqual([1, 2, 3].map(attempts => getRetryDelay(policy, attempts)), [60000, 120000, 240000]);
+});
+
+test('policies merge over the defaults and reject out-of-range fields', () => {
+    assert.deepEqual(parseRetryPolicy(undefined, DEFAULTS), DEFAULTS);
+    assert.deepEqual(parseRetryPolicy({ maxAttempts: 5, giveUpStatus: 'missed' }, DEFAULTS),
+        { ...DEFAULTS, maxAttempts: 5, giveUpStatus: 'missed' });
+
+    assert.throws(() => parseRetryPolicy({ maxAttempts: 11 }, DEFAULTS), /maxAttempts must be between 1 and 10/);
+    assert.throws(() => parseRetryPolicy({ maxAttempts: 1.5 }, DEFAULTS), /whole number/);
+    assert.throws(() => parseRetryPolicy({ backoffMinutes: 0 }, DEFAULTS), /backoffMinutes/);
+    assert.throws(() => parseRetryPolicy({ giveUpStatus: 'done' }, DEFAULTS), /giveUpStatus/);
+    assert.throws(() => parseRetryPolicy('often', DEFAULTS), /must be an object/);
+});
+
+test('unanswered calls are retried until the policy gives up', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'meds', reminderTitle: 'Meds', callAt: new Date().toISOString(), retryPolicy: { maxAttempts: 2 } }
+        });
+
+        const first = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${first.sid}/status`, { body: { status: 'no-answer' } });
+        assert.equal((await server.reminder('meds', token)).status, 'retry-scheduled');
+
+        // RETRY_BACKOFF_MINUTES is a fraction of a second in tests
+        const second = await server.call(PHONE, 2);
+        await server.request('POST', `/fake/calls/${second.sid}/status`, { body: { status: 'busy' } });
+
+        const meds = await waitFor(async () => {
+            const detail = await server.reminder('meds', token);
+            return detail.status === 'given-up' && detail;
+        }, { message: 'the reminder to be given up' });
+        assert.deepEqual(meds.attempts.map(attempt => attempt.outcome), ['no-answer', 'busy']);
+        assert.equal(meds.lastOutcome, 'busy');
+        assert.equal((await server.calls(PHONE)).length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('an answered call that is confirmed is not retried', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'meds', reminderTitle: 'Meds', callAt: new Date().toISOString() }
+        });
+
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '1' } });
+
+        const meds = await server.reminder('meds', token);
+        assert.equal(meds.status, 'acknowledged');
+        assert.equal(meds.attempts[0].outcome, 'acknowledged');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        assert.equal((await server.calls(PHONE)).length, 1);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTimerScheduler, createManualClock } = require('../lib/scheduler');
+
+const MINUTE = 60 * 1000;
+
+// A scheduler on a manual clock that records every id it fires, with the time
+function setup(start = 0) {
+    const clock = createManualClock(start);
+    const fired = [];
+    const scheduler = createTimerScheduler({
+        clock,
+        onDue: (id, now) => fired.push({ id, now })
+    });
+    return { clock, fired, scheduler };
+}
+
+test('arms one timer for the earliest entry and fires it when due', () => {
+    const { clock, fired, scheduler } = setup();
+
+    scheduler.schedule('a', 10 * MINUTE);
+    scheduler.schedule('b', 5 * MINUTE);
+    assert.equal(clock.pendingTimers(), 1);
+    assert.deepEqual(scheduler.peek(), { id: 'b', at: 5 * MINUTE });
+
+    clock.advance(5 * MINUTE - 1);
+    assert.deepEqual(fired, []);
+
+    clock.advance(1);
+    assert.deepEqual(fired, [{ id: 'b', now: 5 * MINUTE }]);
+    assert.equal(scheduler.has('b'), false);
+    assert.equal(clock.pendingTimers(), 1);
+});
+
+test('re-posting an id moves it instead of adding a second entry', () => {
+    const { clock, fired, scheduler } = setup();
+
+    scheduler.schedule('a', 10 * MINUTE);
+    scheduler.schedule('a', 3 * MINUTE);
+    assert.equal(scheduler.size, 1);
+    assert.equal(clock.pendingTimers(), 1);
+
+    clock.advance(3 * MINUTE);
+    assert.deepEqual(fired, [{ id: 'a', now: 3 * MINUTE }]);
+
+    clock.advance(10 * MINUTE);
+    assert.equal(fired.length, 1);
+});
+
+test('cancelled entries never fire and release the timer', () => {
+    const { clock, fired, scheduler } = setup();
+
+    scheduler.schedule('a', 5 * MINUTE);
+    scheduler.schedule('b', 8 * MINUTE);
+    scheduler.cancel('a');
+    assert.deepEqual(scheduler.peek(), { id: 'b', at: 8 * MINUTE });
+
+    scheduler.cancel('b');
+    assert.equal(scheduler.size, 0);
+    assert.equal(clock.pendingTimers(), 0);
+
+    clock.advance(10 * MINUTE);
+    assert.deepEqual(fired, []);
+
+    // Cancelling an unknown id is a no-op
+    scheduler.cancel('missing');
+});
+
+test('a snooze pushes the entry back behind later ones', () => {
+    const { clock, fired, scheduler } = setup();
+
+    scheduler.schedule('wake', 5 * MINUTE);
+    scheduler.schedule('pills', 7 * MINUTE);
+    scheduler.schedule('wake', 5 * MINUTE + 9 * MINUTE);
+    assert.deepEqual(scheduler.peek(), { id: 'pills', at: 7 * MINUTE });
+
+    clock.advance(7 * MINUTE);
+    assert.deepEqual(fired.map(entry => entry.id), ['pills']);
+
+    clock.advance(7 * MINUTE);
+    assert.deepEqual(fired, [
+        { id: 'pills', now: 7 * MINUTE },
+        { id: 'wake', now: 14 * MINUTE }
+    ]);
+});
+
+test('fires due entries earliest first, including ones added while firing', () => {
+    const clock = createManualClock();
+    const fired = [];
+    const scheduler = createTimerScheduler({
+        clock,
+        onDue: id => {
+            fired.push(id);
+            // An entry that re-schedules itself (like a recurring reminder) waits its turn
+            if (id === 'c') scheduler.schedule('c2', clock.now() + MINUTE);
+        }
+    });
+
+    scheduler.schedule('c', 3 * MINUTE);
+    scheduler.schedule('a', 1 * MINUTE);
+    scheduler.schedule('d', 6 * MINUTE);
+    scheduler.schedule('b', 2 * MINUTE);
+
+    // The process was suspended past several due times: everything due runs in one go
+    clock.advance(5 * MINUTE);
+    assert.deepEqual(fired, ['a', 'b', 'c', 'c2']);
+
+    clock.advance(MINUTE);
+    assert.deepEqual(fired, ['a', 'b', 'c', 'c2', 'd']);
+});
+
+test('an entry that throws does not stop the ones after it', () => {
+    const clock = createManualClock();
+    const fired = [];
+    const scheduler = createTimerScheduler({
+        clock,
+        onDue: id => {
+            if (id === 'bad') throw new Error('boom');
+            fired.push(id);
+        }
+    });
+
+    scheduler.schedule('bad', MINUTE);
+    scheduler.schedule('good', MINUTE);
+    clock.advance(MINUTE);
+    assert.deepEqual(fired, ['good']);
+});
+
+test('stop() disarms the timer for good', () => {
+    const { clock, fired, scheduler } = setup();
+
+    scheduler.schedule('a', MINUTE);
+    scheduler.stop();
+    scheduler.schedule('b', MINUTE);
+    assert.equal(clock.pendingTimers(), 0);
+
+    clock.advance(2 * MINUTE);
+    assert.deepEqual(fired, []);
+});
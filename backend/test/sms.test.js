@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550104';
+
+// The texts the fake provider sent to PHONE, once there are `count` of them
+async function texts(server, count) {
+    return waitFor(async () => {
+        const { body } = await server.request('GET', '/fake/messages');
+        const sent = body.messages.filter(message => message.to === PHONE);
+        return sent.length >= count && sent;
+    }, { message: `${count} texts` });
+}
+
+async function scheduleText(server, token, reminderId) {
+    return server.request('POST', '/schedule', {
+        token,
+        body: { reminderId, reminderTitle: 'Water the plants', callAt: new Date().toISOString(), channel: 'sms' }
+    });
+}
+
+test('texts the reminder and takes DONE and SNOOZE replies', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await scheduleText(server, token, 'plants');
+
+        const [text] = await texts(server, 1);
+        assert.match(text.body, /Water the plants/);
+        assert.equal((await server.calls(PHONE)).length, 0);
+
+        const snoozed = await server.request('POST', '/fake/sms', { body: { from: PHONE, body: 'snooze 20' } });
+        assert.match(snoozed.body.body, /20 minutes/);
+        const plants = await server.reminder('plants', token);
+        assert.equal(plants.status, 'snoozed');
+        assert.equal(plants.attempts[0].outcome, 'snoozed');
+        assert.equal(plants.attempts[0].repliedVia, 'sms');
+
+        // Nothing else was sent, so DONE has nothing left to confirm
+        const done = await server.request('POST', '/fake/sms', { body: { from: PHONE, body: 'DONE' } });
+        assert.match(done.body.body, /no reminder/i);
+    } finally {
+        await server.close();
+    }
+});
+
+test('DONE confirms the latest text', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await scheduleText(server, token, 'plants');
+        await texts(server, 1);
+
+        const done = await server.request('POST', '/fake/sms', { body: { from: PHONE, body: 'done' } });
+        assert.match(done.body.body, /Water the plants/);
+        assert.equal((await server.reminder('plants', token)).status, 'acknowledged');
+    } finally {
+        await server.close();
+    }
+});
+
+test('STOP opts the number out of reminder texts until START', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/fake/sms', { body: { from: PHONE, body: 'STOP' } });
+
+        await scheduleText(server, token, 'muted');
+        const muted = await waitFor(async () => {
+            const detail = await server.reminder('muted', token);
+            return detail.status === 'opted-out' && detail;
+        }, { message: 'the text to be skipped' });
+        assert.equal(muted.attempts.length, 0);
+
+        await server.request('POST', '/fake/sms', { body: { from: PHONE, body: 'START' } });
+        await scheduleText(server, token, 'heard');
+        await texts(server, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('voice-then-sms texts once the calls go unanswered', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: {
+                reminderId: 'bins',
+                reminderTitle: 'Take out the bins',
+                callAt: new Date().toISOString(),
+                channel: 'voice-then-sms',
+                retryPolicy: { maxAttempts: 1 }
+            }
+        });
+
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/status`, { body: { status: 'no-answer' } });
+
+        const [text] = await texts(server, 1);
+        assert.match(text.body, /Take out the bins/);
+        assert.equal((await server.reminder('bins', token)).status, 'sms-sent');
+    } finally {
+        await server.close();
+    }
+});
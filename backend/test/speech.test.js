@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCallResponse } = require('../lib/speech');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550109';
+const MINUTE = 60 * 1000;
+
+const respond = (input, locale = 'en-US') => parseCallResponse({ defaultSnoozeMinutes: 5, locale, ...input });
+
+test('keys: 1 confirms, 2 snoozes for the default, * asks for minutes', () => {
+    assert.deepEqual(respond({ digits: '1' }), { action: 'acknowledge' });
+    assert.deepEqual(respond({ digits: '2' }), { action: 'snooze', minutes: 5 });
+    assert.deepEqual(respond({ digits: '*' }), { action: 'enter-minutes' });
+    assert.equal(respond({ digits: '9' }), null);
+
+    assert.deepEqual(respond({ digits: '45#', minutesEntry: true }), { action: 'snooze', minutes: 45 });
+    assert.equal(respond({ digits: '0#', minutesEntry: true }), null);
+    assert.equal(respond({ digits: '2000#', minutesEntry: true }), null);
+});
+
+test('speech: confirmations, snoozes and spoken durations', () => {
+    assert.deepEqual(respond({ speech: 'Done.' }), { action: 'acknowledge' });
+    assert.deepEqual(respond({ speech: 'snooze' }), { action: 'snooze', minutes: 5 });
+    assert.deepEqual(respond({ speech: 'snooze ten minutes' }), { action: 'snooze', minutes: 10 });
+    assert.deepEqual(respond({ speech: 'call me back in twenty five minutes' }), { action: 'snooze', minutes: 25 });
+    assert.deepEqual(respond({ speech: 'in an hour and a half' }), { action: 'snooze', minutes: 90 });
+    assert.deepEqual(respond({ speech: 'half an hour' }), { action: 'snooze', minutes: 30 });
+    // A duration wins over "done": "not done yet, in 15 minutes" is a snooze
+    assert.deepEqual(respond({ speech: 'not done yet, in 15 minutes' }), { action: 'snooze', minutes: 15 });
+    assert.deepEqual(respond({ speech: 'in einer Stunde' }, 'de-DE'), { action: 'snooze', minutes: 60 });
+    assert.equal(respond({ speech: 'what is this' }), null);
+    assert.equal(respond({ speech: 'in 30 hours' }), null);
+});
+
+test('a spoken snooze on a call reschedules the reminder for that long', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'laundry', reminderTitle: 'Laundry', callAt: new Date().toISOString() }
+        });
+
+        const call = await server.call(PHONE);
+        const before = Date.now();
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { speech: 'call me back in fifteen minutes' } });
+
+        const laundry = await server.reminder('laundry', token);
+        assert.equal(laundry.status, 'snoozed');
+        assert.equal(laundry.attempts[0].speech, 'call me back in fifteen minutes');
+
+        const snoozed = await server.reminder(laundry.snoozedTo, token);
+        const delay = Date.parse(snoozed.callAt) - before;
+        assert.ok(delay >= 15 * MINUTE - 1000 && delay <= 15 * MINUTE + 5000, `${delay} ms`);
+    } finally {
+        await server.close();
+    }
+});
+
+test('* then a number of minutes snoozes for that long', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await server.request('POST', '/schedule', {
+            token,
+            body: { reminderId: 'laundry', reminderTitle: 'Laundry', callAt: new Date().toISOString() }
+        });
+
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/status`, { body: { status: 'in-progress' } });
+        const prompt = await server.request('POST', `/fake/calls/${call.sid}/gather`, { body: { digits: '*' } });
+        assert.match(prompt.body.body, /gather\?minutes=1/);
+        await server.request('POST', `/fake/calls/${call.sid}/gather`, { body: { digits: '40#' } });
+
+        const laundry = await server.reminder('laundry', token);
+        const snoozed = await server.reminder(laundry.snoozedTo, token);
+        assert.ok(Date.parse(snoozed.callAt) - Date.now() > 39 * MINUTE);
+    } finally {
+        await server.close();
+    }
+});
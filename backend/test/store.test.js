@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, FileDriver } = require('../lib/store');
+
+// A file driver that counts how often the snapshot is read
+class CountingDriver extends FileDriver {
+    constructor(filePath) {
+        super(filePath);
+        this.loads = 0;
+    }
+
+    load() {
+        this.loads++;
+        return super.load();
+    }
+}
+
+function withTempFile(fn) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noforget-store-'));
+    try {
+        fn(path.join(directory, 'store.json'));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('shared stores take in each other\'s changes', () => {
+    withTempFile(filePath => {
+        const a = createStore({ driver: new FileDriver(filePath), shared: true });
+        const b = createStore({ driver: new FileDriver(filePath), shared: true });
+        const changed = [];
+        b.onChange((name, key, value) => changed.push([name, key, value && value.title]));
+
+        a.collection('reminders').set('r1', { title: 'Pills' });
+        a.flush();
+        b.sync();
+
+        assert.deepEqual(b.collection('reminders').get('r1'), { title: 'Pills' });
+        assert.deepEqual(changed, [['reminders', 'r1', 'Pills']]);
+
+        b.transaction(() => b.collection('reminders').delete('r1'));
+        a.sync();
+        assert.equal(a.collection('reminders').has('r1'), false);
+    });
+});
+
+test('a sync skips the reload while the file is unchanged', () => {
+    withTempFile(filePath => {
+        const driver = new CountingDriver(filePath);
+        const a = createStore({ driver, shared: true });
+        const b = createStore({ driver: new FileDriver(filePath), shared: true });
+
+        a.collection('reminders').set('r1', { title: 'Pills' });
+        a.flush();
+        const loads = driver.loads;
+
+        a.sync();
+        a.sync();
+        assert.equal(driver.loads, loads);
+
+        // Local changes are still written without a reload
+        a.collection('reminders').set('r2', { title: 'Walk' });
+        a.sync();
+        assert.equal(driver.loads, loads);
+        b.sync();
+        assert.equal(b.collection('reminders').get('r2').title, 'Walk');
+
+        // Another process wrote, so the next sync reads the file again
+        b.collection('reminders').set('r3', { title: 'Call mum' });
+        b.flush();
+        a.sync();
+        assert.equal(driver.loads, loads + 1);
+        assert.equal(a.collection('reminders').get('r3').title, 'Call mum');
+    });
+});
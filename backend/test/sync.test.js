@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const PHONE = '+15555550118';
+const HOUR = 60 * 60 * 1000;
+
+const inHours = hours => new Date(Math.round((Date.now() + hours * HOUR) / 1000) * 1000).toISOString();
+
+async function sync(server, token, reminders) {
+    const response = await server.request('POST', '/schedule/sync', { token, body: { reminders } });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+const resultsOf = body => Object.fromEntries(body.reminders.map(({ reminderId, result }) => [reminderId, result]));
+
+test('syncing the same list twice changes nothing the second time', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const list = [
+            { reminderId: 'milk', reminderTitle: 'Milk', callAt: inHours(1), version: 1 },
+            { reminderId: 'bread', reminderTitle: 'Bread', callAt: inHours(2), version: 1 }
+        ];
+
+        const first = await sync(server, token, list);
+        assert.deepEqual(first.counts, { created: 2 });
+        assert.equal(first.reminders[0].state.nextCallAt, list[0].callAt);
+
+        const second = await sync(server, token, list);
+        assert.deepEqual(second.counts, { unchanged: 2 });
+        const { body: { scheduledCalls } } = await server.request('GET', '/schedule', { token });
+        assert.equal(scheduledCalls.length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('newer versions update, older ones are stale, and left-out reminders are cancelled', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await sync(server, token, [
+            { reminderId: 'milk', reminderTitle: 'Milk', callAt: inHours(1), version: 1 },
+            { reminderId: 'bread', reminderTitle: 'Bread', callAt: inHours(2), version: 1 },
+            { reminderId: 'eggs', reminderTitle: 'Eggs', callAt: inHours(3), version: 1 }
+        ]);
+
+        const moved = inHours(4);
+        const updated = await sync(server, token, [
+            { reminderId: 'milk', reminderTitle: 'Milk', callAt: moved, version: 2 },
+            { reminderId: 'bread', reminderTitle: 'Bread', callAt: inHours(2), version: 2, completed: true }
+        ]);
+        assert.deepEqual(resultsOf(updated), { milk: 'updated', bread: 'cancelled', eggs: 'cancelled' });
+        assert.equal(updated.reminders[0].state.nextCallAt, moved);
+        assert.equal(updated.reminders[2].state.status, 'cancelled');
+
+        // A device with an out-of-date copy can't undo the move
+        const stale = await sync(server, token, [
+            { reminderId: 'milk', reminderTitle: 'Milk', callAt: inHours(1), version: 1 }
+        ]);
+        assert.deepEqual(resultsOf(stale), { milk: 'stale' });
+        assert.equal(stale.reminders[0].state.nextCallAt, moved);
+
+        const invalid = await sync(server, token, [{ reminderId: 'cheese', callAt: inHours(1) }]);
+        assert.equal(resultsOf(invalid).cheese, 'invalid');
+        assert.equal((await server.request('POST', '/schedule/sync', { token, body: { reminders: [{}] } })).status, 400);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a reminder that already rang for its due time does not ring again', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        const list = [{ reminderId: 'pills', reminderTitle: 'Pills', callAt: inHours(0) }];
+        await sync(server, token, list);
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '1' } });
+
+        const again = await sync(server, token, list);
+        assert.deepEqual(resultsOf(again), { pills: 'unchanged' });
+        assert.equal(again.reminders[0].state.status, 'acknowledged');
+        assert.equal((await server.calls(PHONE)).length, 1);
+    } finally {
+        await server.close();
+    }
+});
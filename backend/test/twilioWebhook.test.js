@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTwilioWebhookValidator, signWebhook } = require('../lib/twilioWebhook');
+const { startServer, waitFor } = require('./helpers/server');
+
+const AUTH_TOKEN = 'test-auth-token';
+const BASE_URL = 'https://noforget.example.com';
+
+// Run the middleware on a fake request; resolves with 'next' or the response status
+function validate(validator, { url, body, signature }) {
+    return new Promise(resolve => {
+        const req = {
+            method: 'POST',
+            originalUrl: url,
+            body,
+            get: name => (name === 'X-Twilio-Signature' ? signature : undefined)
+        };
+        const res = {
+            status(code) {
+                resolve(code);
+                return this;
+            },
+            type() {
+                return this;
+            },
+            send() {}
+        };
+        validator(req, res, () => resolve('next'));
+    });
+}
+
+test('accepts requests signed for the public url and rejects the rest', async () => {
+    const validator = createTwilioWebhookValidator({ authToken: AUTH_TOKEN, baseUrl: `${BASE_URL}/` });
+    const body = { CallSid: 'CA1', Digits: '1' };
+    const signature = signWebhook(AUTH_TOKEN, `${BASE_URL}/gather?minutes=1`, body);
+
+    assert.equal(await validate(validator, { url: '/gather?minutes=1', body, signature }), 'next');
+    assert.equal(await validate(validator, { url: '/gather?minutes=1', body }), 403);
+    assert.equal(await validate(validator, { url: '/gather', body, signature }), 403);
+    assert.equal(await validate(validator, { url: '/gather?minutes=1', body: { ...body, Digits: '2' }, signature }), 403);
+    assert.equal(await validate(validator, {
+        url: '/gather?minutes=1',
+        body,
+        signature: signWebhook('another-token', `${BASE_URL}/gather?minutes=1`, body)
+    }), 403);
+});
+
+test('lets everything through when switched off', async () => {
+    const validator = createTwilioWebhookValidator({ authToken: AUTH_TOKEN, baseUrl: BASE_URL, enabled: false });
+    assert.equal(await validate(validator, { url: '/status', body: {} }), 'next');
+});
+
+test('webhook routes refuse unsigned and forged requests', async () => {
+    const server = await startServer();
+    try {
+        const params = { CallSid: 'CA123', Digits: '1' };
+        const post = (path, headers) => server.request('POST', path, {
+            body: new URLSearchParams(params).toString(),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers }
+        });
+
+        for (const path of ['/gather', '/status', '/sms', '/voice', '/amd']) {
+            const unsigned = await post(path);
+            assert.equal(unsigned.status, 403, path);
+            assert.equal(unsigned.text, 'Invalid Twilio signature');
+        }
+
+        const forged = await post('/gather', { 'X-Twilio-Signature': signWebhook('wrong-token', `${server.url}/gather`, params) });
+        assert.equal(forged.status, 403);
+
+        // The fake provider signs with its default auth token
+        const signed = await post('/gather', { 'X-Twilio-Signature': signWebhook('fake-auth-token', `${server.url}/gather`, params) });
+        assert.equal(signed.status, 200);
+        assert.match(signed.text, /<Response>/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('TWILIO_SIGNATURE_VALIDATION=false accepts unsigned webhooks outside production', async () => {
+    const server = await startServer({ env: { TWILIO_SIGNATURE_VALIDATION: 'false' } });
+    try {
+        const unsigned = await server.request('POST', '/gather', {
+            body: 'CallSid=CA123&Digits=1',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        assert.equal(unsigned.status, 200);
+        await waitFor(() => server.logs.some(line => line.msg === 'Twilio webhook signature validation is OFF'),
+            { message: 'the warning' });
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers/server');
+
+const PHONE = '+15555550123';
+
+async function scheduleNow(server, token) {
+    return server.request('POST', '/schedule', {
+        token,
+        body: { reminderId: 'bins', reminderTitle: 'Put the bins out', callAt: new Date().toISOString(), retryPolicy: { maxAttempts: 2 } }
+    });
+}
+
+test('an answering machine gets a voicemail, and the reminder is tried again', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await scheduleNow(server, token);
+
+        const first = await server.call(PHONE);
+        assert.equal(first.options.asyncAmdStatusCallback, `${server.url}/amd`);
+        await server.request('POST', `/fake/calls/${first.sid}/machine`, { body: { answeredBy: 'machine_end_beep' } });
+
+        const { body: call } = await server.request('GET', `/fake/calls/${first.sid}`);
+        const voicemail = call.events.find(event => event.type === 'updated');
+        assert.match(voicemail.twiml, /this is your NoForget reminder/);
+        assert.match(voicemail.twiml, /Put the bins out\./);
+        assert.match(voicemail.twiml, /call this number back/);
+
+        await server.call(PHONE, 2);
+        const bins = await server.reminder('bins', token);
+        assert.deepEqual(bins.attempts.map(({ outcome, answeredBy }) => ({ outcome, answeredBy })),
+            [{ outcome: 'voicemail', answeredBy: 'machine_end_beep' }, { outcome: undefined, answeredBy: undefined }]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a person answering is left to the menu', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.token(PHONE);
+        await scheduleNow(server, token);
+
+        const call = await server.call(PHONE);
+        await server.request('POST', `/fake/calls/${call.sid}/answer`, { body: { digits: '1' } });
+
+        const { body: answered } = await server.request('GET', `/fake/calls/${call.sid}`);
+        assert.deepEqual(answered.events.filter(event => event.type === 'amd').map(event => event.answeredBy), ['human']);
+        assert.equal(answered.events.some(event => event.type === 'updated'), false);
+        await waitFor(async () => (await server.reminder('bins', token)).status === 'acknowledged', { message: 'the acknowledgement' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('MACHINE_DETECTION=false places calls without detection', async () => {
+    const server = await startServer({ env: { MACHINE_DETECTION: 'false' } });
+    try {
+        const token = await server.token(PHONE);
+        await scheduleNow(server, token);
+
+        const call = await server.call(PHONE);
+        assert.equal(call.options.asyncAmd, undefined);
+        const { body } = await server.request('POST', `/fake/calls/${call.sid}/machine`, { body: {} });
+        assert.equal(body.amd, null);
+    } finally {
+        await server.close();
+    }
+});
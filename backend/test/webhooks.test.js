@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createWebhooks, parseSubscription } = require('../lib/webhooks');
+
+const PHONE = '+15555550100';
+
+// Webhooks on a memory store, resolving every host to `address`
+function setup(address) {
+    const store = createStore({ driver: 'memory' });
+    const sent = [];
+    const webhooks = createWebhooks({
+        store,
+        subscriptions: store.collection('webhooks'),
+        deliveries: store.collection('webhookDeliveries'),
+        deadLetters: store.collection('webhookDeadLetters'),
+        events: store.collection('events'),
+        fetch: async url => {
+            sent.push(url);
+            return { ok: true, status: 200 };
+        },
+        lookup: async () => [{ address, family: address.includes(':') ? 6 : 4 }]
+    });
+    return { store, sent, webhooks, deliveries: store.collection('webhookDeliveries') };
+}
+
+// Let the background send and its bookkeeping finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('refuses urls on this host or a private network', () => {
+    for (const url of [
+        'https://localhost/hook',
+        'https://api.localhost./hook',
+        'https://127.0.0.1/hook',
+        'https://127.1/hook',
+        'https://2130706433/hook',
+        'https://10.1.2.3/hook',
+        'https://172.20.0.1/hook',
+        'https://192.168.1.10/hook',
+        'https://169.254.169.254/latest/meta-data',
+        'https://0.0.0.0/hook',
+        'https://[::1]/hook',
+        'https://[::]/hook',
+        'https://[::ffff:127.0.0.1]/hook',
+        'https://[fd00::1]/hook',
+        'https://[fe80::1]/hook'
+    ]) {
+        assert.throws(() => parseSubscription({ url }), /public address/, url);
+    }
+});
+
+test('accepts public urls, and private ones only when allowed', () => {
+    assert.equal(parseSubscription({ url: 'https://hooks.example.com/in' }).url, 'https://hooks.example.com/in');
+    assert.equal(parseSubscription({ url: 'https://172.32.0.1/in' }).url, 'https://172.32.0.1/in');
+    assert.equal(
+        parseSubscription({ url: 'http://localhost:4000/in' }, { allowHttp: true, allowPrivateAddresses: true }).url,
+        'http://localhost:4000/in'
+    );
+});
+
+test('delivers to hosts that resolve to public addresses', async () => {
+    const { sent, webhooks, deliveries } = setup('93.184.216.34');
+    webhooks.subscribe(PHONE, { url: 'https://hooks.example.com/in' });
+
+    webhooks.emit(PHONE, 'acknowledged', { reminderId: 'r1' });
+    await settle();
+
+    assert.deepEqual(sent, ['https://hooks.example.com/in']);
+    assert.equal(deliveries.size, 0);
+});
+
+test('does not send when the host resolves to a private address', async () => {
+    const { sent, webhooks, deliveries } = setup('10.0.0.7');
+    webhooks.subscribe(PHONE, { url: 'https://rebound.example.com/in' });
+
+    webhooks.emit(PHONE, 'acknowledged', { reminderId: 'r1' });
+    await settle();
+
+    assert.deepEqual(sent, []);
+    const [delivery] = deliveries.values();
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.lastError, /private address/);
+});